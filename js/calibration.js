@@ -0,0 +1,182 @@
+/**
+ * Guided calibration
+ * Has the player hold the top and then the bottom push-up position so the
+ * shoulder range comes from deliberate holds rather than stray movement
+ */
+
+const STORAGE_KEY = 'flappyPushupCalibration';
+
+// Smallest top-to-bottom shoulder travel we accept (fraction of frame height)
+export const MIN_CALIBRATION_RANGE = 0.08;
+
+export const CalibrationStatus = {
+    IN_PROGRESS: 'in_progress',
+    DONE: 'done'
+};
+
+const STEPS = [
+    { id: 'top', prompt: 'Hold the TOP position - arms straight' },
+    { id: 'bottom', prompt: 'Hold the BOTTOM position - chest low' }
+];
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+export class CalibrationSession {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.holdDuration] - How long each position must be held (ms)
+     * @param {number} [options.stillTolerance] - Max shoulder wobble that still counts as holding
+     * @param {number} [options.stillWindow] - Time window the wobble is measured over (ms)
+     */
+    constructor(options = {}) {
+        this.holdDuration = options.holdDuration ?? 3000;
+        this.stillTolerance = options.stillTolerance ?? 0.03;
+        this.stillWindow = options.stillWindow ?? 500;
+
+        this.status = CalibrationStatus.IN_PROGRESS;
+        this.result = null;
+        this.message = null;
+        this.restart();
+    }
+
+    /**
+     * Go back to the first step, keeping any error message
+     */
+    restart() {
+        this.stepIndex = 0;
+        this.stepSamples = STEPS.map(() => []);
+        this.resetHold();
+    }
+
+    resetHold() {
+        this.holdTime = 0;
+        this.elapsed = 0;
+        this.recent = [];  // {time, y} within the still window
+        this.stepSamples[this.stepIndex] = [];
+    }
+
+    /**
+     * Feed a shoulder position sample
+     * @param {number} shoulderY - Raw shoulder Y (0 = top of frame)
+     * @param {number} deltaTime - Time since last sample in milliseconds
+     * @param {boolean} poseVisible - Whether the player is currently in frame
+     * @returns {string} CalibrationStatus
+     */
+    update(shoulderY, deltaTime, poseVisible) {
+        if (this.status === CalibrationStatus.DONE) {
+            return this.status;
+        }
+
+        if (!poseVisible) {
+            this.resetHold();
+            return this.status;
+        }
+
+        this.elapsed += deltaTime;
+        this.recent.push({ time: this.elapsed, y: shoulderY });
+        while (this.recent[0].time < this.elapsed - this.stillWindow) {
+            this.recent.shift();
+        }
+
+        const ys = this.recent.map(s => s.y);
+        const wobble = Math.max(...ys) - Math.min(...ys);
+
+        if (wobble > this.stillTolerance) {
+            // Moved - the hold starts again
+            this.holdTime = 0;
+            this.stepSamples[this.stepIndex] = [];
+            return this.status;
+        }
+
+        this.holdTime += deltaTime;
+        this.stepSamples[this.stepIndex].push(shoulderY);
+
+        if (this.holdTime >= this.holdDuration) {
+            this.completeStep();
+        }
+
+        return this.status;
+    }
+
+    completeStep() {
+        if (this.stepIndex < STEPS.length - 1) {
+            this.stepIndex++;
+            this.resetHold();
+            return;
+        }
+
+        const top = median(this.stepSamples[0]);
+        const bottom = median(this.stepSamples[1]);
+
+        if (bottom - top < MIN_CALIBRATION_RANGE) {
+            this.message = 'Range too small - go lower at the bottom and lock out at the top';
+            this.restart();
+            return;
+        }
+
+        this.status = CalibrationStatus.DONE;
+        this.message = null;
+        this.result = { minShoulderY: top, maxShoulderY: bottom };
+    }
+
+    /**
+     * Calibrated range once done
+     * @returns {{minShoulderY: number, maxShoulderY: number}|null}
+     */
+    getResult() {
+        return this.result;
+    }
+
+    /**
+     * Snapshot for the renderer
+     */
+    getStatus() {
+        return {
+            status: this.status,
+            step: this.stepIndex + 1,
+            stepCount: STEPS.length,
+            prompt: STEPS[this.stepIndex].prompt,
+            progress: Math.min(1, this.holdTime / this.holdDuration),
+            message: this.message
+        };
+    }
+}
+
+/**
+ * Load a player's saved calibration
+ * @returns {{minShoulderY: number, maxShoulderY: number}|null}
+ */
+export function loadCalibration(player) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        const calibration = saved[player || ''];
+
+        if (calibration && calibration.maxShoulderY - calibration.minShoulderY >= MIN_CALIBRATION_RANGE) {
+            return calibration;
+        }
+    } catch {
+        // Ignore storage errors
+    }
+    return null;
+}
+
+/**
+ * Save a player's calibration for next time
+ */
+export function saveCalibration(player, calibration) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        saved[player || ''] = {
+            minShoulderY: calibration.minShoulderY,
+            maxShoulderY: calibration.maxShoulderY,
+            savedAt: new Date().toISOString()
+        };
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+    } catch {
+        // Ignore storage errors
+    }
+}
@@ -0,0 +1,90 @@
+/**
+ * Friend challenges
+ * A link carrying a course (seed, mode, difficulty, controls), who sent it
+ * and their score, and optionally their ghost. Opening it sets up the same
+ * course and the results screen says who won.
+ *
+ *   ?seed=123&mode=endless&preset=normal&controls=direct&from=Alex&score=23&ghost=...
+ *
+ * Custom difficulty values ride along as JSON in &custom=.
+ */
+
+import { RACE_MODES, DEFAULT_MODE } from './modes.js';
+import { DIFFICULTY_PRESETS, DIFFICULTY_FIELDS, DEFAULT_PRESET } from './difficulty.js';
+import { CONTROL_SCHEMES, DEFAULT_CONTROLS } from './controls.js';
+import { encodeGhost, decodeGhost } from './ghost.js';
+
+const MAX_NAME_LENGTH = 20;
+
+/**
+ * Link that challenges a friend to beat a run
+ * @param {string} baseUrl - Page the link opens (current URL's params are dropped)
+ * @param {Object} run
+ * @param {number} run.seed
+ * @param {string} run.mode
+ * @param {Object} run.difficulty - From resolveDifficulty()
+ * @param {string} run.controls
+ * @param {string} run.name - Challenger's name
+ * @param {number} run.score
+ * @param {Ghost} [run.ghost] - Challenger's run, raced by the friend
+ */
+export function createChallengeUrl(baseUrl, run) {
+    const url = new URL(baseUrl);
+    url.search = '';
+
+    const params = url.searchParams;
+    params.set('seed', run.seed);
+    params.set('mode', run.mode);
+    params.set('preset', run.difficulty.preset);
+    if (run.difficulty.preset === 'custom') {
+        const custom = Object.fromEntries(Object.keys(DIFFICULTY_FIELDS).map(key => [key, run.difficulty[key]]));
+        params.set('custom', JSON.stringify(custom));
+    }
+    params.set('controls', run.controls);
+    params.set('from', run.name.slice(0, MAX_NAME_LENGTH));
+    params.set('score', run.score);
+    if (run.ghost) {
+        params.set('ghost', encodeGhost(run.ghost));
+    }
+
+    return url.toString();
+}
+
+/**
+ * Challenge from a link's query, null if it doesn't carry one
+ * @param {URLSearchParams} params
+ * @returns {Object|null} {seed, mode, preset, custom, controls, name, score, ghost}
+ */
+export function parseChallenge(params) {
+    const seed = Number(params.get('seed'));
+    const score = Number(params.get('score'));
+    if (!params.has('seed') || !Number.isInteger(seed) || !Number.isInteger(score) || score < 0) {
+        return null;
+    }
+
+    const mode = RACE_MODES.includes(params.get('mode')) ? params.get('mode') : DEFAULT_MODE;
+    const preset = DIFFICULTY_PRESETS[params.get('preset')] ? params.get('preset') : DEFAULT_PRESET;
+    const controls = CONTROL_SCHEMES[params.get('controls')] ? params.get('controls') : DEFAULT_CONTROLS;
+    const name = (params.get('from') || '').trim().slice(0, MAX_NAME_LENGTH) || 'Your friend';
+
+    let custom = {};
+    try {
+        custom = JSON.parse(params.get('custom') || '{}') || {};
+    } catch {
+        // Fall back to the preset's values
+    }
+
+    const ghost = params.get('ghost') ?
+        decodeGhost(params.get('ghost'), { seed, score, name }) : null;
+
+    return { seed: seed >>> 0, mode, preset, custom, controls, name, score, ghost };
+}
+
+/**
+ * How a score did against the challenge: 'won', 'lost' or 'tied'
+ */
+export function getChallengeResult(challenge, score) {
+    if (score > challenge.score) return 'won';
+    if (score < challenge.score) return 'lost';
+    return 'tied';
+}
@@ -0,0 +1,112 @@
+/**
+ * Collision geometry
+ * Every shape is a rounded rectangle: an axis-aligned core box
+ * {left, top, right, bottom} grown by radius on all sides. A circle is a
+ * zero-size core, a capsule a zero-width one, a plain rectangle has no
+ * radius. Two shapes touch when their cores are closer than their radii
+ * combined, so one distance test covers every pair.
+ *
+ * The bottle and pipe shapes match what Renderer draws.
+ */
+
+// The vitamin bottle at a bird radius of 25 (Renderer.drawBird)
+export const BOTTLE_SHAPE = {
+    width: 50,
+    height: 70,
+    cornerRadius: 8,
+    capWidth: 35,
+    capHeight: 10
+};
+
+// Pipe ends are wider than the pipe (Renderer.drawPipe)
+export const PIPE_CAP = {
+    height: 30,
+    overhang: 8
+};
+
+/**
+ * Shape from a core box and a corner radius
+ */
+export function shape(left, top, right, bottom, radius = 0) {
+    return { left, top, right, bottom, radius };
+}
+
+/**
+ * Shape from an outline, corners rounded by radius
+ */
+export function roundedRect(x, y, width, height, radius = 0) {
+    const r = Math.max(0, Math.min(radius, width / 2, height / 2));
+    return shape(x + r, y + r, x + width - r, y + height - r, r);
+}
+
+export function circle(x, y, radius) {
+    return shape(x, y, x, y, radius);
+}
+
+/**
+ * Whether two shapes overlap (cores that cross overlap whatever the radii,
+ * so plain rectangles collide too)
+ */
+export function shapesOverlap(a, b) {
+    const gapX = Math.max(a.left - b.right, b.left - a.right);
+    const gapY = Math.max(a.top - b.bottom, b.top - a.bottom);
+    if (gapX < 0 && gapY < 0) {
+        return true;
+    }
+    return Math.hypot(Math.max(gapX, 0), Math.max(gapY, 0)) < a.radius + b.radius;
+}
+
+/**
+ * Whether any shape in one list overlaps any in the other
+ */
+export function hitboxesOverlap(a, b) {
+    return a.some(sa => b.some(sb => shapesOverlap(sa, sb)));
+}
+
+/**
+ * Bottle body and cap around the bird's position
+ * @param {Object} bird - {x, y, radius}
+ * @param {number} [forgiveness] - Units shaved off every edge
+ */
+export function getBottleHitbox(bird, forgiveness = 0) {
+    const scale = bird.radius / 25;
+    const f = forgiveness;
+    const width = BOTTLE_SHAPE.width * scale;
+    const height = BOTTLE_SHAPE.height * scale;
+    const capWidth = BOTTLE_SHAPE.capWidth * scale;
+    const capHeight = BOTTLE_SHAPE.capHeight * scale;
+    const top = bird.y - height / 2;
+
+    return [
+        roundedRect(bird.x - width / 2 + f, top + f, width - f * 2, height - f * 2,
+            BOTTLE_SHAPE.cornerRadius * scale),
+        // The cap sits on the body, so only its top edge is shaved
+        roundedRect(bird.x - capWidth / 2 + f, top - capHeight + f, capWidth - f * 2, capHeight)
+    ];
+}
+
+/**
+ * Pipe shapes for one gap column: pipes above and below the gap reaching
+ * off the playfield, plus their caps
+ * @param {number} x - Column's left edge
+ * @param {Object} column - {width, gapTop, gapBottom}
+ * @param {boolean} [capped] - Whether the pipe ends have caps
+ * @returns {{shape: Object, top: boolean}[]} top is true for the upper pipe
+ */
+export function getColumnHitboxes(x, column, capped = true) {
+    const right = x + column.width;
+    const hitboxes = [
+        { shape: shape(x, -Infinity, right, column.gapTop), top: true },
+        { shape: shape(x, column.gapBottom, right, Infinity), top: false }
+    ];
+
+    if (capped) {
+        const { height, overhang } = PIPE_CAP;
+        hitboxes.push(
+            { shape: shape(x - overhang, column.gapTop - height, right + overhang, column.gapTop), top: true },
+            { shape: shape(x - overhang, column.gapBottom, right + overhang, column.gapBottom + height), top: false }
+        );
+    }
+
+    return hitboxes;
+}
@@ -0,0 +1,207 @@
+/**
+ * Control schemes
+ * How the pose moves the bottle. Direct steering maps shoulder height
+ * straight to bottle height; flap gives the bottle gravity and every rep a
+ * flap, like the original Flappy Bird. Each scheme tunes the difficulty to
+ * suit it, and scores are ranked separately per scheme.
+ */
+
+const STORAGE_KEY = 'flappyPushupControls';
+
+export const DEFAULT_CONTROLS = 'direct';
+
+/**
+ * Base scheme: the bottle follows game.bird.targetY
+ */
+export class ControlScheme {
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    get id() {
+        throw new Error('id not implemented');
+    }
+
+    get label() {
+        return this.id;
+    }
+
+    get description() {
+        return '';
+    }
+
+    /**
+     * Whether the bottle's height follows the pose, so pipes can be fitted
+     * to the band the player reaches (see director.js)
+     */
+    get followsReach() {
+        return true;
+    }
+
+    /**
+     * Difficulty settings adjusted for this scheme
+     * @param {Object} settings - From resolveDifficulty()
+     */
+    tuneDifficulty(settings) {
+        return settings;
+    }
+
+    /**
+     * Clear per-run motion (called with the rest of the run state)
+     */
+    reset(game) {
+    }
+
+    /**
+     * A rep attempt just ended while playing (before its form is judged)
+     * @param {Object} rep - From RepCounter.update()
+     */
+    onRep(game, rep) {
+    }
+
+    /**
+     * Move the bottle by one tick
+     * @param {boolean} playing - False during countdowns, pauses and between runs
+     */
+    updateBird(game, playing) {
+        const bird = game.bird;
+        bird.y += (bird.targetY - bird.y) * game.birdSmoothingFactor;
+    }
+}
+
+/**
+ * The original control: the bottle follows shoulder height
+ */
+export class DirectControl extends ControlScheme {
+    get id() {
+        return 'direct';
+    }
+
+    get label() {
+        return 'Steer';
+    }
+
+    get description() {
+        return 'Bottle follows your shoulders';
+    }
+}
+
+/**
+ * Gravity pulls the bottle down; every full rep (down then up) flaps it up
+ */
+export class FlapControl extends ControlScheme {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.gravity] - World units per tick added to the fall speed
+     * @param {number} [options.flapVelocity] - Upward speed a flap sets (units per tick)
+     * @param {number} [options.maxFallSpeed] - Fastest fall (units per tick)
+     *
+     * The defaults rise about 100 units (of the 720 tall world) per flap and
+     * come back down in about 1.8s, so steady reps keep the bottle level.
+     */
+    constructor(options = {}) {
+        super(options);
+        this.gravity = options.gravity ?? 0.07;
+        this.flapVelocity = options.flapVelocity ?? 3.8;
+        this.maxFallSpeed = options.maxFallSpeed ?? 6;
+    }
+
+    get id() {
+        return 'flap';
+    }
+
+    get label() {
+        return 'Flap';
+    }
+
+    get description() {
+        return 'Every rep is a flap';
+    }
+
+    get followsReach() {
+        return false;
+    }
+
+    /**
+     * Slower, roomier course: a flap takes a whole rep, not a nudge
+     */
+    tuneDifficulty(settings) {
+        return {
+            ...settings,
+            pipeSpeed: settings.pipeSpeed * 0.8,
+            speedIncrease: settings.speedIncrease * 0.5,
+            pipeGap: settings.pipeGap * 1.3,
+            minGap: settings.minGap * 1.3,
+            gapShrink: settings.gapShrink * 0.5,
+            spawnInterval: settings.spawnInterval * 1.25
+        };
+    }
+
+    reset(game) {
+        game.bird.velocity = 0;
+        this.flying = false;
+    }
+
+    onRep(game, rep) {
+        if (rep.complete) {
+            game.bird.velocity = -this.flapVelocity;
+            this.flying = true;
+        }
+    }
+
+    updateBird(game, playing) {
+        const bird = game.bird;
+
+        // Hover mid-screen until the first flap, as a rep takes a while
+        if (!playing || !this.flying) {
+            bird.velocity = 0;
+            bird.y += (game.height / 2 - bird.y) * game.birdSmoothingFactor;
+            return;
+        }
+
+        bird.velocity = Math.min(bird.velocity + this.gravity, this.maxFallSpeed);
+        bird.y += bird.velocity;
+
+        // Stop at the ceiling and ground (touching them still counts as a
+        // hit, but modes that play on shouldn't lose the bottle offscreen)
+        const top = game.ceilingHeight;
+        const bottom = game.height - game.groundHeight;
+        if (bird.y < top || bird.y > bottom) {
+            bird.y = Math.max(top, Math.min(bottom, bird.y));
+            bird.velocity = 0;
+        }
+    }
+}
+
+export const CONTROL_SCHEMES = {
+    direct: DirectControl,
+    flap: FlapControl
+};
+
+/**
+ * Create a control scheme by id, falling back to direct
+ */
+export function createControlScheme(id = DEFAULT_CONTROLS, options = {}) {
+    const Scheme = CONTROL_SCHEMES[id] || DirectControl;
+    return new Scheme(options);
+}
+
+/**
+ * Scheme the player picked last time
+ */
+export function loadSelectedControls() {
+    try {
+        const id = localStorage.getItem(STORAGE_KEY);
+        return CONTROL_SCHEMES[id] ? id : DEFAULT_CONTROLS;
+    } catch {
+        return DEFAULT_CONTROLS;
+    }
+}
+
+export function saveSelectedControls(id) {
+    try {
+        localStorage.setItem(STORAGE_KEY, id);
+    } catch {
+        // Ignore storage errors
+    }
+}
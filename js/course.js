@@ -0,0 +1,196 @@
+/**
+ * Scripted courses
+ * A course lays out the obstacles by hand instead of leaving them to the
+ * random spawner, so a trainer can write a workout ("10 slow reps, hold a
+ * 20 second plank, 10 fast reps") and everyone plays it the same way.
+ * FlappyGame.loadCourse() plays one; editor.html writes them.
+ *
+ *   {
+ *     "version": 1,
+ *     "name": "Slow, hold, fast",
+ *     "mode": "endless",          (optional, the player's choice otherwise)
+ *     "difficulty": "normal",     (optional, likewise)
+ *     "sections": [
+ *       {"label": "10 slow reps", "count": 10, "interval": 4000, "position": "alternate"},
+ *       {"label": "Plank", "type": "tunnel", "hold": 20000},
+ *       {"label": "10 fast reps", "count": 10, "interval": 1500, "position": "alternate"}
+ *     ]
+ *   }
+ *
+ * Section fields (all optional):
+ *   label     shown above the section's first obstacle
+ *   type      obstacle type (see obstacles.js), 'pipe' by default
+ *   count     how many obstacles in a row, 1 by default
+ *   interval  ms from each obstacle to the next, the difficulty's by default
+ *   gap       gap size in world units, the difficulty's by default
+ *   position  where the gap sits: 0 (top of the push-up) to 1 (bottom), or
+ *             'alternate' to swap between the two; 0.5 by default
+ *   hold      tunnels only, ms the bottom has to be held; 2000 by default
+ *
+ * The run is complete once the last obstacle is behind the bird.
+ */
+
+import { OBSTACLE_TYPES } from './obstacles.js';
+import { RACE_MODES } from './modes.js';
+import { DIFFICULTY_PRESETS } from './difficulty.js';
+
+export const COURSE_VERSION = 1;
+
+// Where the course made in the editor is left for the game (?course=saved)
+const STORAGE_KEY = 'flappyPushupCourse';
+
+const MAX_NAME_LENGTH = 40;
+const MAX_OBSTACLES = 500;
+
+// Limits that keep a hand-written course playable
+const LIMITS = {
+    count: [1, 100, ''],
+    interval: [800, 20000, ' ms'],
+    gap: [120, 500, ' units'],
+    hold: [500, 60000, ' ms']
+};
+
+/**
+ * A small course to start the editor from
+ */
+export function createExampleCourse() {
+    return {
+        version: COURSE_VERSION,
+        name: 'Slow, hold, fast',
+        sections: [
+            { label: '10 slow reps', type: 'pipe', count: 10, interval: 4000, position: 'alternate' },
+            { label: '20 second plank', type: 'tunnel', hold: 20000 },
+            { label: '10 fast reps', type: 'pipe', count: 10, interval: 1500, position: 'alternate' }
+        ]
+    };
+}
+
+/**
+ * Check a course (parsed from JSON) and fill in its defaults
+ * @param {Object} data
+ * @returns {Object} {version, name, mode, difficulty, sections}
+ * @throws {Error} Saying what is wrong with it
+ */
+export function parseCourse(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.sections)) {
+        throw new Error('A course needs a list of sections');
+    }
+    if (data.version !== undefined && data.version > COURSE_VERSION) {
+        throw new Error('This course was made by a newer version of the game');
+    }
+    if (data.mode !== undefined && data.mode !== null && !RACE_MODES.includes(data.mode)) {
+        throw new Error(`Unknown mode "${data.mode}"`);
+    }
+    if (data.difficulty !== undefined && data.difficulty !== null &&
+        (!DIFFICULTY_PRESETS[data.difficulty] || data.difficulty === 'custom')) {
+        throw new Error(`Unknown difficulty "${data.difficulty}"`);
+    }
+    if (data.sections.length === 0) {
+        throw new Error('A course needs at least one section');
+    }
+
+    const sections = data.sections.map((section, i) => parseSection(section, i + 1));
+    if (sections.reduce((sum, s) => sum + s.count, 0) > MAX_OBSTACLES) {
+        throw new Error(`A course can have at most ${MAX_OBSTACLES} obstacles`);
+    }
+
+    return {
+        version: COURSE_VERSION,
+        name: String(data.name ?? '').trim().slice(0, MAX_NAME_LENGTH) || 'Untitled course',
+        mode: data.mode ?? null,
+        difficulty: data.difficulty ?? null,
+        sections
+    };
+}
+
+function parseSection(section, index) {
+    if (!section || typeof section !== 'object') {
+        throw new Error(`Section ${index} isn't an object`);
+    }
+
+    const type = section.type ?? 'pipe';
+    if (!OBSTACLE_TYPES[type]) {
+        throw new Error(`Section ${index}: unknown obstacle type "${type}"`);
+    }
+
+    const position = section.position ?? 0.5;
+    if (position !== 'alternate' && !(typeof position === 'number' && position >= 0 && position <= 1)) {
+        throw new Error(`Section ${index}: position must be 0 to 1 or "alternate"`);
+    }
+
+    const readNumber = (field, fallback) => {
+        const value = section[field] ?? fallback;
+        if (value === null) return null;
+        const [min, max, unit] = LIMITS[field];
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+            throw new Error(`Section ${index}: ${field} must be from ${min} to ${max}${unit}`);
+        }
+        return field === 'count' ? Math.round(value) : value;
+    };
+
+    return {
+        label: String(section.label ?? '').trim().slice(0, MAX_NAME_LENGTH),
+        type,
+        count: readNumber('count', 1),
+        interval: readNumber('interval', null),
+        gap: readNumber('gap', null),
+        position,
+        hold: type === 'tunnel' ? readNumber('hold', 2000) : null
+    };
+}
+
+/**
+ * One entry per obstacle, in order: {type, interval, gap, position, hold, label}
+ * with position a number and label only on the first of each section
+ * (interval and gap are null where the difficulty decides)
+ * @param {Object} course - From parseCourse()
+ */
+export function expandCourse(course) {
+    return course.sections.flatMap(section =>
+        Array.from({ length: section.count }, (_, i) => ({
+            type: section.type,
+            interval: section.interval,
+            gap: section.gap,
+            position: section.position === 'alternate' ? i % 2 : section.position,
+            hold: section.hold,
+            label: i === 0 ? section.label || null : null
+        })));
+}
+
+/**
+ * Course file contents, as the editor exports it
+ */
+export function serializeCourse(course) {
+    const sections = course.sections.map(section => {
+        const file = { label: section.label, type: section.type, count: section.count };
+        for (const field of ['interval', 'gap', 'position', 'hold']) {
+            if (section[field] !== null) file[field] = section[field];
+        }
+        return file;
+    });
+
+    const file = { version: COURSE_VERSION, name: course.name };
+    if (course.mode) file.mode = course.mode;
+    if (course.difficulty) file.difficulty = course.difficulty;
+    file.sections = sections;
+    return JSON.stringify(file, null, 2);
+}
+
+/**
+ * Course the editor last handed to the game, null if there is none
+ */
+export function loadSavedCourse() {
+    try {
+        return parseCourse(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+    } catch {
+        return null;
+    }
+}
+
+export function saveCourse(course) {
+    try {
+        localStorage.setItem(STORAGE_KEY, serializeCourse(course));
+    } catch {
+        // Ignore storage errors
+    }
+}
@@ -0,0 +1,138 @@
+/**
+ * Difficulty presets
+ * Everything that shapes how hard a run gets: pipe speed and how fast it
+ * ramps up, gap size and how fast it closes, spawn rate and how far gaps
+ * jump around. Scores are ranked separately per preset.
+ */
+
+const STORAGE_KEY = 'flappyPushupDifficulty';
+
+export const DEFAULT_PRESET = 'normal';
+
+/**
+ * Tunable values (sizes are in world units, see WORLD_HEIGHT in game.js):
+ *   pipeSpeed      units per tick at the start of a run
+ *   speedIncrease  extra units per tick for every pipe passed
+ *   pipeGap        gap between top and bottom pipe at the start of a run
+ *   gapShrink      units the gap closes by for every pipe passed
+ *   minGap         smallest the gap gets
+ *   spawnInterval  milliseconds between pipes
+ *   gapVariance    0..1, how much of the free height gaps are spread over (1 = anywhere)
+ *   adaptivity     0..1, how strongly the director (director.js) fits pipes to the player's reps
+ *   forgiveness    units shaved off each edge of the bottle's hitbox (collision.js)
+ *   lives          crashes a run can take (1 = the first one ends it)
+ */
+export const DIFFICULTY_PRESETS = {
+    easy: {
+        label: 'Easy',
+        pipeSpeed: 2.2,
+        speedIncrease: 0.08,
+        pipeGap: 240,
+        gapShrink: 1,
+        minGap: 170,
+        spawnInterval: 2600,
+        gapVariance: 0.5,
+        adaptivity: 1,
+        forgiveness: 8,
+        lives: 3
+    },
+    // The original hard-coded tuning, plus adaptive pipes and a forgiving
+    // hitbox; bests from before it was retuned stay on ':classic' boards
+    normal: {
+        label: 'Normal',
+        pipeSpeed: 3,
+        speedIncrease: 0.2,  // The old 0.1 per point was applied twice
+        pipeGap: 180,
+        gapShrink: 2,
+        minGap: 120,
+        spawnInterval: 2000,
+        gapVariance: 1,
+        adaptivity: 0.5,
+        forgiveness: 5,
+        lives: 1
+    },
+    hard: {
+        label: 'Hard',
+        pipeSpeed: 4,
+        speedIncrease: 0.25,
+        pipeGap: 160,
+        gapShrink: 3,
+        minGap: 100,
+        spawnInterval: 1600,
+        gapVariance: 1,
+        adaptivity: 0.25,
+        forgiveness: 2,
+        lives: 1
+    },
+    custom: {
+        label: 'Custom'
+    }
+};
+
+// Tunable keys with their settings panel labels and accepted ranges
+export const DIFFICULTY_FIELDS = {
+    pipeSpeed: { label: 'Pipe speed', min: 1, max: 10, step: 0.1 },
+    speedIncrease: { label: 'Speed-up per pipe', min: 0, max: 1, step: 0.01 },
+    pipeGap: { label: 'Starting gap (units)', min: 100, max: 400, step: 5 },
+    gapShrink: { label: 'Gap shrink per pipe (units)', min: 0, max: 10, step: 0.5 },
+    minGap: { label: 'Smallest gap (units)', min: 80, max: 400, step: 5 },
+    spawnInterval: { label: 'Time between pipes (ms)', min: 800, max: 5000, step: 100 },
+    gapVariance: { label: 'Gap height variance (0-1)', min: 0, max: 1, step: 0.05 },
+    adaptivity: { label: 'Adapt to my reps (0-1)', min: 0, max: 1, step: 0.05 },
+    forgiveness: { label: 'Hitbox forgiveness (units)', min: 0, max: 15, step: 1 },
+    lives: { label: 'Lives', min: 1, max: 5, step: 1 }
+};
+
+function clamp(value, { min, max }) {
+    return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Full settings for a preset; custom values fill in from normal and are
+ * clamped to DIFFICULTY_FIELDS
+ * @param {string} preset - Key of DIFFICULTY_PRESETS
+ * @param {Object} [custom] - Values for the custom preset
+ * @returns {Object} {preset, label, ...tunables}
+ */
+export function resolveDifficulty(preset = DEFAULT_PRESET, custom = {}) {
+    if (!DIFFICULTY_PRESETS[preset]) {
+        preset = DEFAULT_PRESET;
+    }
+
+    const settings = { ...DIFFICULTY_PRESETS[DEFAULT_PRESET], ...DIFFICULTY_PRESETS[preset], preset };
+
+    if (preset === 'custom') {
+        for (const [key, limits] of Object.entries(DIFFICULTY_FIELDS)) {
+            const value = Number(custom[key]);
+            if (Number.isFinite(value)) {
+                settings[key] = clamp(value, limits);
+            }
+        }
+    }
+
+    return settings;
+}
+
+/**
+ * The player's saved choice
+ * @returns {{preset: string, custom: Object}}
+ */
+export function loadDifficulty() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        return {
+            preset: DIFFICULTY_PRESETS[saved.preset] ? saved.preset : DEFAULT_PRESET,
+            custom: saved.custom || {}
+        };
+    } catch {
+        return { preset: DEFAULT_PRESET, custom: {} };
+    }
+}
+
+export function saveDifficulty({ preset, custom }) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ preset, custom }));
+    } catch {
+        // Ignore storage errors
+    }
+}
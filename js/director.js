@@ -0,0 +1,149 @@
+/**
+ * Adaptive difficulty director
+ * Watches the player's reps (depth and tempo) and shapes pipe placement to
+ * match: gaps stay inside the range the player is actually moving through,
+ * and the course eases off when reps slow down or get shallower, then pushes
+ * harder while the player is fresh.
+ *
+ * Fed with RepCounter events from inside the game tick, so it stays
+ * deterministic for replays. The course then depends on how the player
+ * moves, not only on the seed: runs that others must see the same course
+ * for (challenges, ghosts) set fixedCourse, which turns the shaping off.
+ */
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+export class Director {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.adaptivity] - 0 (off) to 1, how strongly the course reacts
+     * @param {number} [options.windowSize] - Recent reps the current form is judged on
+     * @param {number} [options.baselineReps] - Reps that set the fresh baseline
+     * @param {number} [options.slowdown] - Relative rep slowdown that counts as fully fatigued
+     * @param {number} [options.depthLoss] - Relative amplitude loss that counts as fully fatigued
+     */
+    constructor(options = {}) {
+        this.adaptivity = options.adaptivity ?? 0.5;
+        this.windowSize = options.windowSize ?? 5;
+        this.baselineReps = options.baselineReps ?? 3;
+        this.slowdown = options.slowdown ?? 0.5;
+        this.depthLoss = options.depthLoss ?? 0.3;
+        this.fixedCourse = options.fixedCourse ?? false;  // Leave the course to the seed alone
+
+        this.reset();
+    }
+
+    reset() {
+        this.reps = [];            // Recent complete reps: {minY, maxY, amplitude, duration}
+        this.baseline = null;      // {amplitude, duration} when fresh
+        this.lastRepTime = null;
+    }
+
+    /**
+     * Feed a rep from RepCounter (partial reps are ignored)
+     */
+    addRep(rep) {
+        if (!rep.complete) return;
+
+        this.lastRepTime = rep.endTime;
+        this.reps.push({
+            minY: rep.minY,
+            maxY: rep.maxY,
+            amplitude: rep.amplitude,
+            duration: rep.duration
+        });
+        if (this.reps.length > this.windowSize) {
+            this.reps.shift();
+        }
+
+        const recent = this.getRecentForm();
+        if (!this.baseline) {
+            if (this.reps.length >= this.baselineReps) {
+                this.baseline = recent;
+            }
+        } else {
+            // A better stretch than the baseline means they warmed up
+            this.baseline = {
+                amplitude: Math.max(this.baseline.amplitude, recent.amplitude),
+                duration: Math.min(this.baseline.duration, recent.duration)
+            };
+        }
+    }
+
+    getRecentForm() {
+        return {
+            amplitude: median(this.reps.map(r => r.amplitude)),
+            duration: median(this.reps.map(r => r.duration))
+        };
+    }
+
+    /**
+     * 0 (fresh) to 1 (spent), from slowing and shallowing reps
+     * @param {number} time - Current game time in ms
+     */
+    getFatigue(time) {
+        if (!this.baseline) return 0;
+
+        const recent = this.getRecentForm();
+
+        // Not repping at all is the slowest tempo of all
+        const sinceLast = time - this.lastRepTime;
+        const duration = Math.max(recent.duration, sinceLast / 2);
+
+        const slow = (duration / this.baseline.duration - 1) / this.slowdown;
+        const shallow = (1 - recent.amplitude / this.baseline.amplitude) / this.depthLoss;
+        return clamp(Math.max(slow, shallow), 0, 1);
+    }
+
+    /**
+     * -1 (ease off) to 1 (push), scaled by adaptivity; 0 until there's a baseline
+     */
+    getIntensity(time) {
+        if (!this.baseline) return 0;
+        return (1 - 2 * this.getFatigue(time)) * this.adaptivity;
+    }
+
+    /**
+     * Normalized (0 = top, 1 = bottom) band of positions the player has been
+     * reaching lately, or the full range before any reps
+     */
+    getReach() {
+        if (this.reps.length === 0 || this.adaptivity === 0) {
+            return { top: 0, bottom: 1 };
+        }
+        return {
+            top: median(this.reps.map(r => r.minY)),
+            bottom: median(this.reps.map(r => r.maxY))
+        };
+    }
+
+    /**
+     * How the next pipe should be shaped (unchanged on a fixed course)
+     * @param {number} time - Current game time in ms
+     * @returns {{gapScale: number, spawnScale: number, spread: number, reach: {top: number, bottom: number}}}
+     *   gapScale   multiplier for the gap size
+     *   spawnScale multiplier for the time to the next pipe
+     *   spread     0..1 share of the reachable band the gap may be placed across
+     */
+    getAdjustments(time) {
+        if (this.fixedCourse) {
+            return { gapScale: 1, spawnScale: 1, spread: 1, reach: { top: 0, bottom: 1 } };
+        }
+
+        const intensity = this.getIntensity(time);
+        return {
+            gapScale: 1 - 0.2 * intensity,
+            spawnScale: 1 - 0.15 * intensity,
+            spread: 1 - 0.25 * (this.adaptivity - intensity),
+            reach: this.getReach()
+        };
+    }
+}
@@ -0,0 +1,388 @@
+/**
+ * Course editor (editor.html)
+ * Builds a scripted course (see course.js) section by section, previews it
+ * laid out the way the game will spawn it, imports and exports course files,
+ * and hands the course to the game to play.
+ */
+
+import { FlappyGame, FIXED_TIMESTEP_MS, WORLD_WIDTH, WORLD_HEIGHT, BIRD_X } from './game.js';
+import { Renderer } from './renderer.js';
+import { OBSTACLE_TYPES } from './obstacles.js';
+import { RACE_MODES, createGameMode } from './modes.js';
+import { DIFFICULTY_PRESETS, resolveDifficulty } from './difficulty.js';
+import { MemoryStorage } from './platform.js';
+import {
+    createExampleCourse, parseCourse, expandCourse, serializeCourse, loadSavedCourse, saveCourse
+} from './course.js';
+
+// Names in the obstacle picker
+const OBSTACLE_LABELS = {
+    pipe: 'Pipe',
+    oscillating: 'Moving gap',
+    tunnel: 'Plank hold (tunnel)',
+    doubleGap: 'High-low pair',
+    narrowing: 'Closing gap'
+};
+
+// Gap positions offered in the picker (others from imported files are added as they come)
+const POSITIONS = [
+    [0, 'Top'],
+    [0.25, 'High'],
+    [0.5, 'Middle'],
+    [0.75, 'Low'],
+    [1, 'Bottom'],
+    ['alternate', 'Alternate top/bottom']
+];
+
+// Preview strip height in pixels, and the widest it gets before it's scaled down
+const PREVIEW_HEIGHT = 240;
+const MAX_PREVIEW_WIDTH = 16000;
+
+// Time marks along the bottom of the preview
+const TIME_MARK_MS = 10000;
+
+class CourseEditor {
+    constructor() {
+        this.nameInput = document.getElementById('course-name');
+        this.modeSelect = document.getElementById('course-mode');
+        this.difficultySelect = document.getElementById('course-difficulty');
+        this.sectionList = document.getElementById('section-list');
+        this.addSectionBtn = document.getElementById('add-section-btn');
+        this.newBtn = document.getElementById('new-btn');
+        this.importInput = document.getElementById('import-input');
+        this.exportBtn = document.getElementById('export-btn');
+        this.playBtn = document.getElementById('play-btn');
+        this.errorText = document.getElementById('course-error');
+        this.summaryText = document.getElementById('course-summary');
+        this.previewCanvas = document.getElementById('preview');
+
+        // The game's own pipe drawing, used on the preview strip
+        this.renderer = new Renderer(this.previewCanvas, null);
+
+        // Last version of the form that made a valid course
+        this.course = null;
+
+        // Bind methods
+        this.update = this.update.bind(this);
+        this.handleSectionClick = this.handleSectionClick.bind(this);
+    }
+
+    initialize() {
+        this.modeSelect.add(new Option("Player's choice", ''));
+        for (const id of RACE_MODES) {
+            this.modeSelect.add(new Option(createGameMode(id).label, id));
+        }
+        this.difficultySelect.add(new Option("Player's choice", ''));
+        for (const [id, preset] of Object.entries(DIFFICULTY_PRESETS)) {
+            if (id !== 'custom') {
+                this.difficultySelect.add(new Option(preset.label, id));
+            }
+        }
+
+        // Any edit re-checks the course and redraws the preview
+        for (const element of [this.nameInput, this.modeSelect, this.difficultySelect, this.sectionList]) {
+            element.addEventListener('input', this.update);
+            element.addEventListener('change', this.update);
+        }
+        this.sectionList.addEventListener('click', this.handleSectionClick);
+
+        this.addSectionBtn.addEventListener('click', () => {
+            this.sectionList.append(this.createSectionRow({ label: '', type: 'pipe', count: 5, position: 0.5 }));
+            this.update();
+        });
+        this.newBtn.addEventListener('click', () => this.load(parseCourse(createExampleCourse())));
+        this.importInput.addEventListener('change', () => {
+            if (this.importInput.files[0]) {
+                this.importCourse(this.importInput.files[0]);
+            }
+            this.importInput.value = '';
+        });
+        this.exportBtn.addEventListener('click', () => this.exportCourse());
+        this.playBtn.addEventListener('click', () => this.play());
+
+        // Carry on from the course last edited or played
+        this.load(loadSavedCourse() ?? parseCourse(createExampleCourse()));
+    }
+
+    /**
+     * Fill the form from a course
+     * @param {Object} course - From parseCourse()
+     */
+    load(course) {
+        this.nameInput.value = course.name;
+        this.modeSelect.value = course.mode ?? '';
+        this.difficultySelect.value = course.difficulty ?? '';
+        this.sectionList.replaceChildren(...course.sections.map(section => this.createSectionRow(section)));
+        this.update();
+    }
+
+    /**
+     * Table row editing one section; times are shown in seconds
+     */
+    createSectionRow(section) {
+        const row = document.createElement('tr');
+
+        const label = this.createInput('text', section.label, { name: 'label', placeholder: 'Shown over it' });
+        const type = document.createElement('select');
+        type.name = 'type';
+        for (const id of Object.keys(OBSTACLE_TYPES)) {
+            type.add(new Option(OBSTACLE_LABELS[id] ?? id, id));
+        }
+        type.value = section.type;
+
+        const position = document.createElement('select');
+        position.name = 'position';
+        for (const [value, text] of POSITIONS) {
+            position.add(new Option(text, value));
+        }
+        if (!POSITIONS.some(([value]) => value === section.position)) {
+            position.add(new Option(`${section.position}`, section.position));
+        }
+        position.value = section.position;
+
+        const cells = [
+            label,
+            type,
+            this.createInput('number', section.count, { name: 'count', min: 1, step: 1 }),
+            this.createInput('number', toSeconds(section.interval), { name: 'interval', min: 0.8, step: 0.1, placeholder: 'Default' }),
+            this.createInput('number', section.gap ?? '', { name: 'gap', min: 120, step: 10, placeholder: 'Default' }),
+            position,
+            this.createInput('number', toSeconds(section.hold), { name: 'hold', min: 0.5, step: 0.5, placeholder: '2' })
+        ];
+
+        const actions = document.createElement('td');
+        actions.className = 'section-actions';
+        for (const [action, text, title] of [['up', '↑', 'Move up'], ['down', '↓', 'Move down'], ['remove', '✕', 'Remove']]) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.action = action;
+            button.textContent = text;
+            button.title = title;
+            actions.append(button);
+        }
+
+        for (const control of cells) {
+            const cell = document.createElement('td');
+            cell.append(control);
+            row.append(cell);
+        }
+        row.append(actions);
+        return row;
+    }
+
+    createInput(type, value, attributes) {
+        const input = document.createElement('input');
+        input.type = type;
+        input.value = value ?? '';
+        Object.assign(input, attributes);
+        return input;
+    }
+
+    /**
+     * Move or remove a section from its row's buttons
+     */
+    handleSectionClick(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const row = button.closest('tr');
+        if (button.dataset.action === 'up' && row.previousElementSibling) {
+            row.previousElementSibling.before(row);
+        } else if (button.dataset.action === 'down' && row.nextElementSibling) {
+            row.nextElementSibling.after(row);
+        } else if (button.dataset.action === 'remove') {
+            row.remove();
+        }
+        this.update();
+    }
+
+    /**
+     * The form as course file data (not yet checked)
+     */
+    readForm() {
+        const sections = [...this.sectionList.rows].map((row) => {
+            const field = name => row.querySelector(`[name="${name}"]`);
+            const number = name => field(name).value === '' ? undefined : Number(field(name).value);
+            const position = field('position').value;
+
+            return {
+                label: field('label').value,
+                type: field('type').value,
+                count: number('count'),
+                interval: fromSeconds(number('interval')),
+                gap: number('gap'),
+                position: position === 'alternate' ? position : Number(position),
+                hold: field('type').value === 'tunnel' ? fromSeconds(number('hold')) : undefined
+            };
+        });
+
+        return {
+            name: this.nameInput.value,
+            mode: this.modeSelect.value || undefined,
+            difficulty: this.difficultySelect.value || undefined,
+            sections
+        };
+    }
+
+    /**
+     * Check the form, and keep and preview the course if it's valid
+     */
+    update() {
+        // Only tunnels have a hold time
+        for (const row of this.sectionList.rows) {
+            row.querySelector('[name="hold"]').disabled = row.querySelector('[name="type"]').value !== 'tunnel';
+        }
+
+        try {
+            this.course = parseCourse(this.readForm());
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        this.showError(null);
+        saveCourse(this.course);
+        this.drawPreview();
+    }
+
+    showError(message) {
+        this.errorText.textContent = message ?? '';
+        this.errorText.classList.toggle('hidden', !message);
+        this.exportBtn.disabled = Boolean(message);
+        this.playBtn.disabled = Boolean(message);
+    }
+
+    /**
+     * Every obstacle placed as the game would spawn it, at the starting speed
+     * @returns {{game: FlappyGame, obstacles: Object[], length: number, duration: number}}
+     *   length in world units from the first obstacle to the end of the last,
+     *   duration in ms from the start of play until the last one is passed
+     */
+    layoutCourse(course) {
+        const game = new FlappyGame({ storage: new MemoryStorage() });
+        game.setMode(course.mode);
+        game.setDifficulty(resolveDifficulty(course.difficulty ?? undefined));
+
+        const ticks = ms => ms / FIXED_TIMESTEP_MS;
+        const obstacles = [];
+        let x = 0;
+
+        for (const entry of expandCourse(course)) {
+            const obstacle = game.placeCourseObstacle(entry, x);
+            obstacles.push(obstacle);
+            x += game.pipeSpeed * ticks(entry.interval ?? game.pipeSpawnInterval) + obstacle.width - game.pipeWidth;
+        }
+
+        const last = obstacles[obstacles.length - 1];
+        const length = last.x + last.width;
+        const duration = game.pipeSpawnInterval +
+            (last.x + last.width + WORLD_WIDTH - BIRD_X) / game.pipeSpeed * FIXED_TIMESTEP_MS;
+        return { game, obstacles, length, duration };
+    }
+
+    /**
+     * Draw the whole course as one strip, in the game's look, with the
+     * player's reach and a time scale
+     */
+    drawPreview() {
+        const { game, obstacles, length, duration } = this.layoutCourse(this.course);
+        const margin = game.pipeWidth;
+        const scale = Math.min(PREVIEW_HEIGHT / WORLD_HEIGHT, MAX_PREVIEW_WIDTH / (length + margin * 2));
+
+        const canvas = this.previewCanvas;
+        canvas.width = Math.max(canvas.parentElement.clientWidth, Math.ceil((length + margin * 2) * scale));
+        canvas.height = Math.ceil(WORLD_HEIGHT * scale);
+        const ctx = canvas.getContext('2d');
+        const worldWidth = canvas.width / scale;
+        const groundY = WORLD_HEIGHT - game.groundHeight;
+
+        ctx.setTransform(scale, 0, 0, scale, margin * scale, 0);
+        ctx.fillStyle = '#87CEEB';
+        ctx.fillRect(-margin, 0, worldWidth, WORLD_HEIGHT);
+        ctx.fillStyle = this.renderer.colors.ground;
+        ctx.fillRect(-margin, groundY, worldWidth, game.groundHeight);
+        ctx.fillStyle = this.renderer.colors.groundGrass;
+        ctx.fillRect(-margin, groundY, worldWidth, 10);
+
+        // Top and bottom of the push-up, where the bird can go
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.lineWidth = 2 / scale;
+        ctx.setLineDash([8 / scale, 8 / scale]);
+        for (const y of [game.poseToWorldY(0), game.poseToWorldY(1)]) {
+            ctx.beginPath();
+            ctx.moveTo(-margin, y);
+            ctx.lineTo(worldWidth, y);
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+
+        this.renderer.drawPipes({
+            groundHeight: game.groundHeight,
+            pipes: obstacles.map(obstacle => obstacle.getRenderState(obstacle.x))
+        });
+
+        // Seconds into the run at each point, counting from the first obstacle
+        // reaching the bird
+        const unitsPerMs = game.pipeSpeed / FIXED_TIMESTEP_MS;
+        const firstPass = game.pipeSpawnInterval + (WORLD_WIDTH - BIRD_X) / unitsPerMs;
+        ctx.font = 'bold 28px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#FFFFFF';
+        for (let ms = Math.ceil(firstPass / TIME_MARK_MS) * TIME_MARK_MS; ms <= duration; ms += TIME_MARK_MS) {
+            const x = (ms - firstPass) * unitsPerMs;
+            ctx.fillRect(x - 1.5, groundY, 3, 16);
+            ctx.fillText(formatTime(ms), x, groundY + 46);
+        }
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+        this.summaryText.textContent = `${obstacles.length} obstacles, about ${formatTime(duration)} ` +
+            'at the starting speed';
+    }
+
+    exportCourse() {
+        if (!this.course) return;
+
+        const blob = new Blob([serializeCourse(this.course)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${this.course.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'course'}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    async importCourse(file) {
+        try {
+            this.load(parseCourse(JSON.parse(await file.text())));
+        } catch (error) {
+            this.showError(`Couldn't import ${file.name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Open the game on this course
+     */
+    play() {
+        if (!this.course) return;
+        saveCourse(this.course);
+        window.location.href = 'index.html?course=saved';
+    }
+}
+
+function toSeconds(ms) {
+    return ms === null || ms === undefined ? '' : ms / 1000;
+}
+
+function fromSeconds(seconds) {
+    return seconds === undefined ? undefined : Math.round(seconds * 1000);
+}
+
+function formatTime(ms) {
+    const seconds = Math.round(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Start the editor when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    const editor = new CourseEditor();
+    editor.initialize();
+});
@@ -0,0 +1,47 @@
+/**
+ * Minimal synchronous event emitter
+ * Shared by the game and its state machine so anything (HUD, sound,
+ * analytics) can react to what happens without polling getState()
+ */
+
+export class EventEmitter {
+    constructor() {
+        this.listeners = {};
+    }
+
+    /**
+     * Subscribe to an event
+     * @returns {Function} Unsubscribe
+     */
+    on(event, listener) {
+        (this.listeners[event] ||= []).push(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Subscribe for a single emission
+     * @returns {Function} Unsubscribe
+     */
+    once(event, listener) {
+        const off = this.on(event, (payload) => {
+            off();
+            listener(payload);
+        });
+        return off;
+    }
+
+    off(event, listener) {
+        if (!this.listeners[event]) return;
+        this.listeners[event] = this.listeners[event].filter(l => l !== listener);
+    }
+
+    /**
+     * Call every listener for an event; listeners added or removed while
+     * emitting take effect from the next emit
+     */
+    emit(event, payload) {
+        for (const listener of [...(this.listeners[event] || [])]) {
+            listener(payload);
+        }
+    }
+}
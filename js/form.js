@@ -0,0 +1,237 @@
+/**
+ * Push-up form analysis
+ * Scores each rep for depth, lockout and hip alignment using the
+ * elbow, wrist and hip landmarks
+ */
+
+// Landmarks below this visibility are ignored
+const MIN_VISIBILITY = 0.5;
+
+// Hip alignment is only judged when the torso isn't foreshortened
+// (i.e. the camera sees the body from the side rather than head-on)
+const MIN_TORSO_TO_ARM_RATIO = 0.8;
+
+export const FormIssue = {
+    HALF_REP: 'half_rep',       // Never reached the bottom position
+    SHALLOW: 'shallow',         // Elbows didn't bend enough at the bottom
+    NO_LOCKOUT: 'no_lockout',   // Elbows didn't straighten at the top
+    HIPS_SAGGING: 'hips_sagging',
+    HIPS_PIKED: 'hips_piked'
+};
+
+/**
+ * Angle at vertex b formed by points a and c, in degrees
+ */
+function angleAt(a, b, c) {
+    const abx = a.x - b.x;
+    const aby = a.y - b.y;
+    const cbx = c.x - b.x;
+    const cby = c.y - b.y;
+
+    const dot = abx * cbx + aby * cby;
+    const lengths = Math.hypot(abx, aby) * Math.hypot(cbx, cby);
+    if (lengths === 0) return null;
+
+    const cos = Math.max(-1, Math.min(1, dot / lengths));
+    return Math.acos(cos) * 180 / Math.PI;
+}
+
+function isVisible(...points) {
+    return points.every(p => p && (p.visibility ?? 1) > MIN_VISIBILITY);
+}
+
+/**
+ * Extremes of the form metrics over a run of samples
+ */
+function createSpan() {
+    return { minElbow: null, minBody: null, maxBody: null };
+}
+
+function addToSpan(span, elbowAngle, bodyAngle) {
+    if (elbowAngle !== null && elbowAngle !== undefined) {
+        span.minElbow = span.minElbow === null ? elbowAngle : Math.min(span.minElbow, elbowAngle);
+    }
+    if (bodyAngle !== null && bodyAngle !== undefined) {
+        span.minBody = span.minBody === null ? bodyAngle : Math.min(span.minBody, bodyAngle);
+        span.maxBody = span.maxBody === null ? bodyAngle : Math.max(span.maxBody, bodyAngle);
+    }
+}
+
+/**
+ * Compute per-frame form metrics from MediaPipe landmarks
+ * Uses whichever body side the camera sees best.
+ * @returns {{elbowAngle: number|null, bodyAngle: number|null}}
+ *   elbowAngle - shoulder-elbow-wrist angle (180 = arm straight)
+ *   bodyAngle  - hip-shoulder-wrist angle (~90 with a straight plank,
+ *                smaller when hips sag, larger when they pike)
+ */
+export function computeFormMetrics(landmarks, indices) {
+    const sides = [
+        {
+            shoulder: landmarks[indices.LEFT_SHOULDER],
+            elbow: landmarks[indices.LEFT_ELBOW],
+            wrist: landmarks[indices.LEFT_WRIST],
+            hip: landmarks[indices.LEFT_HIP]
+        },
+        {
+            shoulder: landmarks[indices.RIGHT_SHOULDER],
+            elbow: landmarks[indices.RIGHT_ELBOW],
+            wrist: landmarks[indices.RIGHT_WRIST],
+            hip: landmarks[indices.RIGHT_HIP]
+        }
+    ];
+
+    const visibilityOf = (side) => Math.min(
+        ...Object.values(side).map(p => p?.visibility ?? 0)
+    );
+    const side = visibilityOf(sides[0]) >= visibilityOf(sides[1]) ? sides[0] : sides[1];
+
+    const elbowAngle = isVisible(side.shoulder, side.elbow, side.wrist) ?
+        angleAt(side.shoulder, side.elbow, side.wrist) : null;
+    let bodyAngle = null;
+    if (isVisible(side.hip, side.shoulder, side.wrist)) {
+        const torso = Math.hypot(side.hip.x - side.shoulder.x, side.hip.y - side.shoulder.y);
+        const arm = Math.hypot(side.wrist.x - side.shoulder.x, side.wrist.y - side.shoulder.y);
+
+        if (torso >= arm * MIN_TORSO_TO_ARM_RATIO) {
+            bodyAngle = angleAt(side.hip, side.shoulder, side.wrist);
+        }
+    }
+
+    return { elbowAngle, bodyAngle };
+}
+
+/**
+ * Accumulates form metrics over a rep and assesses it when it ends
+ *
+ * Lockout is judged over a short window after the rep counter reports the
+ * rep, because the shoulders reach the top slightly before the arms finish
+ * straightening.
+ */
+export class FormAnalyzer {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.depthAngle] - Elbow angle needed at the bottom
+     * @param {number} [options.lockoutAngle] - Elbow angle needed at the top
+     * @param {number} [options.sagAngle] - Below this the hips are sagging
+     * @param {number} [options.pikeAngle] - Above this the hips are piked
+     * @param {number} [options.lockoutWindow] - Time allowed to lock out after a rep (ms)
+     */
+    constructor(options = {}) {
+        this.depthAngle = options.depthAngle ?? 100;
+        this.lockoutAngle = options.lockoutAngle ?? 155;
+        this.sagAngle = options.sagAngle ?? 65;
+        this.pikeAngle = options.pikeAngle ?? 125;
+        this.lockoutWindow = options.lockoutWindow ?? 500;
+
+        this.reset();
+    }
+
+    reset() {
+        this.span = createSpan();    // Samples of the rep being judged
+        this.nextSpan = null;        // Samples since the pending rep ended (the next rep's)
+        this.lockoutElbow = null;
+        this.pendingRep = null;
+        this.pendingUntil = 0;
+        this.judged = [];            // Assessments not handed out yet
+    }
+
+    /**
+     * Feed one sample
+     * @param {Object|null} metrics - From computeFormMetrics()
+     * @param {number} time - Timestamp in milliseconds
+     * @param {Object|null} rep - Rep event from RepCounter, if one just ended
+     * @returns {Object|null} Assessment once a rep has been fully judged
+     */
+    update(metrics, time, rep = null) {
+        if (metrics) {
+            this.addSample(metrics);
+        }
+
+        if (this.pendingRep && (time >= this.pendingUntil || rep)) {
+            this.judged.push(this.assess(this.pendingRep));
+        }
+
+        if (rep && rep.complete) {
+            this.pendingRep = rep;
+            this.pendingUntil = time + this.lockoutWindow;
+            this.lockoutElbow = metrics?.elbowAngle ?? null;
+        } else if (rep) {
+            // Half reps don't need a lockout check
+            this.judged.push(this.assess(rep));
+        }
+
+        // One per sample: a half rep judged along with a pending rep follows on the next
+        return this.judged.shift() ?? null;
+    }
+
+    /**
+     * Drop the samples of a rep the rep counter threw out, so they aren't
+     * judged as part of the next one
+     */
+    discard() {
+        if (this.pendingRep) {
+            this.nextSpan = null;
+        } else {
+            this.span = createSpan();
+        }
+    }
+
+    addSample({ elbowAngle, bodyAngle }) {
+        addToSpan(this.span, elbowAngle, bodyAngle);
+
+        if (this.pendingRep) {
+            this.nextSpan ??= createSpan();
+            addToSpan(this.nextSpan, elbowAngle, bodyAngle);
+
+            if (elbowAngle !== null && elbowAngle !== undefined) {
+                this.lockoutElbow = this.lockoutElbow === null ?
+                    elbowAngle : Math.max(this.lockoutElbow, elbowAngle);
+            }
+        }
+    }
+
+    /**
+     * Judge a rep and start collecting for the next one, which keeps the
+     * samples taken since the judged rep ended
+     * Checks whose landmarks weren't visible are given the benefit of the doubt.
+     */
+    assess(rep) {
+        const span = this.span;
+        const issues = [];
+
+        if (!rep.complete) {
+            issues.push(FormIssue.HALF_REP);
+        } else if (span.minElbow !== null && span.minElbow > this.depthAngle) {
+            issues.push(FormIssue.SHALLOW);
+        }
+
+        if (rep.complete && this.lockoutElbow !== null &&
+            this.lockoutElbow < this.lockoutAngle) {
+            issues.push(FormIssue.NO_LOCKOUT);
+        }
+
+        if (span.minBody !== null && span.minBody < this.sagAngle) {
+            issues.push(FormIssue.HIPS_SAGGING);
+        } else if (span.maxBody !== null && span.maxBody > this.pikeAngle) {
+            issues.push(FormIssue.HIPS_PIKED);
+        }
+
+        const assessment = {
+            rep,
+            issues,
+            clean: issues.length === 0,
+            minElbowAngle: span.minElbow,
+            lockoutElbowAngle: this.lockoutElbow,
+            bodyAngleRange: span.minBody === null ? null :
+                [span.minBody, span.maxBody]
+        };
+
+        this.span = this.nextSpan ?? createSpan();
+        this.nextSpan = null;
+        this.lockoutElbow = null;
+        this.pendingRep = null;
+
+        return assessment;
+    }
+}
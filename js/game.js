@@ -3,117 +3,437 @@
  * Controls bird movement, pipe generation, collision detection, and scoring
  */
 
+import { SeededRandom, generateSeed } from './random.js';
+import { RepCounter } from './reps.js';
+import { FormAnalyzer } from './form.js';
+import { StateMachine } from './state-machine.js';
+import { EventEmitter } from './events.js';
+import { createGameMode } from './modes.js';
+import { DEFAULT_CONTROLS, createControlScheme } from './controls.js';
+import { resolveDifficulty } from './difficulty.js';
+import { Director } from './director.js';
+import { CollisionCause, chooseObstacleType, createObstacle } from './obstacles.js';
+import { getBottleHitbox, hitboxesOverlap, shape, circle } from './collision.js';
+import { PickupType, POWER_UPS, VITAMIN_POINTS, PICKUP_RADIUS, choosePickup } from './pickups.js';
+import { getDefaultStorage, systemClock } from './platform.js';
+import { GhostRecorder, loadGhost, saveGhost } from './ghost.js';
+import { expandCourse } from './course.js';
+
+export { CollisionCause };
+
 export const GameState = {
+    CALIBRATING: 'calibrating',
     WAITING: 'waiting',
+    COUNTDOWN: 'countdown',
     PLAYING: 'playing',
-    GAME_OVER: 'game_over'
+    PAUSED: 'paused',
+    GAME_OVER: 'game_over',
+    RESULTS: 'results',
+    CONTINUING: 'continuing'  // Earning a continue with push-ups
 };
 
-export class FlappyGame {
-    constructor(canvasWidth, canvasHeight) {
-        this.width = canvasWidth;
-        this.height = canvasHeight;
+// States during which a run is in progress (and being recorded)
+const RUN_STATES = [GameState.COUNTDOWN, GameState.PLAYING, GameState.PAUSED, GameState.CONTINUING];
+
+// Simulation runs at a fixed rate regardless of display refresh rate.
+// All per-tick tuning values (pipe speed, bird smoothing) assume this rate.
+export const FIXED_TIMESTEP_MS = 1000 / 60;
+
+// The game world, in resolution-independent units; Renderer maps it onto
+// the canvas, so resizing or rotating the screen never touches a run
+export const WORLD_WIDTH = 1280;   // Pipes spawn at the right edge
+export const WORLD_HEIGHT = 720;
+export const BIRD_X = WORLD_WIDTH * 0.2;
+
+// Obstacles are dropped once this far behind the bird (well off any screen)
+const DESPAWN_DISTANCE = WORLD_WIDTH;
+
+// Longest frame we will simulate in one go (tab switches, debugger pauses)
+const MAX_FRAME_TIME_MS = 250;
+
+// Phase timings in milliseconds
+export const COUNTDOWN_MS = 3000;     // Before play starts or resumes
+const GAME_OVER_MS = 1000;            // Crash moment before the results screen
+const RESULTS_MIN_MS = 1000;          // Results shown before play again is offered
+const CONTINUE_MS = 30000;            // Time to earn a continue
+const INVULNERABLE_MS = 2000;         // Grace period after losing a life or continuing
+
+// Clean push-ups that earn a continue
+export const CONTINUE_REPS = 10;
+
+/**
+ * Game flow. Timed states advance on simulation ticks, so the flow replays
+ * exactly; the renderer and DOM overlays subscribe to its hooks.
+ */
+function createGameStateMachine() {
+    const S = GameState;
+
+    return new StateMachine({
+        initial: S.WAITING,
+        states: {
+            [S.CALIBRATING]: { to: [S.WAITING] },
+            [S.WAITING]: { to: [S.CALIBRATING, S.COUNTDOWN] },
+            [S.COUNTDOWN]: { to: [S.PLAYING, S.PAUSED, S.WAITING], duration: COUNTDOWN_MS, next: S.PLAYING },
+            [S.PLAYING]: { to: [S.PAUSED, S.GAME_OVER, S.WAITING] },
+            [S.PAUSED]: { to: [S.COUNTDOWN, S.WAITING] },
+            [S.GAME_OVER]: { to: [S.RESULTS], duration: GAME_OVER_MS, next: S.RESULTS },
+            [S.RESULTS]: { to: [S.WAITING, S.CONTINUING], minDuration: RESULTS_MIN_MS },
+            [S.CONTINUING]: { to: [S.COUNTDOWN, S.RESULTS, S.WAITING], duration: CONTINUE_MS, next: S.RESULTS }
+        }
+    });
+}
+
+/**
+ * Events (subscribe with on()); all fire from inside simulation ticks:
+ *   'stateChange'       {from, to}         game state transition
+ *   'start'             {seed}             a new run began (countdown starts)
+ *   'pause' / 'resume'  {time}             tracking lost / counting back in
+ *   'rep'               {assessment, reps} a rep attempt was scored
+ *   'pipeSpawned'       {pipe}
+ *   'pipePassed'        {pipe, score}
+ *   'difficultyChanged' {pipesPassed, pipeSpeed, pipeGap}
+ *   'collision'         {cause, pipe, shielded}  cause is a CollisionCause; pipe is null for
+ *                                          ground/ceiling; shielded if a shield took the hit
+ *   'pickupCollected'   {pickup}
+ *   'powerUpStarted'    {type, duration}
+ *   'powerUpEnded'      {type}
+ *   'lifeLost'          {lives}            a hit that didn't end the run
+ *   'continue'          {time}             the player went for a continue
+ *   'continueRep'       {reps, needed}     a clean push-up towards the continue
+ *   'gameOver'          {score, reps, repSummary, cause, completed}
+ */
+export class FlappyGame extends EventEmitter {
+    /**
+     * The core touches no DOM or browser API, so it also runs headless
+     * (see simulation.js)
+     * @param {Object} [options]
+     * @param {Object} [options.storage] - getItem/setItem store for high scores,
+     *   localStorage if there is one
+     * @param {Object} [options.clock] - now() in ms, for wall-clock timestamps
+     */
+    constructor(options = {}) {
+        super();
+        this.storage = options.storage ?? getDefaultStorage();
+        this.clock = options.clock ?? systemClock;
+        this.width = WORLD_WIDTH;
+        this.height = WORLD_HEIGHT;
 
         // Game state
-        this.state = GameState.WAITING;
-        this.score = 0;
-        this.highScore = this.loadHighScore();
+        this.machine = createGameStateMachine();
+        this.machine.on('change', (change) => this.emit('stateChange', change));
+        this.mode = createGameMode();
+        this.controls = createControlScheme();  // How the pose moves the bird
+        this.challenge = null;  // Fixed course everyone plays (the daily), null for random runs
+        this.course = null;     // Scripted obstacles (see course.js), null for random ones
+        this.courseObstacles = [];
+        this.courseIndex = 0;   // Next scripted obstacle to spawn
+        this.score = 0;        // As scored by the mode
+        this.pipesPassed = 0;  // Drives difficulty in every mode
+        this.bonus = 0;        // Points from pickups and double-score pipes
+        this.completed = false;  // Run ended by reaching the mode's goal
+        this.continued = false;  // Run was continued after a game over
+        this.continueReps = 0;   // Clean push-ups done towards a continue
+
+        // Lives (from the difficulty) and grace time left after losing one
+        this.lives = 1;
+        this.invulnerableTime = 0;
+        this.persistHighScore = true;  // Replays run on throwaway games
+
+        // Best run on the current board, raced when a run uses its seed
+        this.ghost = null;
+        this.raceGhost = true;        // Start runs on the ghost's course
+        this.ghostRecorder = new GhostRecorder();
+        this.ghostInRace = null;      // Ghost the current run is racing
+        this.loadPersonalBest();
+
+        // Seeded randomness so every run can be reproduced
+        this.seed = generateSeed();
+        this.random = new SeededRandom(this.seed);
+
+        // Last pose inputs (normalized Y and form metrics), plus optional
+        // per-tick input recorder
+        this.poseInput = null;
+        this.formInput = null;
+        this.recorder = null;
+
+        // Push-up reps, counted from the same per-tick pose input.
+        // Only clean reps count; the summary tracks every attempt.
+        this.repCounter = new RepCounter();
+        this.formAnalyzer = new FormAnalyzer();
+        this.repCounter.setDiscardCallback(() => this.formAnalyzer.discard());
+        this.director = new Director();  // Shapes pipes to the player's reps
+        this.reps = 0;
+        this.repSummary = this.createRepSummary();
+        this.lastRep = null;
+
+        // Simulated time in milliseconds, advanced by fixed ticks;
+        // playTime only counts ticks spent playing
+        this.time = 0;
+        this.playTime = 0;
 
         // Bird properties
         this.bird = {
-            x: canvasWidth * 0.2,  // Bird stays at 20% from left
-            y: canvasHeight / 2,
+            x: BIRD_X,  // Bird stays at 20% from left
+            y: WORLD_HEIGHT / 2,
+            prevY: WORLD_HEIGHT / 2,  // Position at previous tick, for interpolation
             radius: 25,
-            targetY: canvasHeight / 2  // Where the bird should move to
+            targetY: WORLD_HEIGHT / 2,  // Where the bird should move to
+            velocity: 0                 // World units per tick, for schemes with gravity
         };
 
-        // Bird movement smoothing
+        // Bird movement smoothing (per tick)
         this.birdSmoothingFactor = 0.15;
 
-        // Pipe properties
+        // Fixed timestep bookkeeping
+        this.accumulator = 0;
+        this.interpolationAlpha = 1;  // 0..1 between previous and current tick
+
+        // Pipe properties (pipes holds every kind of obstacle, see obstacles.js)
         this.pipes = [];
         this.pipeWidth = 80;
-        this.pipeGap = 180;  // Gap between top and bottom pipes
-        this.pipeSpeed = 3;  // Pixels per frame
-        this.pipeSpawnInterval = 2000;  // Milliseconds
         this.lastPipeSpawn = 0;
+        this.nextPipeInterval = 0;  // Time until the next pipe, set at each spawn
         this.minPipeHeight = 50;
 
-        // Difficulty scaling
-        this.basePipeSpeed = 3;
-        this.basePipeGap = 180;
-        this.difficultyIncreaseRate = 0.1; // Per point scored
+        // Collectibles riding in pipe gaps, and time left on active power-ups
+        this.pickups = [];
+        this.powerUps = {};
 
         // Boundaries
         this.groundHeight = 50;
         this.ceilingHeight = 0;
+
+        // Difficulty curve (speed, gap, spawn rate) from a preset
+        this.setDifficulty(resolveDifficulty());
     }
 
     /**
-     * Update bird's target Y position based on shoulder height
+     * Current GameState
+     */
+    get state() {
+        return this.machine.state;
+    }
+
+    /**
+     * Whether a run is in progress (counting down, playing or paused)
+     */
+    isRunActive() {
+        return RUN_STATES.includes(this.state);
+    }
+
+    /**
+     * Update bird's target Y position based on shoulder height (followed
+     * directly or only fed to the rep counter, depending on the controls)
      * @param {number} normalizedY - 0 (up/high push-up) to 1 (down/low push-up)
+     * @param {Object|null} [formMetrics] - Elbow/hip angles from PoseDetector.getFormMetrics()
      */
-    setBirdTargetFromPose(normalizedY) {
+    setBirdTargetFromPose(normalizedY, formMetrics = null) {
+        this.poseInput = normalizedY;
+        this.formInput = formMetrics;
+
         // Map pose Y to bird Y position
         // When shoulders are UP (normalizedY = 0), bird goes UP (lower Y value)
         // When shoulders are DOWN (normalizedY = 1), bird goes DOWN (higher Y value)
+        this.bird.targetY = this.poseToWorldY(normalizedY);
+    }
+
+    /**
+     * World Y the bird is steered to for a normalized pose position
+     */
+    poseToWorldY(normalizedY) {
         const playableHeight = this.height - this.groundHeight - this.ceilingHeight;
         const padding = this.bird.radius * 2;
 
-        this.bird.targetY = this.ceilingHeight + padding +
-                          normalizedY * (playableHeight - padding * 2);
+        return this.ceilingHeight + padding + normalizedY * (playableHeight - padding * 2);
+    }
+
+    /**
+     * Normalized pose position that steers the bird to a world Y
+     * (the inverse of poseToWorldY())
+     */
+    worldToPoseY(worldY) {
+        const playableHeight = this.height - this.groundHeight - this.ceilingHeight;
+        const padding = this.bird.radius * 2;
+
+        return (worldY - this.ceilingHeight - padding) / (playableHeight - padding * 2);
     }
 
     /**
      * Main game update loop
+     * Accumulates frame time and advances the simulation in fixed ticks
      * @param {number} deltaTime - Time since last frame in milliseconds
      */
     update(deltaTime) {
+        this.accumulator += Math.min(Math.max(deltaTime, 0), MAX_FRAME_TIME_MS);
+
+        while (this.accumulator >= FIXED_TIMESTEP_MS) {
+            this.step();
+            this.accumulator -= FIXED_TIMESTEP_MS;
+        }
+
+        // How far we are between the last tick and the next one
+        this.interpolationAlpha = this.accumulator / FIXED_TIMESTEP_MS;
+    }
+
+    /**
+     * Advance the simulation by exactly one fixed tick
+     */
+    step() {
+        this.storePreviousPositions();
+        this.time += FIXED_TIMESTEP_MS;
+        this.machine.update(FIXED_TIMESTEP_MS);
+        this.updateReps();
+
+        // Record the input this tick is simulated with (a run that can
+        // still be continued isn't over yet)
+        if (this.recorder && (this.isRunActive() || this.canContinue())) {
+            this.recorder.recordTick(this.poseInput, this.formInput);
+        }
+
         if (this.state !== GameState.PLAYING) {
-            // Still update bird position smoothly even when not playing
-            this.updateBirdPosition();
+            // Still update bird position smoothly even when not playing,
+            // so the player can line up during countdowns and pauses
+            this.controls.updateBird(this, false);
             return;
         }
 
+        this.playTime += FIXED_TIMESTEP_MS;
+        this.updatePowerUps(FIXED_TIMESTEP_MS);
+
         // Update bird position
-        this.updateBirdPosition();
+        this.controls.updateBird(this, true);
+        this.ghostRecorder.record(this);
+
+        // Update pipes and what they carry
+        this.updatePipes(FIXED_TIMESTEP_MS);
+        this.updatePickups();
 
-        // Update pipes
-        this.updatePipes(deltaTime);
+        // Check collisions (none while recovering from a lost life)
+        if (this.invulnerableTime > 0) {
+            this.invulnerableTime -= FIXED_TIMESTEP_MS;
+        } else {
+            const collision = this.checkCollisions();
+            if (collision) {
+                this.handleCollision(collision);
+            }
+        }
 
-        // Check collisions
-        if (this.checkCollisions()) {
+        // Check the mode's goal (time up, rep target reached) and the end of a course
+        this.mode.update(this);
+        if (this.isRunActive() && (this.mode.isComplete(this) || this.isCourseFinished())) {
+            this.completed = true;
+            this.updateScore();
             this.gameOver();
         }
 
-        // Spawn new pipes
-        this.spawnPipes(deltaTime);
+        // Spawn new pipes (slow-motion stretches the time between them too)
+        this.spawnPipes(FIXED_TIMESTEP_MS * this.getSpeedFactor());
+    }
+
+    /**
+     * Remember positions from the previous tick so rendering can interpolate
+     */
+    storePreviousPositions() {
+        this.bird.prevY = this.bird.y;
+
+        for (const pipe of this.pipes) {
+            pipe.prevX = pipe.x;
+        }
+
+        for (const pickup of this.pickups) {
+            pickup.prevX = pickup.x;
+            pickup.prevY = pickup.y;
+        }
+    }
+
+    /**
+     * Feed the pose input to the rep counter and form analyzer;
+     * reps only count while playing
+     */
+    updateReps() {
+        const rep = this.repCounter.update(this.poseInput, this.time);
+        const assessment = this.formAnalyzer.update(this.formInput, this.time, rep);
+
+        if (this.state === GameState.CONTINUING && assessment) {
+            this.lastRep = { ...assessment, time: this.time };
+            if (assessment.clean) {
+                this.addContinueRep();
+            }
+            return;
+        }
+
+        if (this.state !== GameState.PLAYING) {
+            return;
+        }
+
+        // Controls react to the rep itself; its form is judged a moment later
+        if (rep) {
+            this.controls.onRep(this, rep);
+        }
+
+        if (!assessment) {
+            return;
+        }
+
+        this.director.addRep(assessment.rep);
+
+        this.lastRep = { ...assessment, time: this.time };
+
+        const summary = this.repSummary;
+        summary.attempts++;
+        for (const issue of assessment.issues) {
+            summary.issues[issue] = (summary.issues[issue] || 0) + 1;
+        }
+
+        if (assessment.clean) {
+            summary.clean++;
+            this.reps++;
+            this.updateScore();
+        } else if (!assessment.rep.complete) {
+            summary.half++;
+        } else {
+            summary.badForm++;
+        }
+
+        this.emit('rep', { assessment, reps: this.reps });
+    }
+
+    /**
+     * Recompute the score from the mode's rules
+     */
+    updateScore() {
+        this.score = this.mode.getScore(this);
     }
 
-    updateBirdPosition() {
-        // Smoothly move bird towards target position
-        this.bird.y += (this.bird.targetY - this.bird.y) * this.birdSmoothingFactor;
+    createRepSummary() {
+        return { attempts: 0, clean: 0, half: 0, badForm: 0, issues: {} };
     }
 
     updatePipes(deltaTime) {
-        // Calculate current speed based on difficulty
-        const currentSpeed = this.pipeSpeed + (this.score * this.difficultyIncreaseRate);
+        // Current speed based on difficulty (see updateDifficulty)
+        const currentSpeed = this.pipeSpeed * this.getSpeedFactor();
 
         for (let i = this.pipes.length - 1; i >= 0; i--) {
             const pipe = this.pipes[i];
 
-            // Move pipe left
+            // Move pipe left, then let its type do its own thing
             pipe.x -= currentSpeed;
+            pipe.update(this);
 
-            // Check if bird passed the pipe (for scoring)
-            if (!pipe.passed && pipe.x + this.pipeWidth < this.bird.x) {
+            // Check if bird passed the pipe (pipes that were hit don't count)
+            if (!pipe.passed && !pipe.hit && pipe.x + pipe.width < this.bird.x) {
                 pipe.passed = true;
-                this.score++;
+                this.pipesPassed++;
+                if (this.isPowerUpActive(PickupType.DOUBLE_SCORE)) {
+                    this.bonus++;
+                }
+                this.updateScore();
+                this.emit('pipePassed', { pipe, score: this.score });
                 this.updateDifficulty();
             }
 
-            // Remove pipes that are off screen
-            if (pipe.x + this.pipeWidth < 0) {
+            // Remove pipes that are well behind the bird
+            if (pipe.x + pipe.width < BIRD_X - DESPAWN_DISTANCE) {
                 this.pipes.splice(i, 1);
             }
         }
@@ -122,122 +442,732 @@ export class FlappyGame {
     spawnPipes(deltaTime) {
         this.lastPipeSpawn += deltaTime;
 
-        if (this.lastPipeSpawn >= this.pipeSpawnInterval) {
+        if (this.lastPipeSpawn >= this.nextPipeInterval) {
             this.lastPipeSpawn = 0;
 
-            // Calculate current gap size (gets smaller as score increases)
-            const currentGap = Math.max(120, this.basePipeGap - (this.score * 2));
+            let pipe;
+            if (this.mode.placesObstacles) {
+                pipe = this.createModeObstacle();
+            } else {
+                pipe = this.course ? this.createCourseObstacle() : this.createRandomObstacle();
+            }
+            if (!pipe) {
+                return;  // Nothing due yet, or the course has run out
+            }
+
+            // Long obstacles push the next one back by the time they take to pass
+            this.nextPipeInterval += (pipe.width - this.pipeWidth) / this.pipeSpeed * FIXED_TIMESTEP_MS;
+
+            this.pipes.push(pipe);
+            this.emit('pipeSpawned', { pipe });
+            this.spawnPickup(pipe);
+        }
+    }
+
+    /**
+     * Next obstacle from the random spawner; also sets the time to the one after
+     */
+    createRandomObstacle() {
+        // The director eases off or pushes depending on how the reps are going
+        const adjust = this.director.getAdjustments(this.time);
+        this.nextPipeInterval = this.pipeSpawnInterval * adjust.spawnScale;
+        const currentGap = this.getPipeGap() * adjust.gapScale;
+
+        // Gap centre needs room for both pipes...
+        const playableHeight = this.height - this.groundHeight - this.ceilingHeight;
+        const minCentre = this.minPipeHeight + currentGap / 2;
+        const maxCentre = playableHeight - currentGap / 2;
+
+        // ...and has to sit where the player has been able to reach lately
+        // (when their reach is what steers the bird)
+        const reach = this.controls.followsReach ? adjust.reach : { top: 0, bottom: 1 };
+        const reachTop = this.poseToWorldY(reach.top);
+        const reachBottom = this.poseToWorldY(reach.bottom);
+        let top = Math.max(minCentre, reachTop);
+        let bottom = Math.min(maxCentre, reachBottom);
+        if (top > bottom) {
+            top = bottom = Math.max(minCentre, Math.min(maxCentre, (reachTop + reachBottom) / 2));
+        }
+
+        // Random position, spread around the middle by the gap variance
+        const spread = this.gapVariance * adjust.spread;
+        const centre = (top + bottom) / 2 + (this.random.next() - 0.5) * spread * (bottom - top);
+
+        const type = chooseObstacleType(this.random.next(), this.pipesPassed);
+        return this.buildObstacle(type, { gap: currentGap, centre, minCentre, maxCentre, reachTop, reachBottom });
+    }
+
+    /**
+     * Next obstacle on the scripted course, null once it has run out;
+     * also sets the time to the one after
+     */
+    createCourseObstacle() {
+        const entry = this.courseObstacles[this.courseIndex];
+        if (!entry) {
+            return null;
+        }
+        this.courseIndex++;
+        this.nextPipeInterval = entry.interval ?? this.pipeSpawnInterval;
+        return this.placeCourseObstacle(entry);
+    }
+
+    /**
+     * Next obstacle laid out by the mode (the tutorial's lessons), null if
+     * none is due; also sets the time until it's asked again
+     */
+    createModeObstacle() {
+        const entry = this.mode.nextObstacle(this);
+        this.nextPipeInterval = entry?.interval ?? this.pipeSpawnInterval;
+        return entry ? this.placeCourseObstacle(entry) : null;
+    }
+
+    /**
+     * A course entry (see expandCourse()) as an obstacle at x. Positions are
+     * taken from the player's whole calibrated range, not their recent reach.
+     */
+    placeCourseObstacle(entry, x = this.width) {
+        const gap = entry.gap ?? this.getPipeGap();
+        const playableHeight = this.height - this.groundHeight - this.ceilingHeight;
+        const minCentre = this.minPipeHeight + gap / 2;
+        const maxCentre = playableHeight - gap / 2;
+        const centre = Math.max(minCentre, Math.min(maxCentre, this.poseToWorldY(entry.position)));
+
+        return this.buildObstacle(entry.type, {
+            x,
+            gap,
+            centre,
+            minCentre,
+            maxCentre,
+            reachTop: this.poseToWorldY(0),
+            reachBottom: this.poseToWorldY(1),
+            holdDuration: entry.hold,
+            label: entry.label
+        });
+    }
+
+    /**
+     * Obstacle at the spawn point, from the parts of its layout that vary
+     */
+    buildObstacle(type, layout) {
+        return createObstacle(type, {
+            x: this.width,
+            width: this.pipeWidth,
+            floor: this.height - this.groundHeight,
+            speed: this.pipeSpeed,
+            tickMs: FIXED_TIMESTEP_MS,
+            birdX: this.bird.x,
+            ...layout
+        });
+    }
+
+    /**
+     * Maybe put a collectible at the very top or bottom of a new pipe's gap
+     */
+    spawnPickup(pipe) {
+        const type = choosePickup(this.random.next());
+        const edge = this.random.next() < 0.5 ? 'top' : 'bottom';
+
+        // The tunnel's only gap edge is its roof, which is already the challenge
+        if (!type || pipe.type === 'tunnel') return;
+
+        const pickup = { type, pipe, edge, radius: PICKUP_RADIUS, x: 0, y: 0, prevX: 0, prevY: 0 };
+        this.positionPickup(pickup);
+        pickup.prevX = pickup.x;
+        pickup.prevY = pickup.y;
+        this.pickups.push(pickup);
+    }
+
+    /**
+     * Keep a pickup at its gap edge (gaps can move and narrow)
+     */
+    positionPickup(pickup) {
+        const column = pickup.pipe.getColumns()[0];
+        const inset = pickup.radius + 4;
+
+        pickup.x = pickup.pipe.x + column.offset + column.width / 2;
+        pickup.y = pickup.edge === 'top' ? column.gapTop + inset : column.gapBottom - inset;
+    }
+
+    updatePickups() {
+        const hitbox = this.getHitbox();
+
+        for (let i = this.pickups.length - 1; i >= 0; i--) {
+            const pickup = this.pickups[i];
+            this.positionPickup(pickup);
 
-            // Random gap position
-            const playableHeight = this.height - this.groundHeight - this.ceilingHeight;
-            const maxGapTop = playableHeight - currentGap - this.minPipeHeight;
-            const gapTop = this.minPipeHeight + Math.random() * maxGapTop;
+            if (hitboxesOverlap(hitbox, [circle(pickup.x, pickup.y, pickup.radius)])) {
+                this.pickups.splice(i, 1);
+                this.collectPickup(pickup);
+            } else if (pickup.x + pickup.radius < BIRD_X - DESPAWN_DISTANCE) {
+                this.pickups.splice(i, 1);
+            }
+        }
+    }
 
-            this.pipes.push({
-                x: this.width,
-                gapTop: gapTop,
-                gapBottom: gapTop + currentGap,
-                passed: false
-            });
+    collectPickup(pickup) {
+        if (pickup.type === PickupType.VITAMIN) {
+            this.addBonus(VITAMIN_POINTS);
+        } else {
+            // Collecting one that's already running restarts its timer
+            const duration = POWER_UPS[pickup.type].duration;
+            this.powerUps[pickup.type] = duration;
+            this.emit('powerUpStarted', { type: pickup.type, duration });
         }
+        this.emit('pickupCollected', { pickup });
+    }
+
+    /**
+     * Add bonus points, doubled while double score is running
+     */
+    addBonus(points) {
+        this.bonus += this.isPowerUpActive(PickupType.DOUBLE_SCORE) ? points * 2 : points;
+        this.updateScore();
+    }
+
+    updatePowerUps(deltaTime) {
+        for (const type of Object.keys(this.powerUps)) {
+            this.powerUps[type] -= deltaTime;
+            if (this.powerUps[type] <= 0) {
+                this.endPowerUp(type);
+            }
+        }
+    }
+
+    endPowerUp(type) {
+        delete this.powerUps[type];
+        this.emit('powerUpEnded', { type });
+    }
+
+    isPowerUpActive(type) {
+        return this.powerUps[type] > 0;
+    }
+
+    /**
+     * How fast the course moves relative to normal (slow-motion)
+     */
+    getSpeedFactor() {
+        return this.isPowerUpActive(PickupType.SLOWMO) ? POWER_UPS[PickupType.SLOWMO].speedFactor : 1;
     }
 
+    /**
+     * Current gap size (gets smaller as score increases)
+     */
+    getPipeGap() {
+        return Math.max(this.minPipeGap, this.basePipeGap - (this.pipesPassed * this.gapShrink));
+    }
+
+    /**
+     * @returns {{cause: string, pipe: Object|null}|null} What the bird hit, if anything
+     */
     checkCollisions() {
-        const bird = this.bird;
+        const hitbox = this.getHitbox();
 
         // Check ceiling and ground collision
-        if (bird.y - bird.radius < this.ceilingHeight ||
-            bird.y + bird.radius > this.height - this.groundHeight) {
-            return true;
+        if (hitboxesOverlap(hitbox, [shape(-Infinity, -Infinity, Infinity, this.ceilingHeight)])) {
+            return { cause: CollisionCause.CEILING, pipe: null };
+        }
+        if (hitboxesOverlap(hitbox, [shape(-Infinity, this.height - this.groundHeight, Infinity, Infinity)])) {
+            return { cause: CollisionCause.GROUND, pipe: null };
         }
 
-        // Check pipe collisions
+        // Check pipe collisions (each obstacle type has its own shape)
         for (const pipe of this.pipes) {
-            // Check if bird is horizontally within pipe
-            if (bird.x + bird.radius > pipe.x &&
-                bird.x - bird.radius < pipe.x + this.pipeWidth) {
-
-                // Check if bird hits top or bottom pipe
-                if (bird.y - bird.radius < pipe.gapTop ||
-                    bird.y + bird.radius > pipe.gapBottom) {
-                    return true;
-                }
+            if (pipe.hit) continue;
+
+            const cause = pipe.collide(hitbox);
+            if (cause) {
+                return { cause, pipe };
             }
         }
 
-        return false;
+        return null;
+    }
+
+    /**
+     * The bottle's collision shapes, shrunk by the difficulty's forgiveness
+     * @param {Object} [bird] - Position to use, defaults to the current one
+     */
+    getHitbox(bird = this.bird) {
+        return getBottleHitbox(bird, this.collisionForgiveness);
+    }
+
+    /**
+     * End the run or lose a life, or in modes that play on, write off the
+     * pipe that was hit (a shield does that in any mode)
+     */
+    handleCollision(collision) {
+        // A shield takes one pipe hit; the pipe is written off
+        if (collision.pipe && this.isPowerUpActive(PickupType.SHIELD)) {
+            collision.pipe.hit = true;
+            collision.shielded = true;
+            this.endPowerUp(PickupType.SHIELD);
+            this.emit('collision', collision);
+            return;
+        }
+
+        if (this.mode.endsOnCollision) {
+            this.lives--;
+            this.emit('collision', collision);
+
+            if (this.lives > 0) {
+                // Write off what was hit and get a moment to recover
+                if (collision.pipe) {
+                    collision.pipe.hit = true;
+                }
+                this.invulnerableTime = INVULNERABLE_MS;
+                this.emit('lifeLost', { lives: this.lives });
+                return;
+            }
+
+            this.gameOver(collision.cause);
+        } else if (collision.pipe) {
+            collision.pipe.hit = true;
+            this.emit('collision', collision);
+        }
     }
 
     updateDifficulty() {
-        // Increase speed and decrease gap as score increases
-        this.pipeSpeed = this.basePipeSpeed + (this.score * this.difficultyIncreaseRate);
+        // Increase speed and decrease gap as pipes are passed
+        this.pipeSpeed = this.basePipeSpeed + (this.pipesPassed * this.difficultyIncreaseRate);
+        this.emit('difficultyChanged', {
+            pipesPassed: this.pipesPassed,
+            pipeSpeed: this.pipeSpeed,
+            pipeGap: this.getPipeGap()
+        });
     }
 
     /**
-     * Start or restart the game
+     * Start a new run from the waiting screen (play begins after a countdown)
+     * @param {number} [seed] - Course seed; see getCourseSeed() if omitted
+     * @param {boolean} [fixedCourse] - Leave the course to the seed alone; see isCourseFixed() if omitted
+     * @returns {boolean} Whether the run started
      */
-    start() {
-        this.state = GameState.PLAYING;
-        this.score = 0;
-        this.pipes = [];
-        this.lastPipeSpawn = 0;
-        this.pipeSpeed = this.basePipeSpeed;
+    start(seed = this.getCourseSeed(), fixedCourse = this.isCourseFixed()) {
+        if (this.state !== GameState.WAITING) {
+            return false;
+        }
+
+        this.seed = seed >>> 0;
+        this.random = new SeededRandom(this.seed);
+        this.director.fixedCourse = fixedCourse;
+        this.clearRun();
+        this.ghostRecorder.begin(this);
+        this.ghostInRace = this.challenge?.ghost ?? (this.ghost?.seed === this.seed ? this.ghost : null);
+        this.machine.transition(GameState.COUNTDOWN);
+
+        if (this.recorder) {
+            this.recorder.begin(this);
+        }
+        this.emit('start', { seed: this.seed });
+        return true;
+    }
+
+    /**
+     * Seed for the next run: the challenge's, the raced ghost's or a fresh one
+     */
+    getCourseSeed() {
+        if (this.challenge) {
+            return this.challenge.seed;
+        }
+        if (this.raceGhost && this.ghost) {
+            return this.ghost.seed;
+        }
+        return generateSeed();
+    }
+
+    /**
+     * Whether the next run plays the seed's course without the director's
+     * shaping: challenges and ghost races must match the run they came from,
+     * and any run may become the ghost while ghost racing is on
+     */
+    isCourseFixed() {
+        return this.challenge !== null || this.raceGhost;
+    }
+
+    /**
+     * Freeze the run (e.g. the player left the camera frame)
+     * Also cancels a countdown that is in progress.
+     */
+    pause() {
+        if (!this.machine.transition(GameState.PAUSED)) return;
+
+        if (this.recorder) {
+            this.recorder.recordEvent('pause');
+        }
+        this.emit('pause', { time: this.time });
+    }
+
+    /**
+     * Count back into play after a pause
+     */
+    resume() {
+        if (this.state !== GameState.PAUSED) return;
+
+        if (!this.machine.transition(GameState.COUNTDOWN)) return;
+
+        if (this.recorder) {
+            this.recorder.recordEvent('resume');
+        }
+        this.emit('resume', { time: this.time });
+    }
+
+    /**
+     * Attach a replay recorder (or null to detach)
+     */
+    setRecorder(recorder) {
+        this.recorder = recorder;
     }
 
     /**
      * End the game
+     * @param {string|null} [cause] - CollisionCause that ended the run
      */
-    gameOver() {
-        this.state = GameState.GAME_OVER;
+    gameOver(cause = null) {
+        this.machine.transition(GameState.GAME_OVER);
+
+        if (this.recorder) {
+            this.recorder.finish(this);
+        }
 
         // Update high score
         if (this.score > this.highScore) {
             this.highScore = this.score;
-            this.saveHighScore();
+            if (this.persistHighScore) {
+                this.saveHighScore();
+            }
+        }
+
+        // Keep the run to race next time if it's the best on this board
+        // (an adapted course couldn't be played again from its seed)
+        if (this.persistHighScore && this.director.fixedCourse && this.score > (this.ghost?.score ?? 0)) {
+            this.ghost = this.ghostRecorder.toGhost(this);
+            saveGhost(this.storage, this.getBoard(), this.ghost);
+        }
+
+        this.emit('gameOver', {
+            score: this.score,
+            reps: this.reps,
+            repSummary: { ...this.repSummary },
+            cause,
+            completed: this.completed
+        });
+    }
+
+    /**
+     * Whether the run that just ended can be sent as a challenge link: links
+     * carry only the seed, so scripted courses, the tutorial and courses the
+     * director shaped are left out
+     */
+    canChallenge() {
+        return this.score > 0 && this.isRanked() && this.director.fixedCourse;
+    }
+
+    /**
+     * Whether the run that just ended can still be continued with push-ups
+     * (once per run, and only runs that ended in a crash)
+     */
+    canContinue() {
+        return this.machine.is(GameState.GAME_OVER, GameState.RESULTS) &&
+            this.mode.endsOnCollision && !this.completed && !this.continued;
+    }
+
+    /**
+     * Start earning a continue: CONTINUE_REPS clean push-ups before time runs out
+     * @returns {boolean} Whether the attempt started
+     */
+    continueRun() {
+        if (!this.canContinue() || !this.machine.transition(GameState.CONTINUING)) {
+            return false;
+        }
+
+        this.continued = true;
+        this.continueReps = 0;
+
+        // Only push-ups started from here count
+        this.repCounter.reset();
+        this.formAnalyzer.reset();
+        this.lastRep = null;
+
+        if (this.recorder) {
+            this.recorder.recordEvent('continue');
         }
+        this.emit('continue', { time: this.time });
+        return true;
+    }
+
+    addContinueRep() {
+        this.continueReps++;
+        this.emit('continueRep', { reps: this.continueReps, needed: CONTINUE_REPS });
+
+        if (this.continueReps >= CONTINUE_REPS) {
+            this.resumeContinuedRun();
+        }
+    }
+
+    /**
+     * Pick the run back up where it ended: score and speed stay, the course
+     * ahead is cleared and lives are topped up
+     */
+    resumeContinuedRun() {
+        this.pipes = [];
+        this.pickups = [];
+        this.powerUps = {};
+        this.lastPipeSpawn = 0;
+        this.nextPipeInterval = this.pipeSpawnInterval;
+        this.lives = this.maxLives;
+        this.invulnerableTime = INVULNERABLE_MS;
+        this.controls.reset(this);
+        this.machine.transition(GameState.COUNTDOWN);
+    }
+
+    /**
+     * Pick the game mode for the next run (only between runs), switching
+     * to its control scheme if it has one
+     * @param {string} id - Key of GAME_MODES
+     * @returns {boolean} Whether the mode was changed
+     */
+    setMode(id) {
+        if (this.isRunActive()) {
+            return false;
+        }
+        this.mode = createGameMode(id);
+        if (this.mode.controls) {
+            this.setControls(this.mode.controls);
+        }
+        this.loadPersonalBest();
+        return true;
+    }
+
+    /**
+     * Pick the control scheme for the next run (only between runs, and not
+     * in a mode that has its own)
+     * @param {string} id - Key of CONTROL_SCHEMES
+     * @returns {boolean} Whether the controls were changed
+     */
+    setControls(id) {
+        if (this.isRunActive() || (this.mode.controls && id !== this.mode.controls)) {
+            return false;
+        }
+        this.controls = createControlScheme(id);
+        this.controls.reset(this);
+        this.applyDifficulty();
+        this.pipeSpeed = this.basePipeSpeed;
+        this.nextPipeInterval = this.pipeSpawnInterval;
+        this.loadPersonalBest();
+        return true;
+    }
+
+    /**
+     * Play a fixed course for the next runs (only between runs). The pipes
+     * stop adapting to the player's reps, so the seed alone decides them.
+     * @param {Object|null} challenge - {seed, label} plus optionally board (the
+     *   daily's own) or name, score and ghost (a friend's); null for random runs
+     * @returns {boolean} Whether the challenge was changed
+     */
+    setChallenge(challenge) {
+        if (this.isRunActive()) {
+            return false;
+        }
+        this.challenge = challenge;
+        this.applyDifficulty();
+        this.loadPersonalBest();
+        return true;
+    }
+
+    /**
+     * Play a scripted course instead of random obstacles (only between runs)
+     * @param {Object|null} course - From parseCourse(), null for random obstacles
+     * @returns {boolean} Whether the course was changed
+     */
+    loadCourse(course) {
+        if (this.isRunActive()) {
+            return false;
+        }
+        this.course = course;
+        this.courseObstacles = course ? expandCourse(course) : [];
+        this.loadPersonalBest();
+        return true;
+    }
+
+    /**
+     * Whether every obstacle on the course is behind the bird
+     */
+    isCourseFinished() {
+        return this.course !== null && this.courseIndex >= this.courseObstacles.length &&
+            this.pipes.every(pipe => pipe.passed || pipe.hit);
+    }
+
+    /**
+     * Use a difficulty for the next run (only between runs)
+     * @param {Object} settings - From resolveDifficulty()
+     * @returns {boolean} Whether the difficulty was changed
+     */
+    setDifficulty(settings) {
+        if (this.isRunActive()) {
+            return false;
+        }
+        this.difficulty = settings;
+        this.applyDifficulty();
+        this.pipeSpeed = this.basePipeSpeed;
+        this.loadPersonalBest();
+        return true;
     }
 
     /**
-     * Reset to waiting state
+     * Derive the pipe tuning from the difficulty as tuned for the controls
+     */
+    applyDifficulty() {
+        const d = this.controls.tuneDifficulty(this.difficulty);
+
+        this.basePipeSpeed = d.pipeSpeed;
+        this.difficultyIncreaseRate = d.speedIncrease;  // Per pipe passed
+        this.basePipeGap = d.pipeGap;
+        this.gapShrink = d.gapShrink;                   // Per pipe passed
+        this.minPipeGap = d.minGap;
+        this.pipeSpawnInterval = d.spawnInterval;       // Milliseconds
+        this.gapVariance = d.gapVariance;
+        this.collisionForgiveness = d.forgiveness;      // Units off each bottle edge
+        this.maxLives = Math.round(d.lives);
+        this.director.adaptivity = d.adaptivity;
+    }
+
+    /**
+     * Return to the waiting screen
+     * @returns {boolean} False if not allowed yet (e.g. results still on their minimum time)
      */
     reset() {
-        this.state = GameState.WAITING;
+        if (!this.machine.transition(GameState.WAITING)) {
+            return false;
+        }
+        this.clearRun();
+        return true;
+    }
+
+    /**
+     * Enter the calibration phase (the game moves on to WAITING via reset())
+     */
+    calibrate() {
+        if (this.machine.transition(GameState.CALIBRATING)) {
+            this.clearRun();
+        }
+    }
+
+    /**
+     * Clear everything belonging to the current run
+     */
+    clearRun() {
         this.score = 0;
+        this.pipesPassed = 0;
+        this.bonus = 0;
+        this.pickups = [];
+        this.powerUps = {};
+        this.completed = false;
+        this.continued = false;
+        this.continueReps = 0;
+        this.lives = this.maxLives;
+        this.invulnerableTime = 0;
+        this.playTime = 0;
         this.pipes = [];
         this.lastPipeSpawn = 0;
+        this.nextPipeInterval = this.pipeSpawnInterval;
+        this.courseIndex = 0;
+        this.accumulator = 0;
+        this.time = 0;
+        this.reps = 0;
+        this.repSummary = this.createRepSummary();
+        this.lastRep = null;
+        this.repCounter.reset();
+        this.formAnalyzer.reset();
+        this.director.reset();
+        this.mode.reset();
+        this.controls.reset(this);
         this.pipeSpeed = this.basePipeSpeed;
     }
 
     /**
-     * Resize game dimensions
+     * Leaderboard the current setup is ranked on: 'mode:preset', with
+     * ':controls' added for anything but the default controls, the
+     * challenge's own board, or 'course:name:mode' for a scripted course
+     * (those stay on this device)
+     */
+    getBoard() {
+        if (this.challenge?.board) {
+            return this.challenge.board;
+        }
+        if (this.course) {
+            return `course:${this.course.name}:${this.mode?.id ?? 'endless'}`;
+        }
+        const board = `${this.mode?.id ?? 'endless'}:${this.difficulty?.preset ?? 'normal'}`;
+        const controls = this.controls?.id ?? DEFAULT_CONTROLS;
+        return controls === DEFAULT_CONTROLS ? board : `${board}:${controls}`;
+    }
+
+    /**
+     * Whether runs on the current setup go on the online leaderboards
+     * (scripted courses and the tutorial don't)
      */
-    resize(width, height) {
-        this.width = width;
-        this.height = height;
-        this.bird.x = width * 0.2;
+    isRanked() {
+        return !this.course && this.mode.ranked;
+    }
 
-        // Adjust pipe gap for screen size
-        this.pipeGap = Math.min(180, height * 0.25);
-        this.basePipeGap = this.pipeGap;
+    /**
+     * Storage key for the current board's high score
+     * (the bare original key holds bests from before Normal was retuned)
+     */
+    getHighScoreKey() {
+        return `flappyPushupHighScore:${this.getBoard()}`;
     }
 
     /**
-     * Load high score from localStorage
+     * Load the current board's high score and ghost
+     */
+    loadPersonalBest() {
+        this.highScore = this.loadHighScore();
+        this.ghost = loadGhost(this.storage, this.getBoard());
+    }
+
+    /**
+     * Where the raced ghost is and how the run compares, null when not racing
+     */
+    getGhostState() {
+        if (!this.ghostInRace || !this.machine.is(GameState.COUNTDOWN, GameState.PLAYING, GameState.PAUSED)) {
+            return null;
+        }
+
+        const frame = this.ghostInRace.getFrame(this.playTime);
+        return {
+            y: frame ? frame.y : null,  // null once the ghost's run has ended
+            score: frame ? frame.score : this.ghostInRace.score,
+            ahead: this.score - (frame ? frame.score : this.ghostInRace.score),
+            best: this.ghostInRace.score,
+            name: this.ghostInRace.name  // Null for the player's own best
+        };
+    }
+
+    /**
+     * The current run's path as a ghost, for sharing it
+     */
+    getRunGhost() {
+        return this.ghostRecorder.toGhost(this);
+    }
+
+    /**
+     * Load high score from storage
      */
     loadHighScore() {
         try {
-            return parseInt(localStorage.getItem('flappyPushupHighScore') || '0', 10);
+            return parseInt(this.storage.getItem(this.getHighScoreKey()) || '0', 10);
         } catch {
             return 0;
         }
     }
 
     /**
-     * Save high score to localStorage
+     * Save high score to storage
      */
     saveHighScore() {
         try {
-            localStorage.setItem('flappyPushupHighScore', this.highScore.toString());
+            this.storage.setItem(this.getHighScoreKey(), this.highScore.toString());
         } catch {
             // Ignore storage errors
         }
@@ -245,14 +1175,63 @@ export class FlappyGame {
 
     /**
      * Get current game state
+     * Positions are interpolated between the last two ticks for smooth rendering
      */
     getState() {
+        const alpha = this.interpolationAlpha;
+        const lerp = (from, to) => from + (to - from) * alpha;
+        const bird = { ...this.bird, y: lerp(this.bird.prevY, this.bird.y) };
+
         return {
             state: this.state,
+            mode: this.mode.id,
+            difficulty: this.difficulty.preset,
+            controls: this.controls.id,
+            challenge: this.challenge,
+            course: this.course && {
+                name: this.course.name,
+                passed: this.pipesPassed,
+                total: this.courseObstacles.length
+            },
+            modeHud: this.mode.getHud(this) ?? (this.course ? `${this.pipesPassed} / ${this.courseObstacles.length}` : null),
+            coaching: this.mode.getCoaching(this),
+            ranked: this.isRanked(),
+            completed: this.completed,
+            continued: this.continued,
+            canContinue: this.canContinue(),
+            continueReps: this.continueReps,
+            continueTimeLeft: this.state === GameState.CONTINUING ? this.machine.timeRemaining() : 0,
+            continueTime: CONTINUE_MS,
+            lives: this.lives,
+            maxLives: this.mode.endsOnCollision ? this.maxLives : 0,
+            invulnerable: this.invulnerableTime > 0,
             score: this.score,
+            reps: this.reps,
+            repSummary: { ...this.repSummary },
+            lastRep: this.lastRep,
+            time: this.time,
+            countdown: this.state === GameState.COUNTDOWN ? this.machine.timeRemaining() : 0,
+            previousState: this.machine.previousState,
+            seed: this.seed,
             highScore: this.highScore,
-            bird: { ...this.bird },
-            pipes: this.pipes.map(p => ({ ...p })),
+            ghost: this.getGhostState(),
+            ghostBest: this.ghost ? this.ghost.score : null,
+            raceGhost: this.raceGhost,
+            bird,
+            hitbox: this.getHitbox(bird),
+            pipes: this.pipes.map(p => p.getRenderState(lerp(p.prevX, p.x))),
+            pickups: this.pickups.map(p => ({
+                type: p.type,
+                radius: p.radius,
+                x: lerp(p.prevX, p.x),
+                y: lerp(p.prevY, p.y)
+            })),
+            powerUps: Object.entries(this.powerUps).map(([type, remaining]) => ({
+                type,
+                remaining,
+                duration: POWER_UPS[type].duration
+            })),
+            bonus: this.bonus,
             pipeWidth: this.pipeWidth,
             groundHeight: this.groundHeight,
             ceilingHeight: this.ceilingHeight
@@ -0,0 +1,175 @@
+/**
+ * Personal-best ghosts
+ * The best run on each board keeps its seed and the bottle's path, so a
+ * later run on the same course can race a translucent copy of it.
+ */
+
+const STORAGE_PREFIX = 'flappyPushupGhost';
+const RACE_STORAGE_KEY = 'flappyPushupRaceGhost';
+
+// How often the path is sampled (ms of play)
+export const GHOST_SAMPLE_MS = 100;
+
+// Ghosts in links keep at most this many samples (longer runs are thinned)
+// and store heights in steps of Y_STEP world units, so each fits a byte
+const LINK_MAX_SAMPLES = 1500;
+const Y_STEP = 3;
+
+/**
+ * A saved run: its seed, final score and [y, score] samples every sampleMs
+ * of play, y in world units. name is whose run it is, null for the player's.
+ */
+export class Ghost {
+    constructor({ seed, score, sampleMs = GHOST_SAMPLE_MS, samples, name = null }) {
+        this.seed = seed >>> 0;
+        this.score = score;
+        this.sampleMs = sampleMs;
+        this.samples = samples;
+        this.name = name;
+    }
+
+    /**
+     * Where the ghost was after playTime ms of play
+     * @returns {{y: number, score: number}|null} null once its run is over
+     */
+    getFrame(playTime) {
+        const position = playTime / this.sampleMs;
+        const last = this.samples.length - 1;
+        if (position > last) {
+            return null;
+        }
+
+        const index = Math.floor(position);
+        const [y, score] = this.samples[index];
+        const [nextY] = this.samples[Math.min(index + 1, last)];
+        return { y: y + (nextY - y) * (position - index), score };
+    }
+
+    toJSON() {
+        return { seed: this.seed, score: this.score, sampleMs: this.sampleMs, samples: this.samples };
+    }
+}
+
+/**
+ * Samples the live run; called by the game
+ */
+export class GhostRecorder {
+    constructor() {
+        this.seed = 0;
+        this.samples = [];
+        this.nextSampleTime = 0;
+    }
+
+    begin(game) {
+        this.seed = game.seed;
+        this.samples = [];
+        this.nextSampleTime = 0;
+    }
+
+    /**
+     * Called every playing tick
+     */
+    record(game) {
+        if (game.playTime < this.nextSampleTime) return;
+
+        this.samples.push([Math.round(game.bird.y), game.score]);
+        this.nextSampleTime += GHOST_SAMPLE_MS;
+    }
+
+    /**
+     * The run so far as a ghost
+     */
+    toGhost(game) {
+        return new Ghost({ seed: this.seed, score: game.score, samples: this.samples.slice() });
+    }
+}
+
+/**
+ * Ghost path as short URL-safe text: the sample interval, then base64 of
+ * one byte of height and one of score gained per sample
+ */
+export function encodeGhost(ghost) {
+    const step = Math.ceil(ghost.samples.length / LINK_MAX_SAMPLES);
+    let binary = '';
+    let score = 0;
+
+    for (let i = 0; i < ghost.samples.length; i += step) {
+        const [y, sampleScore] = ghost.samples[i];
+        const gained = Math.max(0, Math.min(255, sampleScore - score));
+        score += gained;
+        binary += String.fromCharCode(Math.max(0, Math.min(255, Math.round(y / Y_STEP))), gained);
+    }
+
+    const base64 = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return `${ghost.sampleMs * step}.${base64}`;
+}
+
+/**
+ * Ghost back from encodeGhost()'s text, null if it doesn't parse
+ * @param {string} text
+ * @param {Object} run - {seed, score, name} of the run it came from
+ */
+export function decodeGhost(text, { seed, score, name = null }) {
+    try {
+        const [sampleMs, base64] = text.split('.');
+        const binary = atob(base64.replace(/-/g, '+').replace(/_/g, '/'));
+        const samples = [];
+        let total = 0;
+
+        for (let i = 0; i + 1 < binary.length; i += 2) {
+            total += binary.charCodeAt(i + 1);
+            samples.push([binary.charCodeAt(i) * Y_STEP, total]);
+        }
+
+        if (!(Number(sampleMs) > 0) || samples.length === 0) {
+            return null;
+        }
+        return new Ghost({ seed, score, sampleMs: Number(sampleMs), samples, name });
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Best run saved for a board, null if there is none
+ * @param {Object} storage - getItem/setItem store
+ * @param {string} board - From FlappyGame.getBoard()
+ */
+export function loadGhost(storage, board) {
+    try {
+        const saved = JSON.parse(storage.getItem(`${STORAGE_PREFIX}:${board}`));
+        if (!saved || !Array.isArray(saved.samples) || saved.samples.length === 0) {
+            return null;
+        }
+        return new Ghost(saved);
+    } catch {
+        return null;
+    }
+}
+
+export function saveGhost(storage, board, ghost) {
+    try {
+        storage.setItem(`${STORAGE_PREFIX}:${board}`, JSON.stringify(ghost));
+    } catch {
+        // Ignore storage errors (a long run may not fit)
+    }
+}
+
+/**
+ * Whether the player races their ghost (on by default)
+ */
+export function loadGhostRacing() {
+    try {
+        return localStorage.getItem(RACE_STORAGE_KEY) !== 'off';
+    } catch {
+        return true;
+    }
+}
+
+export function saveGhostRacing(enabled) {
+    try {
+        localStorage.setItem(RACE_STORAGE_KEY, enabled ? 'on' : 'off');
+    } catch {
+        // Ignore storage errors
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ * Input sources
+ * Anything that can drive the bottle: the camera (PoseDetector), keyboard,
+ * mouse and touch for development without a camera, or recorded landmarks
+ */
+
+/**
+ * Base input source. Subclasses override what they support.
+ *
+ * Required:
+ *   initialize(videoElement) - async setup
+ *   isPoseDetected()         - whether there is usable input yet
+ *   getNormalizedShoulderY() - 0 (top/arms locked out) to 1 (bottom)
+ */
+export class InputSource {
+    constructor() {
+        this.onResultsCallback = null;
+        this.isInitialized = false;
+
+        // Whether the guided calibration flow applies to this source
+        this.supportsCalibration = false;
+    }
+
+    async initialize(videoElement) {
+        this.isInitialized = true;
+    }
+
+    isPoseDetected() {
+        return false;
+    }
+
+    getNormalizedShoulderY() {
+        return 0.5;
+    }
+
+    /**
+     * Elbow/hip angles for form analysis, null if the source has none
+     */
+    getFormMetrics() {
+        return null;
+    }
+
+    /**
+     * Set callback for raw pose results (for rendering skeleton)
+     */
+    setResultsCallback(callback) {
+        this.onResultsCallback = callback;
+    }
+
+    dispose() {
+    }
+}
+
+/**
+ * Keyboard (arrow keys), mouse Y and touch drag
+ * Whichever was used last wins.
+ */
+export class ManualInput extends InputSource {
+    /**
+     * @param {HTMLElement} element - Element mouse/touch positions are measured against
+     * @param {Object} [options]
+     * @param {number} [options.keySpeed] - How far the arrow keys move per second (0-1 range)
+     */
+    constructor(element, options = {}) {
+        super();
+        this.element = element;
+        this.keySpeed = options.keySpeed ?? 1.5;
+
+        this.y = 0.5;
+        this.hasInput = false;
+        this.keysDown = new Set();
+        this.lastUpdate = null;
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleKeyUp = this.handleKeyUp.bind(this);
+        this.handlePointer = this.handlePointer.bind(this);
+        this.handleTouch = this.handleTouch.bind(this);
+    }
+
+    async initialize() {
+        window.addEventListener('keydown', this.handleKeyDown);
+        window.addEventListener('keyup', this.handleKeyUp);
+        this.element.addEventListener('mousemove', this.handlePointer);
+        this.element.addEventListener('touchstart', this.handleTouch, { passive: true });
+        this.element.addEventListener('touchmove', this.handleTouch, { passive: true });
+        this.isInitialized = true;
+    }
+
+    handleKeyDown(e) {
+        if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            this.keysDown.add(e.key);
+            this.hasInput = true;
+        }
+    }
+
+    handleKeyUp(e) {
+        this.keysDown.delete(e.key);
+    }
+
+    handlePointer(e) {
+        this.setFromClientY(e.clientY);
+    }
+
+    handleTouch(e) {
+        if (e.touches.length > 0) {
+            this.setFromClientY(e.touches[0].clientY);
+        }
+    }
+
+    setFromClientY(clientY) {
+        const rect = this.element.getBoundingClientRect();
+        this.y = Math.max(0, Math.min(1, (clientY - rect.top) / rect.height));
+        this.hasInput = true;
+    }
+
+    isPoseDetected() {
+        return this.hasInput;
+    }
+
+    getNormalizedShoulderY() {
+        // Held arrow keys move at a fixed rate, independent of frame rate
+        const now = performance.now();
+        const dt = this.lastUpdate === null ? 0 : (now - this.lastUpdate) / 1000;
+        this.lastUpdate = now;
+
+        if (this.keysDown.has('ArrowUp')) {
+            this.y -= this.keySpeed * dt;
+        }
+        if (this.keysDown.has('ArrowDown')) {
+            this.y += this.keySpeed * dt;
+        }
+        this.y = Math.max(0, Math.min(1, this.y));
+
+        return this.y;
+    }
+
+    dispose() {
+        window.removeEventListener('keydown', this.handleKeyDown);
+        window.removeEventListener('keyup', this.handleKeyUp);
+        this.element.removeEventListener('mousemove', this.handlePointer);
+        this.element.removeEventListener('touchstart', this.handleTouch);
+        this.element.removeEventListener('touchmove', this.handleTouch);
+    }
+}
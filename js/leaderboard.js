@@ -8,38 +8,43 @@ const API_BASE = 'https://flappy-push-up-api.jeromeswannack.workers.dev';
 
 export class LeaderboardAPI {
     constructor() {
-        this.cachedLeaderboard = null;
-        this.lastFetch = 0;
+        // Cached leaderboards by board: {entries, fetchedAt}
+        this.cache = {};
         this.cacheTimeout = 30000; // 30 seconds
+
+        // Today's daily challenge, kept until it resets
+        this.daily = null;
     }
 
     /**
-     * Fetch the current leaderboard
-     * @returns {Promise<Array>} Array of {name, score, created_at}
+     * Fetch a leaderboard
+     * @param {string} [board] - Which leaderboard, as 'mode:preset'
+     * @param {boolean} [forceRefresh]
+     * @returns {Promise<Array>} Array of {name, score, reps, created_at}
      */
-    async getLeaderboard(forceRefresh = false) {
+    async getLeaderboard(board = 'endless:normal', forceRefresh = false) {
         const now = Date.now();
+        const cached = this.cache[board];
 
         // Return cached if available and fresh
-        if (!forceRefresh && this.cachedLeaderboard && (now - this.lastFetch) < this.cacheTimeout) {
-            return this.cachedLeaderboard;
+        if (!forceRefresh && cached && (now - cached.fetchedAt) < this.cacheTimeout) {
+            return cached.entries;
         }
 
         try {
-            const response = await fetch(`${API_BASE}/api/leaderboard`);
+            const response = await fetch(`${API_BASE}/api/leaderboard?board=${encodeURIComponent(board)}`);
             if (!response.ok) {
                 throw new Error('Failed to fetch leaderboard');
             }
 
             const data = await response.json();
-            this.cachedLeaderboard = data.leaderboard || [];
-            this.lastFetch = now;
-            return this.cachedLeaderboard;
+            this.cache[board] = { entries: data.leaderboard || [], fetchedAt: now };
+            return this.cache[board].entries;
 
         } catch (error) {
             console.error('Leaderboard fetch error:', error);
             // Return cached data if available, even if stale
-            return this.cachedLeaderboard || [];
+            return cached?.entries || [];
         }
     }
 
@@ -47,16 +52,21 @@ export class LeaderboardAPI {
      * Submit a score to the leaderboard
      * @param {string} name - Player name
      * @param {number} score - Player score
+     * @param {Object} [run] - Extra run details
+     * @param {number} [run.reps] - Push-ups completed during the game
+     * @param {string} [run.mode] - Game mode id
+     * @param {string} [run.preset] - Difficulty preset; with the mode, picks the leaderboard
+     * @param {string} [run.daily] - Date of the daily challenge played, for its board instead
      * @returns {Promise<Object>} {madeLeaderboard, percentile, rank, leaderboard}
      */
-    async submitScore(name, score) {
+    async submitScore(name, score, run = {}) {
         try {
             const response = await fetch(`${API_BASE}/api/score`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ name, score })
+                body: JSON.stringify({ name, score, ...run })
             });
 
             if (!response.ok) {
@@ -66,9 +76,8 @@ export class LeaderboardAPI {
             const data = await response.json();
 
             // Update cache with fresh leaderboard
-            if (data.leaderboard) {
-                this.cachedLeaderboard = data.leaderboard;
-                this.lastFetch = Date.now();
+            if (data.leaderboard && data.board) {
+                this.cache[data.board] = { entries: data.leaderboard, fetchedAt: Date.now() };
             }
 
             return data;
@@ -79,12 +88,36 @@ export class LeaderboardAPI {
                 madeLeaderboard: false,
                 percentile: null,
                 rank: null,
-                leaderboard: this.cachedLeaderboard || [],
+                leaderboard: this.cache[run.daily ? `daily:${run.daily}` :
+                    `${run.mode || 'endless'}:${run.preset || 'normal'}`]?.entries || [],
                 error: error.message
             };
         }
     }
 
+    /**
+     * Fetch today's daily challenge
+     * @returns {Promise<Object|null>} {date, board, seed, mode, preset, controls, resetsAt,
+     *   yesterday: {date, winners}}, or null if it can't be fetched
+     */
+    async getDaily() {
+        if (this.daily && Date.now() < Date.parse(this.daily.resetsAt)) {
+            return this.daily;
+        }
+
+        try {
+            const response = await fetch(`${API_BASE}/api/daily`);
+            if (!response.ok) {
+                throw new Error('Failed to fetch daily challenge');
+            }
+            this.daily = await response.json();
+            return this.daily;
+        } catch (error) {
+            console.error('Daily challenge fetch error:', error);
+            return null;
+        }
+    }
+
     /**
      * Get game stats
      * @returns {Promise<Object>} {totalGames, topScore}
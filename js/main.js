@@ -4,16 +4,28 @@
  */
 
 import { PoseDetector } from './pose.js';
+import { ManualInput } from './input.js';
+import { LandmarkPlayback } from './playback.js';
 import { FlappyGame, GameState } from './game.js';
 import { Renderer } from './renderer.js';
 import { LeaderboardAPI } from './leaderboard.js';
+import { ReplayRecorder, ReplayPlayer } from './replay.js';
+import { createRangeStrategy } from './range.js';
+import { CalibrationSession, CalibrationStatus, loadCalibration, saveCalibration } from './calibration.js';
+import { GAME_MODES, DEFAULT_MODE, loadSelectedMode, saveSelectedMode } from './modes.js';
+import { CONTROL_SCHEMES, loadSelectedControls, saveSelectedControls } from './controls.js';
+import { loadGhostRacing, saveGhostRacing } from './ghost.js';
+import { createChallengeUrl, parseChallenge } from './challenge.js';
+import { parseCourse, loadSavedCourse } from './course.js';
+import { loadTutorialDone, saveTutorialDone } from './tutorial.js';
+import { DIFFICULTY_PRESETS, DIFFICULTY_FIELDS, resolveDifficulty, loadDifficulty, saveDifficulty } from './difficulty.js';
 
 class FlappyPushupApp {
     constructor() {
         this.video = document.getElementById('video');
         this.canvas = document.getElementById('canvas');
 
-        this.poseDetector = null;
+        this.inputSource = null;
         this.game = null;
         this.renderer = null;
         this.leaderboardAPI = new LeaderboardAPI();
@@ -25,31 +37,54 @@ class FlappyPushupApp {
         this.movementThreshold = 0.05;
         this.lastShoulderY = 0.5;
         this.movementDetected = false;
-        this.movementCooldown = 0;
-
-        // Game over cooldown (frames to wait before allowing restart)
-        this.gameOverCooldown = 0;
-        this.GAME_OVER_COOLDOWN_FRAMES = 120; // ~2 seconds at 60fps
-        this.lastGameState = null;
+        this.movementCooldown = 0;  // ms before movement is detected again
+        this.MOVEMENT_COOLDOWN_MS = 500;
 
         // Leaderboard state
         this.leaderboard = [];
         this.percentile = null;
         this.rank = null;
         this.scoreSubmitted = false;
-        this.leaderboardFetched = false;
+        this.leaderboardBoard = null;  // Board the loaded leaderboard belongs to
+        this.daily = null;             // Today's challenge and yesterday's winners, once fetched
+
+        // Guided calibration session (only while calibrating)
+        this.calibration = null;
+
+        // The other modes unlock once the tutorial is finished
+        this.tutorialDone = loadTutorialDone();
+        this.tutorialJustDone = false;  // Leave the tutorial after its results
+
+        // Replays: every run is recorded; ?replay=<url> plays one back instead
+        this.replayRecorder = new ReplayRecorder();
+        this.lastReplay = null;
+        this.replayPlayer = null;
 
         // Submit form elements
         this.submitForm = document.getElementById('submit-form');
         this.nameInput = document.getElementById('name-input');
         this.submitBtn = document.getElementById('submit-btn');
         this.playAgainBtn = document.getElementById('play-again-btn');
+        this.continueBtn = document.getElementById('continue-btn');
+        this.challengeBtn = document.getElementById('challenge-btn');
+
+        // Difficulty settings elements; the choice is {preset, custom}
+        this.settingsBtn = document.getElementById('settings-btn');
+        this.settingsPanel = document.getElementById('settings-panel');
+        this.presetSelect = document.getElementById('preset-select');
+        this.controlsSelect = document.getElementById('controls-select');
+        this.difficultyFields = document.getElementById('difficulty-fields');
+        this.difficultyChoice = loadDifficulty();
 
         // Bind methods
         this.gameLoop = this.gameLoop.bind(this);
         this.handleResize = this.handleResize.bind(this);
         this.handleSubmit = this.handleSubmit.bind(this);
         this.handlePlayAgain = this.handlePlayAgain.bind(this);
+        this.handleContinue = this.handleContinue.bind(this);
+        this.handleChallengeFriend = this.handleChallengeFriend.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleCanvasClick = this.handleCanvasClick.bind(this);
     }
 
     async initialize() {
@@ -66,33 +101,93 @@ class FlappyPushupApp {
                 if (e.key === 'Enter') this.handleSubmit();
             });
 
-            // Play again button
+            // Play again, continue and challenge buttons
             this.playAgainBtn.addEventListener('click', this.handlePlayAgain);
+            this.continueBtn.addEventListener('click', this.handleContinue);
+            this.challengeBtn.addEventListener('click', this.handleChallengeFriend);
+
+            // Difficulty settings panel
+            this.initSettingsPanel();
+
+            // Keyboard shortcuts (mode picker, replay download, recalibration, landmark recording)
+            window.addEventListener('keydown', this.handleKeyDown);
+
+            // Clicking the mode picker on the waiting screen
+            this.canvas.addEventListener('click', this.handleCanvasClick);
 
             // Load saved name
             this.nameInput.value = localStorage.getItem('flappyPushupName') || '';
 
             // Initialize game and renderer
-            this.game = new FlappyGame(this.canvas.width, this.canvas.height);
+            this.game = new FlappyGame();
+            this.game.setMode(loadSelectedMode());
+            this.game.setDifficulty(resolveDifficulty(this.difficultyChoice.preset, this.difficultyChoice.custom));
+            this.game.setControls(loadSelectedControls());
+            this.game.raceGhost = loadGhostRacing();
+            this.updateSettingsPanel();
+
+            // A friend's challenge link sets up their course
+            const friendChallenge = parseChallenge(new URLSearchParams(window.location.search));
+            if (friendChallenge) {
+                this.acceptChallenge(friendChallenge);
+            }
+
+            // A scripted course from the editor (?course=saved) or a course file (?course=<url>)
+            const courseSource = new URLSearchParams(window.location.search).get('course');
+            if (courseSource && !friendChallenge) {
+                await this.loadCourse(courseSource);
+            }
+
+            // New players start on the tutorial; a link someone opened skips it
+            if (!this.tutorialDone && !friendChallenge && !courseSource) {
+                this.game.setMode('tutorial');
+                this.updateSettingsPanel();
+            }
             this.renderer = new Renderer(this.canvas, this.video);
 
+            // Record every run so strange deaths can be replayed
+            this.replayRecorder.onFinish = (replay) => {
+                this.lastReplay = replay;
+            };
+            this.game.setRecorder(this.replayRecorder);
+            this.bindStateHooks();
+            this.renderer.attachStateMachine(this.game.machine);
+
+            // Watching a shared replay doesn't need the camera
+            const replayUrl = new URLSearchParams(window.location.search).get('replay');
+            if (replayUrl) {
+                await this.loadReplay(replayUrl);
+                return;
+            }
+
             // Show loading message
-            this.showLoadingMessage('Initializing pose detection...');
+            this.showLoadingMessage('Initializing input...');
 
-            // Initialize pose detection
-            this.poseDetector = new PoseDetector();
+            // Initialize input (?input=pose|manual|playback picks the source)
+            this.inputSource = this.createInputSource();
 
             // Set up pose results callback for skeleton rendering
-            this.poseDetector.setResultsCallback((results) => {
+            this.inputSource.setResultsCallback((results) => {
                 this.renderer.setPoseResults(results);
             });
 
-            await this.poseDetector.initialize(this.video);
+            await this.inputSource.initialize(this.video);
+
+            console.log('Input initialized:', this.inputSource.constructor.name);
 
-            console.log('Pose detection initialized');
+            // Reuse this player's calibration, or walk them through one
+            if (this.inputSource.supportsCalibration) {
+                const savedCalibration = loadCalibration(this.getPlayerName());
+                if (savedCalibration) {
+                    this.inputSource.applyCalibration(savedCalibration);
+                } else {
+                    this.startCalibration();
+                }
+            }
 
-            // Pre-fetch leaderboard
+            // Pre-fetch leaderboard and the daily challenge
             this.fetchLeaderboard();
+            this.fetchDaily();
 
             // Start game loop
             this.isRunning = true;
@@ -108,15 +203,445 @@ class FlappyPushupApp {
         }
     }
 
+    /**
+     * Pick the input source from the URL
+     *   ?input=pose (default)  camera + MediaPipe
+     *   ?input=manual          arrow keys, mouse Y or touch drag
+     *   ?input=playback&recording=<url>  recorded landmark session
+     * Pose-based sources also honour ?range=<name> for the range estimator.
+     */
+    createInputSource() {
+        const params = new URLSearchParams(window.location.search);
+        let source;
+
+        switch (params.get('input')) {
+            case 'manual':
+                return new ManualInput(this.canvas);
+            case 'playback':
+                if (!params.get('recording')) {
+                    throw new Error('Playback input needs a ?recording=<url> parameter');
+                }
+                source = new LandmarkPlayback(params.get('recording'));
+                break;
+            default:
+                source = new PoseDetector();
+        }
+
+        if (params.get('range')) {
+            source.setRangeStrategy(createRangeStrategy(params.get('range')));
+        }
+        return source;
+    }
+
+    /**
+     * Name calibrations are saved under (empty until a score is submitted)
+     */
+    getPlayerName() {
+        return this.nameInput.value.trim();
+    }
+
+    /**
+     * Walk the player through holding the top and bottom positions
+     */
+    startCalibration() {
+        this.calibration = new CalibrationSession();
+        this.inputSource.startCalibration();
+        this.game.calibrate();
+    }
+
+    updateCalibration(deltaTime) {
+        const status = this.calibration.update(
+            this.inputSource.getRawShoulderY(),
+            deltaTime,
+            this.inputSource.hasLandmarks()
+        );
+
+        if (status === CalibrationStatus.DONE) {
+            const result = this.calibration.getResult();
+            this.inputSource.endCalibration(result);
+            saveCalibration(this.getPlayerName(), result);
+            console.log('Calibration saved:', result);
+
+            this.calibration = null;
+            this.movementDetected = false;
+            this.game.reset();
+        }
+    }
+
+    /**
+     * Load a replay file and play it back in place of live input
+     */
+    async loadReplay(url) {
+        this.showLoadingMessage('Loading replay...');
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error('Failed to load replay');
+        }
+
+        this.settingsBtn.classList.add('hidden');
+
+        this.replayPlayer = new ReplayPlayer(await response.json());
+        this.game = this.replayPlayer.createGame();
+        this.bindStateHooks();
+        this.renderer.attachStateMachine(this.game.machine);
+
+        this.isRunning = true;
+        this.lastFrameTime = performance.now();
+        requestAnimationFrame(this.gameLoop);
+    }
+
+    /**
+     * Play a scripted course instead of random obstacles, taking its mode and
+     * difficulty if it sets them
+     * @param {string} source - 'saved' for the editor's course, or a course file's URL
+     */
+    async loadCourse(source) {
+        try {
+            let course;
+            if (source === 'saved') {
+                course = loadSavedCourse();
+                if (!course) {
+                    throw new Error('No course saved by the editor');
+                }
+            } else {
+                const response = await fetch(source);
+                if (!response.ok) {
+                    throw new Error('Failed to load course');
+                }
+                course = parseCourse(await response.json());
+            }
+
+            if (course.mode) this.game.setMode(course.mode);
+            if (course.difficulty) this.game.setDifficulty(resolveDifficulty(course.difficulty));
+            this.game.loadCourse(course);
+            this.updateSettingsPanel();
+        } catch (error) {
+            console.error('Failed to load course:', error);
+        }
+    }
+
+    /**
+     * Download the most recent run as a replay file
+     */
+    downloadReplay() {
+        if (!this.lastReplay) return;
+        this.downloadJson(this.lastReplay, `flappy-pushup-replay-${this.lastReplay.seed}.json`);
+    }
+
+    /**
+     * Start recording raw landmarks, or stop and download the recording
+     */
+    toggleLandmarkRecording() {
+        if (!this.inputSource.isRecording()) {
+            this.inputSource.startRecording();
+            console.log('Landmark recording started');
+            return;
+        }
+
+        const recording = this.inputSource.stopRecording();
+        console.log('Landmark recording stopped:', recording.frames.length, 'frames');
+        this.downloadJson(recording, `flappy-pushup-landmarks-${Date.now()}.json`);
+    }
+
+    downloadJson(data, filename) {
+        const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Leaderboard the current run is ranked on
+     */
+    getBoard() {
+        return this.game.getBoard();
+    }
+
+    /**
+     * Pick the mode for the next run (waiting screen only)
+     */
+    selectMode(id) {
+        if (this.replayPlayer || this.game.state !== GameState.WAITING) return;
+        if (this.isLockedMode(id)) return;
+        this.leaveChallenge();
+        if (id === this.game.mode.id || !this.game.setMode(id)) return;
+
+        // Back to the player's controls after the tutorial's
+        this.game.setControls(loadSelectedControls());
+        this.updateSettingsPanel();
+        saveSelectedMode(id);
+        this.fetchLeaderboard();
+    }
+
+    /**
+     * Modes other than the tutorial unlock once it has been finished
+     */
+    isLockedMode(id) {
+        return !this.tutorialDone && id !== 'tutorial';
+    }
+
+    /**
+     * Switch from the finished tutorial to the player's saved mode
+     */
+    leaveTutorial() {
+        const id = loadSelectedMode();
+        this.game.setMode(id === 'tutorial' ? DEFAULT_MODE : id);
+        this.game.setControls(loadSelectedControls());
+        this.updateSettingsPanel();
+        this.fetchLeaderboard();
+    }
+
+    /**
+     * Pick the control scheme for the next run (waiting screen only)
+     */
+    selectControls(id) {
+        if (this.replayPlayer || this.game.state !== GameState.WAITING) return;
+        this.leaveChallenge();
+        if (id === this.game.controls.id || !this.game.setControls(id)) return;
+
+        saveSelectedControls(id);
+        this.updateSettingsPanel();
+        this.fetchLeaderboard();
+    }
+
+    async fetchDaily() {
+        this.daily = await this.leaderboardAPI.getDaily();
+    }
+
+    /**
+     * Switch between today's daily challenge and the player's own setup
+     * (waiting screen only)
+     */
+    async toggleDaily() {
+        if (this.replayPlayer || this.game.course || this.game.state !== GameState.WAITING) return;
+        if (!this.tutorialDone) return;
+
+        if (this.game.challenge?.daily) {
+            this.leaveChallenge();
+            return;
+        }
+
+        // Re-fetched after midnight
+        await this.fetchDaily();
+        const daily = this.daily;
+        if (!daily || this.game.state !== GameState.WAITING) return;
+
+        this.game.setMode(daily.mode);
+        this.game.setDifficulty(resolveDifficulty(daily.preset));
+        this.game.setControls(daily.controls);
+        this.game.setChallenge({ seed: daily.seed, board: daily.board, label: `Daily ${daily.date}`, daily: daily.date });
+        this.updateSettingsPanel();
+        this.fetchLeaderboard();
+    }
+
+    /**
+     * Play the course from a friend's challenge link
+     */
+    acceptChallenge(challenge) {
+        this.game.setMode(challenge.mode);
+        this.game.setDifficulty(resolveDifficulty(challenge.preset, challenge.custom));
+        this.game.setControls(challenge.controls);
+        this.game.setChallenge({
+            seed: challenge.seed,
+            label: `${challenge.name}'s challenge`,
+            name: challenge.name,
+            score: challenge.score,
+            ghost: challenge.ghost
+        });
+        this.updateSettingsPanel();
+    }
+
+    /**
+     * Back to the player's saved mode, difficulty and controls after a daily
+     * or a friend's challenge
+     */
+    leaveChallenge() {
+        if (!this.game.challenge) return;
+
+        this.game.setChallenge(null);
+        this.game.setMode(this.tutorialDone ? loadSelectedMode() : 'tutorial');
+        this.game.setDifficulty(resolveDifficulty(this.difficultyChoice.preset, this.difficultyChoice.custom));
+        this.game.setControls(loadSelectedControls());
+        this.updateSettingsPanel();
+        this.fetchLeaderboard();
+    }
+
+    /**
+     * Turn racing the personal best's ghost on or off (waiting screen only)
+     */
+    toggleGhostRacing() {
+        if (this.replayPlayer || this.game.state !== GameState.WAITING) return;
+
+        this.game.raceGhost = !this.game.raceGhost;
+        saveGhostRacing(this.game.raceGhost);
+    }
+
+    /**
+     * Build the difficulty panel: controls and preset pickers plus one input
+     * per tunable
+     */
+    initSettingsPanel() {
+        for (const [id, Scheme] of Object.entries(CONTROL_SCHEMES)) {
+            this.controlsSelect.add(new Option(new Scheme().label, id));
+        }
+        for (const [id, preset] of Object.entries(DIFFICULTY_PRESETS)) {
+            this.presetSelect.add(new Option(preset.label, id));
+        }
+
+        this.difficultyInputs = {};
+        for (const [key, field] of Object.entries(DIFFICULTY_FIELDS)) {
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = field.min;
+            input.max = field.max;
+            input.step = field.step;
+
+            // Editing any value switches to the custom preset
+            input.addEventListener('change', () => this.selectDifficulty('custom', this.readDifficultyInputs()));
+
+            label.append(field.label, input);
+            this.difficultyFields.append(label);
+            this.difficultyInputs[key] = input;
+        }
+
+        this.controlsSelect.addEventListener('change', () => this.selectControls(this.controlsSelect.value));
+        this.presetSelect.addEventListener('change', () => {
+            this.selectDifficulty(this.presetSelect.value, this.difficultyChoice.custom);
+        });
+        this.settingsBtn.addEventListener('click', () => this.toggleSettings());
+        document.getElementById('settings-done-btn').addEventListener('click', () => this.toggleSettings(false));
+    }
+
+    readDifficultyInputs() {
+        const values = {};
+        for (const [key, input] of Object.entries(this.difficultyInputs)) {
+            values[key] = parseFloat(input.value);
+        }
+        return values;
+    }
+
+    /**
+     * Show the current difficulty's values in the panel
+     */
+    updateSettingsPanel() {
+        const difficulty = this.game.difficulty;
+        this.controlsSelect.value = this.game.controls.id;
+        this.controlsSelect.disabled = this.game.mode.controls !== null;
+        this.presetSelect.value = difficulty.preset;
+        for (const [key, input] of Object.entries(this.difficultyInputs)) {
+            input.value = difficulty[key];
+        }
+    }
+
+    /**
+     * Use a difficulty preset for the next run and remember it
+     */
+    selectDifficulty(preset, custom) {
+        const settings = resolveDifficulty(preset, custom);
+        if (this.game.state !== GameState.WAITING) return;
+        this.leaveChallenge();
+        if (!this.game.setDifficulty(settings)) return;
+
+        // Custom values are kept even while another preset is picked
+        this.difficultyChoice = { preset, custom };
+        saveDifficulty(this.difficultyChoice);
+        this.updateSettingsPanel();
+        this.fetchLeaderboard();
+    }
+
+    toggleSettings(show = this.settingsPanel.classList.contains('hidden')) {
+        if (show && this.game.state !== GameState.WAITING) return;
+        this.settingsPanel.classList.toggle('hidden', !show);
+    }
+
+    handleCanvasClick(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const id = this.renderer.getModeAt(e.clientX - rect.left, e.clientY - rect.top);
+        if (id) {
+            this.selectMode(id);
+        }
+    }
+
+    handleKeyDown(e) {
+        // Don't steal keys while typing a name or a setting
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+
+        // Number keys pick a mode
+        const modeIds = Object.keys(GAME_MODES);
+        const modeIndex = parseInt(e.key, 10) - 1;
+        if (modeIndex >= 0 && modeIndex < modeIds.length) {
+            this.selectMode(modeIds[modeIndex]);
+        }
+
+        if (e.key === 'r' && this.game?.machine.is(GameState.GAME_OVER, GameState.RESULTS)) {
+            this.downloadReplay();
+        }
+
+        if (e.key === 'd' && !this.replayPlayer) {
+            this.toggleSettings();
+        }
+
+        if (e.key === 'h' && this.renderer) {
+            this.renderer.toggleHitboxes();
+        }
+
+        // Switch between steering and flapping
+        if (e.key === 'f' && this.game) {
+            const ids = Object.keys(CONTROL_SCHEMES);
+            this.selectControls(ids[(ids.indexOf(this.game.controls.id) + 1) % ids.length]);
+        }
+
+        if (e.key === 't' && this.game) {
+            this.toggleDaily();
+        }
+
+        if (e.key === 'g' && this.game) {
+            this.toggleGhostRacing();
+        }
+
+        if (e.key === 'e' && !this.replayPlayer && this.game?.state === GameState.WAITING) {
+            window.location.href = 'editor.html';
+        }
+
+        if (e.key === 'c' && this.inputSource?.supportsCalibration &&
+            this.game?.state === GameState.WAITING) {
+            this.startCalibration();
+        }
+
+        // Field recordings only make sense from the camera
+        if (e.key === 'l' && this.inputSource instanceof PoseDetector &&
+            !(this.inputSource instanceof LandmarkPlayback)) {
+            this.toggleLandmarkRecording();
+        }
+    }
+
     async fetchLeaderboard() {
+        const board = this.getBoard();
+
+        // Scripted courses and the tutorial aren't ranked online
+        if (!this.game.isRanked()) {
+            this.leaderboard = [];
+            this.leaderboardBoard = board;
+            return;
+        }
+
         try {
-            console.log('Fetching leaderboard...');
-            this.leaderboard = await this.leaderboardAPI.getLeaderboard();
-            this.leaderboardFetched = true;
+            console.log('Fetching leaderboard...', board);
+            const leaderboard = await this.leaderboardAPI.getLeaderboard(board);
+
+            // The player may have switched modes while this was loading
+            if (board !== this.getBoard()) return;
+
+            this.leaderboard = leaderboard;
+            this.leaderboardBoard = board;
             console.log('Leaderboard fetched:', this.leaderboard.length, 'entries');
         } catch (error) {
             console.error('Failed to fetch leaderboard:', error);
-            this.leaderboardFetched = true; // Mark as fetched even on error to prevent retry spam
+            this.leaderboardBoard = board; // Mark as fetched even on error to prevent retry spam
         }
     }
 
@@ -170,10 +695,6 @@ class FlappyPushupApp {
         this.canvas.width = rect.width;
         this.canvas.height = rect.height;
 
-        if (this.game) {
-            this.game.resize(this.canvas.width, this.canvas.height);
-        }
-
         if (this.renderer) {
             this.renderer.resize();
         }
@@ -185,7 +706,7 @@ class FlappyPushupApp {
         const deltaTime = currentTime - this.lastFrameTime;
         this.lastFrameTime = currentTime;
 
-        // Update game logic
+        // Update game logic (game advances in fixed ticks internally)
         this.update(deltaTime);
 
         // Render
@@ -196,28 +717,64 @@ class FlappyPushupApp {
     }
 
     update(deltaTime) {
+        // Replays drive the game from recorded input only
+        if (this.replayPlayer) {
+            this.replayPlayer.advance(deltaTime);
+            return;
+        }
+
+        // Calibration reads the raw shoulder position; the game just idles
+        if (this.game.state === GameState.CALIBRATING) {
+            this.updateCalibration(deltaTime);
+            this.game.update(deltaTime);
+            return;
+        }
+
         // Get current shoulder position from pose detector
-        if (this.poseDetector && this.poseDetector.isPoseDetected()) {
-            const normalizedY = this.poseDetector.getNormalizedShoulderY();
+        if (this.inputSource && this.inputSource.isPoseDetected()) {
+            const normalizedY = this.inputSource.getNormalizedShoulderY();
 
-            // Update bird position
-            this.game.setBirdTargetFromPose(normalizedY);
+            // Update bird position (form metrics feed rep scoring)
+            this.game.setBirdTargetFromPose(normalizedY, this.inputSource.getFormMetrics());
 
             // Detect movement for game start/restart
-            this.detectMovement(normalizedY);
+            this.detectMovement(normalizedY, deltaTime);
         }
 
+        // Moving on the waiting screen starts the countdown (not while changing settings)
+        if (this.movementDetected && this.game.state === GameState.WAITING &&
+            this.settingsPanel.classList.contains('hidden')) {
+            this.game.start();
+        }
+        this.movementDetected = false;
+
+        // Pause when the player leaves the frame mid-game
+        this.handleTracking();
+
         // Update game state
         this.game.update(deltaTime);
+    }
 
-        // Handle game state transitions
-        this.handleStateTransitions();
+    /**
+     * Pause when tracking is lost mid-game, count back in when it returns
+     */
+    handleTracking() {
+        const tracking = this.inputSource?.isPoseDetected();
+        const machine = this.game.machine;
+
+        if (!tracking && machine.is(GameState.PLAYING, GameState.COUNTDOWN)) {
+            // Also covers losing them again during the resume countdown
+            console.log('Tracking lost - pausing');
+            this.game.pause();
+        } else if (tracking && machine.is(GameState.PAUSED)) {
+            this.game.resume();
+        }
     }
 
-    detectMovement(currentY) {
+    detectMovement(currentY, deltaTime) {
         // Reduce cooldown
         if (this.movementCooldown > 0) {
-            this.movementCooldown--;
+            this.movementCooldown -= deltaTime;
             return;
         }
 
@@ -226,76 +783,119 @@ class FlappyPushupApp {
 
         if (movement > this.movementThreshold) {
             this.movementDetected = true;
-            this.movementCooldown = 30; // Frames to wait before detecting again
+            this.movementCooldown = this.MOVEMENT_COOLDOWN_MS;
         }
 
         this.lastShoulderY = currentY;
     }
 
-    handleStateTransitions() {
-        const state = this.game.state;
+    /**
+     * Drive the DOM overlays from game events and state transitions
+     */
+    bindStateHooks() {
+        const machine = this.game.machine;
 
-        // Detect state change to GAME_OVER
-        if (state === GameState.GAME_OVER && this.lastGameState !== GameState.GAME_OVER) {
-            // Just entered game over - start cooldown
-            this.gameOverCooldown = this.GAME_OVER_COOLDOWN_FRAMES;
-            this.movementDetected = false; // Clear any pending movement
-            console.log('Game over - cooldown started');
-
-            // Fetch leaderboard if not already fetched
-            if (!this.leaderboardFetched) {
-                this.fetchLeaderboard();
-            }
-        }
-        this.lastGameState = state;
-
-        // Decrease game over cooldown
-        if (this.gameOverCooldown > 0) {
-            this.gameOverCooldown--;
-        }
-
-        if (state === GameState.WAITING) {
-            // Hide UI elements when waiting
+        // Overlays only belong to the results screen
+        machine.on('change', ({ to }) => {
             this.submitForm.classList.add('hidden');
             this.playAgainBtn.classList.add('hidden');
+            this.continueBtn.classList.add('hidden');
+            this.challengeBtn.classList.add('hidden');
+            this.challengeBtn.textContent = 'Challenge a Friend';
+
+            // Difficulty can only change between runs (and not while watching a replay)
+            this.settingsBtn.classList.toggle('hidden', to !== GameState.WAITING || !!this.replayPlayer);
+            this.settingsPanel.classList.add('hidden');
+        });
+
+        // A fresh run clears the last submission
+        this.game.on('start', () => {
+            this.scoreSubmitted = false;
+            this.percentile = null;
+            this.rank = null;
+        });
+
+        this.game.on('gameOver', ({ score, reps, cause, completed }) => {
+            console.log(`Game over: hit ${cause}, score ${score}, ${reps} reps`);
+
+            // Finishing the tutorial unlocks the other modes
+            if (completed && this.game.mode.id === 'tutorial' && !this.replayPlayer) {
+                this.tutorialDone = true;
+                this.tutorialJustDone = true;
+                saveTutorialDone();
+            }
+        });
 
-            if (this.movementDetected) {
-                // Start game when movement detected in waiting state
-                this.game.start();
-                this.movementDetected = false;
-                // Reset leaderboard state for new game
-                this.scoreSubmitted = false;
-                this.percentile = null;
-                this.rank = null;
+        // Back to normal play after the tutorial's results
+        machine.on(`enter:${GameState.WAITING}`, () => {
+            if (this.tutorialJustDone) {
+                this.tutorialJustDone = false;
+                this.leaveTutorial();
             }
-        } else if (state === GameState.PLAYING) {
-            // Hide UI elements while playing
-            this.submitForm.classList.add('hidden');
-            this.playAgainBtn.classList.add('hidden');
-        } else if (state === GameState.GAME_OVER) {
-            // Show submit form if score > 0 and not yet submitted
-            if (this.game.score > 0 && !this.scoreSubmitted) {
+        });
+
+        machine.on(`enter:${GameState.RESULTS}`, () => {
+            if (this.game.score > 0 && !this.scoreSubmitted && !this.replayPlayer && this.game.isRanked()) {
                 this.submitForm.classList.remove('hidden');
-            } else {
-                this.submitForm.classList.add('hidden');
             }
+            if (this.leaderboardBoard !== this.getBoard()) {
+                this.fetchLeaderboard();
+            }
+        });
 
-            // Show play again button after cooldown
-            if (this.gameOverCooldown === 0) {
+        // Play again only once the results have been up long enough to read
+        machine.on(`ready:${GameState.RESULTS}`, () => {
+            if (!this.replayPlayer) {
                 this.playAgainBtn.classList.remove('hidden');
-            } else {
-                this.playAgainBtn.classList.add('hidden');
             }
-        }
+
+            // A submitted score is final
+            if (this.game.canContinue() && !this.scoreSubmitted && !this.replayPlayer) {
+                this.continueBtn.classList.remove('hidden');
+            }
+
+            if (this.game.canChallenge() && !this.replayPlayer) {
+                this.challengeBtn.classList.remove('hidden');
+            }
+        });
     }
 
     handlePlayAgain() {
-        this.game.reset();
+        if (!this.game.reset()) return;
         this.scoreSubmitted = false;
         this.percentile = null;
         this.rank = null;
-        this.submitForm.classList.add('hidden');
-        this.playAgainBtn.classList.add('hidden');
+    }
+
+    handleContinue() {
+        this.game.continueRun();
+    }
+
+    /**
+     * Share a link daring a friend to beat this run on the same course
+     */
+    async handleChallengeFriend() {
+        const url = createChallengeUrl(window.location.href, {
+            seed: this.game.seed,
+            mode: this.game.mode.id,
+            difficulty: this.game.difficulty,
+            controls: this.game.controls.id,
+            name: this.getPlayerName(),
+            score: this.game.score,
+            ghost: this.game.getRunGhost()
+        });
+
+        try {
+            if (navigator.share) {
+                await navigator.share({ title: 'Flappy Push-up', text: `Beat my ${this.game.score}!`, url });
+            } else {
+                await navigator.clipboard.writeText(url);
+                this.challengeBtn.textContent = 'Link Copied!';
+            }
+        } catch (error) {
+            // Also thrown when the share sheet is dismissed
+            console.error('Failed to share challenge:', error);
+        }
     }
 
     async handleSubmit() {
@@ -305,15 +905,25 @@ class FlappyPushupApp {
             return;
         }
 
-        // Save name for next time
+        // Save name (and calibration under it) for next time
         localStorage.setItem('flappyPushupName', name);
+        if (this.inputSource?.isCalibrated) {
+            saveCalibration(name, this.inputSource.getCalibration());
+        }
 
         // Disable button during submission
         this.submitBtn.disabled = true;
         this.submitBtn.textContent = 'Submitting...';
 
         try {
-            const result = await this.leaderboardAPI.submitScore(name, this.game.score);
+            const result = await this.leaderboardAPI.submitScore(name, this.game.score, {
+                reps: this.game.reps,
+                mode: this.game.mode.id,
+                preset: this.game.difficulty.preset,
+                controls: this.game.controls.id,
+                continued: this.game.continued,
+                daily: this.game.challenge?.daily
+            });
 
             this.percentile = result.percentile;
             this.rank = result.rank;
@@ -322,6 +932,7 @@ class FlappyPushupApp {
 
             // Hide form after successful submit
             this.submitForm.classList.add('hidden');
+            this.continueBtn.classList.add('hidden');
 
         } catch (error) {
             console.error('Failed to submit score:', error);
@@ -339,6 +950,9 @@ class FlappyPushupApp {
         gameState.percentile = this.percentile;
         gameState.rank = this.rank;
         gameState.scoreSubmitted = this.scoreSubmitted;
+        gameState.daily = this.daily;
+        gameState.modesLocked = !this.tutorialDone;
+        gameState.calibration = this.calibration?.getStatus() ?? null;
 
         this.renderer.render(gameState);
     }
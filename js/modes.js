@@ -0,0 +1,328 @@
+/**
+ * Game modes
+ * Each mode decides when a run ends and how it is scored. The mode id is
+ * sent with score submissions so every mode has its own leaderboard.
+ */
+
+import { Tutorial } from './tutorial.js';
+import { DEFAULT_CONTROLS } from './controls.js';
+
+const STORAGE_KEY = 'flappyPushupMode';
+
+export const DEFAULT_MODE = 'endless';
+
+/**
+ * Base mode: score is pipes passed plus pickup bonus points, the first
+ * crash ends the run
+ */
+export class GameMode {
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    get id() {
+        throw new Error('id not implemented');
+    }
+
+    get label() {
+        return this.id;
+    }
+
+    get description() {
+        return '';
+    }
+
+    /**
+     * Whether hitting something ends the run; otherwise the pipe that was
+     * hit just stops counting
+     */
+    get endsOnCollision() {
+        return true;
+    }
+
+    /**
+     * Whether runs go on the online leaderboards
+     */
+    get ranked() {
+        return true;
+    }
+
+    /**
+     * Control scheme the mode has to be played with, null for the player's
+     */
+    get controls() {
+        return null;
+    }
+
+    /**
+     * Whether the mode lays out the obstacles itself (see nextObstacle())
+     */
+    get placesObstacles() {
+        return false;
+    }
+
+    /**
+     * Forget the last run's progress (called whenever the game clears a run)
+     */
+    reset() {
+    }
+
+    /**
+     * Per-tick bookkeeping, called every playing tick before isComplete()
+     */
+    update(game) {
+    }
+
+    /**
+     * Whether the run has reached its goal (checked every playing tick)
+     */
+    isComplete(game) {
+        return false;
+    }
+
+    /**
+     * Next obstacle when placesObstacles, as a course entry (see
+     * expandCourse() in course.js), null if none is due yet
+     */
+    nextObstacle(game) {
+        return null;
+    }
+
+    getScore(game) {
+        return game.pipesPassed + game.bonus;
+    }
+
+    /**
+     * Mode-specific HUD text (time left, reps to go), null for none
+     */
+    getHud(game) {
+        return null;
+    }
+
+    /**
+     * On-screen coaching (see Tutorial.getCoaching()), null for none
+     */
+    getCoaching(game) {
+        return null;
+    }
+}
+
+/**
+ * The original game: survive as long as possible
+ */
+export class EndlessMode extends GameMode {
+    get id() {
+        return 'endless';
+    }
+
+    get label() {
+        return 'Endless';
+    }
+
+    get description() {
+        return 'Until the first crash';
+    }
+}
+
+/**
+ * Fixed-length workout. Crashes don't end it; every clean rep and every
+ * pipe cleared scores a point, on top of pickup bonuses.
+ */
+export class TimedMode extends GameMode {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.duration] - Length of the workout in ms of play
+     */
+    constructor(options = {}) {
+        super(options);
+        this.duration = options.duration ?? 60000;
+    }
+
+    get id() {
+        return 'timed';
+    }
+
+    get label() {
+        return `${this.duration / 1000} Seconds`;
+    }
+
+    get description() {
+        return 'Reps + pipes, no game over';
+    }
+
+    get endsOnCollision() {
+        return false;
+    }
+
+    isComplete(game) {
+        return game.playTime >= this.duration;
+    }
+
+    getScore(game) {
+        return game.pipesPassed + game.reps + game.bonus;
+    }
+
+    getHud(game) {
+        const seconds = Math.ceil(Math.max(0, this.duration - game.playTime) / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+}
+
+/**
+ * Reach a number of clean reps before crashing. Score is the reps done and
+ * pickup bonuses, plus a point per second under par for reaching the target.
+ */
+export class RepTargetMode extends GameMode {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.target] - Clean reps needed
+     * @param {number} [options.parTime] - Time (ms) the speed bonus counts down from
+     */
+    constructor(options = {}) {
+        super(options);
+        this.target = options.target ?? 20;
+        this.parTime = options.parTime ?? 120000;
+    }
+
+    get id() {
+        return 'reps';
+    }
+
+    get label() {
+        return `${this.target} Reps`;
+    }
+
+    get description() {
+        return 'Faster finish, higher score';
+    }
+
+    isComplete(game) {
+        return game.reps >= this.target;
+    }
+
+    getScore(game) {
+        const score = game.reps + game.bonus;
+        if (!game.completed) {
+            return score;
+        }
+        return score + Math.max(0, Math.ceil((this.parTime - game.playTime) / 1000));
+    }
+
+    getHud(game) {
+        return `${Math.min(game.reps, this.target)} / ${this.target} reps`;
+    }
+}
+
+/**
+ * Guided lessons for new players (see tutorial.js) with coaching and no
+ * game over. Scores the lessons done; runs aren't ranked.
+ */
+export class TutorialMode extends GameMode {
+    /**
+     * @param {Object} [options]
+     * @param {Object[]} [options.lessons] - Defaults to TUTORIAL_LESSONS
+     */
+    constructor(options = {}) {
+        super(options);
+        this.tutorial = new Tutorial(options.lessons);
+    }
+
+    get id() {
+        return 'tutorial';
+    }
+
+    get label() {
+        return 'Tutorial';
+    }
+
+    get description() {
+        return 'Learn the moves, no game over';
+    }
+
+    get endsOnCollision() {
+        return false;
+    }
+
+    get ranked() {
+        return false;
+    }
+
+    // The lessons teach holding positions, which only steer with direct controls
+    get controls() {
+        return DEFAULT_CONTROLS;
+    }
+
+    get placesObstacles() {
+        return true;
+    }
+
+    reset() {
+        this.tutorial.reset();
+    }
+
+    update(game) {
+        this.tutorial.update(game);
+    }
+
+    isComplete(game) {
+        return this.tutorial.finished;
+    }
+
+    nextObstacle(game) {
+        return this.tutorial.nextObstacle(game);
+    }
+
+    getScore(game) {
+        return this.tutorial.index;
+    }
+
+    getHud(game) {
+        const coaching = this.tutorial.getCoaching(game);
+        return `Lesson ${coaching.lesson} / ${coaching.lessons}`;
+    }
+
+    getCoaching(game) {
+        return this.tutorial.getCoaching(game);
+    }
+}
+
+export const GAME_MODES = {
+    endless: EndlessMode,
+    timed: TimedMode,
+    reps: RepTargetMode,
+    tutorial: TutorialMode
+};
+
+/**
+ * Modes a course or a challenge link may ask for (not the tutorial, which
+ * lays out its own obstacles)
+ */
+export const RACE_MODES = Object.keys(GAME_MODES).filter(id => !createGameMode(id).placesObstacles);
+
+/**
+ * Create a mode by id, falling back to endless
+ */
+export function createGameMode(id = DEFAULT_MODE, options = {}) {
+    const Mode = GAME_MODES[id] || EndlessMode;
+    return new Mode(options);
+}
+
+/**
+ * Mode the player picked last time
+ */
+export function loadSelectedMode() {
+    try {
+        const id = localStorage.getItem(STORAGE_KEY);
+        return GAME_MODES[id] ? id : DEFAULT_MODE;
+    } catch {
+        return DEFAULT_MODE;
+    }
+}
+
+export function saveSelectedMode(id) {
+    try {
+        localStorage.setItem(STORAGE_KEY, id);
+    } catch {
+        // Ignore storage errors
+    }
+}
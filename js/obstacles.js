@@ -0,0 +1,304 @@
+/**
+ * Obstacle types
+ * Everything the bottle has to get through. Each obstacle is one or more
+ * columns with a gap, moved left by the game; types add their own motion,
+ * collision rules and a look of their own in the renderer.
+ */
+
+import { getColumnHitboxes, hitboxesOverlap } from './collision.js';
+
+// What the bird hit, reported with 'collision' events
+export const CollisionCause = {
+    GROUND: 'ground',
+    CEILING: 'ceiling',
+    TOP_PIPE: 'topPipe',
+    BOTTOM_PIPE: 'bottomPipe'
+};
+
+/**
+ * Base obstacle: a single column with a fixed gap
+ *
+ * Created from a layout worked out by the game at spawn time:
+ *   x, width     spawn position and column width
+ *   gap          gap size for this pipe
+ *   centre       where the gap's centre was placed
+ *   minCentre, maxCentre  centres that leave room for both pipes
+ *   reachTop, reachBottom world Ys the player has been reaching lately
+ *   floor        world Y of the ground
+ *   speed        units per tick the obstacle moves at
+ *   tickMs       length of a tick in ms
+ *   birdX        bird's x, where the obstacle is played
+ *   label        text shown over it, for scripted courses (optional)
+ *   holdDuration tunnels only, see TunnelObstacle (optional)
+ */
+export class Obstacle {
+    constructor(layout) {
+        this.x = layout.x;
+        this.prevX = layout.x;
+        this.width = layout.width;
+        this.gapTop = layout.centre - layout.gap / 2;
+        this.gapBottom = layout.centre + layout.gap / 2;
+        this.passed = false;
+        this.hit = false;
+        this.label = layout.label ?? null;
+    }
+
+    get type() {
+        return 'pipe';
+    }
+
+    /**
+     * Per-tick behaviour besides moving left
+     */
+    update(game) {
+    }
+
+    /**
+     * Gap columns relative to x: {offset, width, gapTop, gapBottom}
+     */
+    getColumns() {
+        return [{ offset: 0, width: this.width, gapTop: this.gapTop, gapBottom: this.gapBottom }];
+    }
+
+    /**
+     * Whether the pipe ends have the wider caps
+     */
+    get capped() {
+        return true;
+    }
+
+    /**
+     * Collision shapes (see collision.js) of every column at x
+     * @returns {{shape: Object, top: boolean}[]}
+     */
+    getHitboxes(x = this.x) {
+        return this.getColumns().flatMap(column =>
+            getColumnHitboxes(x + column.offset, column, this.capped));
+    }
+
+    /**
+     * @param {Object[]} hitbox - The bird's shapes, from getBottleHitbox()
+     * @returns {string|null} CollisionCause if the bird overlaps a column
+     */
+    collide(hitbox) {
+        for (const { shape, top } of this.getHitboxes()) {
+            if (hitboxesOverlap(hitbox, [shape])) {
+                return top ? CollisionCause.TOP_PIPE : CollisionCause.BOTTOM_PIPE;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Snapshot for the renderer at an interpolated x
+     */
+    getRenderState(x) {
+        return {
+            type: this.type,
+            x,
+            width: this.width,
+            passed: this.passed,
+            hit: this.hit,
+            label: this.label,
+            columns: this.getColumns().map(c => ({ ...c, x: x + c.offset })),
+            hitboxes: this.getHitboxes(x).map(h => h.shape)
+        };
+    }
+}
+
+/**
+ * Gap that drifts up and down while it approaches
+ */
+export class OscillatingObstacle extends Obstacle {
+    constructor(layout) {
+        super(layout);
+
+        // Swing as far as the player can follow, staying clear of the edges
+        const room = Math.min(layout.maxCentre - layout.minCentre, layout.reachBottom - layout.reachTop) / 2;
+        this.amplitude = Math.max(0, Math.min(90, room));
+        this.centre = Math.max(layout.minCentre + this.amplitude,
+            Math.min(layout.maxCentre - this.amplitude, layout.centre));
+        this.halfGap = layout.gap / 2;
+        this.period = 2500;
+        this.phase = null;
+
+        this.gapTop = this.centre - this.halfGap;
+        this.gapBottom = this.centre + this.halfGap;
+    }
+
+    get type() {
+        return 'oscillating';
+    }
+
+    update(game) {
+        if (this.phase === null) {
+            this.phase = game.time;
+        }
+        const offset = Math.sin(((game.time - this.phase) / this.period) * Math.PI * 2) * this.amplitude;
+        this.gapTop = this.centre + offset - this.halfGap;
+        this.gapBottom = this.centre + offset + this.halfGap;
+    }
+
+    getRenderState(x) {
+        return { ...super.getRenderState(x), amplitude: this.amplitude, centre: this.centre };
+    }
+}
+
+/**
+ * "Hold the plank": a long low roof the player has to stay at the bottom
+ * of their push-up to get under
+ */
+export class TunnelObstacle extends Obstacle {
+    /**
+     * @param {Object} layout
+     * @param {number} [holdDuration] - How long the bottom has to be held (ms),
+     *   layout.holdDuration if it has one
+     */
+    constructor(layout, holdDuration = layout.holdDuration ?? 2000) {
+        super(layout);
+        this.holdDuration = holdDuration;
+
+        // Long enough to take holdDuration to pass under at the current speed
+        this.width = layout.width + layout.speed * (holdDuration / layout.tickMs);
+
+        // Only the bottom of the player's range clears the roof
+        this.gapTop = Math.min(layout.reachBottom, layout.maxCentre) - layout.gap * 0.6;
+        this.gapBottom = layout.floor;
+    }
+
+    get type() {
+        return 'tunnel';
+    }
+
+    get capped() {
+        return false;
+    }
+
+    getRenderState(x) {
+        return { ...super.getRenderState(x), holdDuration: this.holdDuration };
+    }
+}
+
+/**
+ * Two columns in quick succession, one gap high and one low, so getting
+ * through takes a full rep
+ */
+export class DoubleGapObstacle extends Obstacle {
+    constructor(layout) {
+        super(layout);
+
+        const halfGap = layout.gap / 2;
+        const top = Math.max(layout.minCentre, layout.reachTop);
+        const bottom = Math.min(layout.maxCentre, layout.reachBottom);
+
+        // Which one comes first follows where the gap was placed
+        const highFirst = layout.centre < (layout.minCentre + layout.maxCentre) / 2;
+        const [first, second] = highFirst ? [top, bottom] : [bottom, top];
+
+        // Enough room between them for a rep at the current speed
+        this.spacing = layout.speed * (1200 / layout.tickMs);
+        this.columnWidth = layout.width;
+        this.width = layout.width * 2 + this.spacing;
+
+        this.gapTop = first - halfGap;
+        this.gapBottom = first + halfGap;
+        this.secondGapTop = second - halfGap;
+        this.secondGapBottom = second + halfGap;
+    }
+
+    get type() {
+        return 'doubleGap';
+    }
+
+    getColumns() {
+        return [
+            { offset: 0, width: this.columnWidth, gapTop: this.gapTop, gapBottom: this.gapBottom },
+            {
+                offset: this.columnWidth + this.spacing,
+                width: this.columnWidth,
+                gapTop: this.secondGapTop,
+                gapBottom: this.secondGapBottom
+            }
+        ];
+    }
+}
+
+/**
+ * Gap that starts wide and closes as it reaches the bird
+ */
+export class NarrowingObstacle extends Obstacle {
+    constructor(layout) {
+        super(layout);
+        this.centre = layout.centre;
+        this.startGap = Math.min(layout.gap * 1.6, (layout.maxCentre - layout.minCentre) + layout.gap);
+        this.endGap = layout.gap * 0.85;
+        this.spawnX = layout.x;
+        this.birdX = layout.birdX;
+        this.floor = layout.floor;
+        this.setGap(this.startGap);
+    }
+
+    get type() {
+        return 'narrowing';
+    }
+
+    setGap(gap) {
+        this.gapTop = Math.max(0, this.centre - gap / 2);
+        this.gapBottom = Math.min(this.floor, this.centre + gap / 2);
+    }
+
+    update(game) {
+        // Fully closed to endGap by the time it reaches the bird
+        const progress = Math.max(0, Math.min(1, (this.spawnX - this.x) / (this.spawnX - this.birdX)));
+        this.setGap(this.startGap + (this.endGap - this.startGap) * progress);
+    }
+}
+
+export const OBSTACLE_TYPES = {
+    pipe: Obstacle,
+    oscillating: OscillatingObstacle,
+    tunnel: TunnelObstacle,
+    doubleGap: DoubleGapObstacle,
+    narrowing: NarrowingObstacle
+};
+
+// How often each type comes up once the warm-up pipes are through
+const OBSTACLE_WEIGHTS = {
+    pipe: 5,
+    oscillating: 2,
+    narrowing: 2,
+    doubleGap: 1,
+    tunnel: 1
+};
+
+// Plain pipes only for the first few, so every run starts the same way
+const WARMUP_PIPES = 3;
+
+/**
+ * Pick the next obstacle type
+ * @param {number} roll - Random number in [0, 1)
+ * @param {number} pipesPassed - Progress through the run
+ */
+export function chooseObstacleType(roll, pipesPassed) {
+    if (pipesPassed < WARMUP_PIPES) {
+        return 'pipe';
+    }
+
+    const total = Object.values(OBSTACLE_WEIGHTS).reduce((sum, w) => sum + w, 0);
+    let target = roll * total;
+    for (const [type, weight] of Object.entries(OBSTACLE_WEIGHTS)) {
+        target -= weight;
+        if (target < 0) {
+            return type;
+        }
+    }
+    return 'pipe';
+}
+
+/**
+ * Create an obstacle by type, falling back to a plain pipe
+ */
+export function createObstacle(type, layout) {
+    const ObstacleType = OBSTACLE_TYPES[type] || Obstacle;
+    return new ObstacleType(layout);
+}
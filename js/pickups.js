@@ -0,0 +1,54 @@
+/**
+ * Collectibles and power-ups
+ * Pickups sit at the very top or bottom of a pipe gap, so grabbing one takes
+ * a full lockout or a full-depth rep. Vitamins are bonus points; power-ups
+ * run for a while once collected.
+ */
+
+export const PickupType = {
+    VITAMIN: 'vitamin',
+    SHIELD: 'shield',
+    SLOWMO: 'slowmo',
+    DOUBLE_SCORE: 'doubleScore'
+};
+
+/**
+ * Timed power-ups:
+ *   shield       absorbs the next pipe hit
+ *   slowmo       pipes move at speedFactor
+ *   doubleScore  every point counts twice
+ */
+export const POWER_UPS = {
+    [PickupType.SHIELD]: { label: 'SHIELD', duration: 10000 },
+    [PickupType.SLOWMO]: { label: 'SLOW-MO', duration: 5000, speedFactor: 0.5 },
+    [PickupType.DOUBLE_SCORE]: { label: '2X SCORE', duration: 8000 }
+};
+
+// Bonus points for a vitamin
+export const VITAMIN_POINTS = 1;
+
+export const PICKUP_RADIUS = 14;
+
+// Chance a pipe carries a pickup, and how often that pickup is a power-up
+const PICKUP_CHANCE = 0.4;
+const POWER_UP_SHARE = 0.25;
+
+/**
+ * Decide what (if anything) a new pipe carries
+ * @param {number} roll - Random number in [0, 1)
+ * @returns {string|null} PickupType
+ */
+export function choosePickup(roll) {
+    if (roll >= PICKUP_CHANCE) {
+        return null;
+    }
+
+    // Re-use the roll: the low end of the range is power-ups
+    const share = roll / PICKUP_CHANCE;
+    if (share >= POWER_UP_SHARE) {
+        return PickupType.VITAMIN;
+    }
+
+    const powerUps = Object.keys(POWER_UPS);
+    return powerUps[Math.floor((share / POWER_UP_SHARE) * powerUps.length)];
+}
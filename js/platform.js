@@ -0,0 +1,68 @@
+/**
+ * Host services for the game core
+ * FlappyGame reads storage and the wall clock through these, so the same
+ * core runs in the browser, in Node scripts and on the server.
+ */
+
+/**
+ * In-memory stand-in for localStorage (the getItem/setItem subset the game uses)
+ */
+export class MemoryStorage {
+    /**
+     * @param {Object} [entries] - Initial key/value pairs
+     */
+    constructor(entries = {}) {
+        this.items = new Map(Object.entries(entries).map(([key, value]) => [key, String(value)]));
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+/**
+ * localStorage where there is one, otherwise a fresh MemoryStorage
+ * (Node has none, and browsers can refuse access to it)
+ */
+export function getDefaultStorage() {
+    try {
+        if (globalThis.localStorage) {
+            return globalThis.localStorage;
+        }
+    } catch {
+        // Fall through to memory
+    }
+    return new MemoryStorage();
+}
+
+/**
+ * Real time in ms since the epoch
+ */
+export const systemClock = {
+    now: () => Date.now()
+};
+
+/**
+ * Clock that only moves when told to, for scripted runs
+ */
+export class ManualClock {
+    constructor(time = 0) {
+        this.time = time;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    advance(ms) {
+        this.time += ms;
+    }
+}
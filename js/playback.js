@@ -0,0 +1,81 @@
+/**
+ * Recorded landmark playback
+ * Streams landmark frames recorded with PoseDetector.startRecording() through
+ * the normal pose pipeline, so field recordings can reproduce pose bugs on
+ * machines without a webcam
+ */
+
+import { PoseDetector, LANDMARK_RECORDING_VERSION } from './pose.js';
+
+export class LandmarkPlayback extends PoseDetector {
+    /**
+     * @param {string|Object} source - URL of a recording, or the recording itself
+     * @param {Object} [options]
+     * @param {boolean} [options.loop] - Start over when the recording ends
+     */
+    constructor(source, options = {}) {
+        super();
+        this.source = source;
+        this.loop = options.loop ?? true;
+
+        // Recordings include their own movement; the range estimator adapts to it
+        this.supportsCalibration = false;
+
+        this.frames = [];
+        this.frameIndex = 0;
+        this.timer = null;
+        this.playbackStart = 0;
+    }
+
+    async initialize() {
+        let recording = this.source;
+
+        if (typeof recording === 'string') {
+            const response = await fetch(recording);
+            if (!response.ok) {
+                throw new Error('Failed to load landmark recording');
+            }
+            recording = await response.json();
+        }
+
+        if (!recording || recording.version !== LANDMARK_RECORDING_VERSION || !recording.frames?.length) {
+            throw new Error('Unsupported landmark recording');
+        }
+
+        this.frames = recording.frames;
+        this.isInitialized = true;
+        this.restart();
+    }
+
+    restart() {
+        this.frameIndex = 0;
+        this.playbackStart = performance.now();
+        this.scheduleNextFrame();
+    }
+
+    /**
+     * Emit frames at their recorded times
+     */
+    scheduleNextFrame() {
+        if (this.frameIndex >= this.frames.length) {
+            if (this.loop) {
+                this.restart();
+            }
+            return;
+        }
+
+        const frame = this.frames[this.frameIndex];
+        const delay = Math.max(0, this.playbackStart + frame.t - performance.now());
+
+        this.timer = setTimeout(() => {
+            this.frameIndex++;
+            this.handleResults({ poseLandmarks: frame.landmarks || undefined });
+            this.scheduleNextFrame();
+        }, delay);
+    }
+
+    dispose() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+}
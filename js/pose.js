@@ -3,12 +3,19 @@
  * Tracks shoulder position for push-up detection
  */
 
-export class PoseDetector {
+import { InputSource } from './input.js';
+import { computeFormMetrics } from './form.js';
+import { createRangeStrategy } from './range.js';
+
+// Version of the recorded landmark session format
+export const LANDMARK_RECORDING_VERSION = 1;
+
+export class PoseDetector extends InputSource {
     constructor() {
+        super();
         this.pose = null;
         this.camera = null;
-        this.onResultsCallback = null;
-        this.isInitialized = false;
+        this.supportsCalibration = true;
 
         // Shoulder landmarks indices in MediaPipe Pose
         this.LANDMARKS = {
@@ -26,11 +33,25 @@ export class PoseDetector {
         this.shoulderY = 0.5;
         this.smoothingFactor = 0.3; // Lower = smoother but more latency
 
+        // Elbow and hip angles from the latest frame, for form analysis
+        this.formMetrics = null;
+
+        // Shoulder range estimator (see range.js)
+        this.rangeStrategy = createRangeStrategy();
+
         // Track calibration
-        this.minShoulderY = null;
-        this.maxShoulderY = null;
         this.calibrationSamples = [];
         this.isCalibrating = false;
+        this.isCalibrated = false;  // Set once a guided calibration has been applied
+
+        // Tracking: the latest frame's shoulders were visible, and when we last saw them
+        this.landmarksVisible = false;
+        this.lastSeenTime = null;
+        this.minVisibility = 0.5;
+        this.trackingTimeout = 1000; // ms without visible shoulders before tracking is lost
+
+        // Field recording of raw landmark frames (null when not recording)
+        this.recording = null;
     }
 
     async initialize(videoElement) {
@@ -78,10 +99,21 @@ export class PoseDetector {
     }
 
     handleResults(results) {
-        if (results.poseLandmarks) {
-            // Get shoulder positions
-            const leftShoulder = results.poseLandmarks[this.LANDMARKS.LEFT_SHOULDER];
-            const rightShoulder = results.poseLandmarks[this.LANDMARKS.RIGHT_SHOULDER];
+        if (this.recording) {
+            this.recordFrame(results.poseLandmarks);
+        }
+
+        // Get shoulder positions
+        const leftShoulder = results.poseLandmarks?.[this.LANDMARKS.LEFT_SHOULDER];
+        const rightShoulder = results.poseLandmarks?.[this.LANDMARKS.RIGHT_SHOULDER];
+
+        // MediaPipe keeps guessing landmarks after the player leaves the frame,
+        // so only trust shoulders it is confident about (one is enough side-on)
+        this.landmarksVisible = Boolean(leftShoulder && rightShoulder) &&
+            Math.max(leftShoulder.visibility ?? 1, rightShoulder.visibility ?? 1) > this.minVisibility;
+
+        if (this.landmarksVisible) {
+            this.lastSeenTime = performance.now();
 
             // Average shoulder Y position
             const rawShoulderY = (leftShoulder.y + rightShoulder.y) / 2;
@@ -90,24 +122,24 @@ export class PoseDetector {
             this.shoulderY = this.shoulderY * (1 - this.smoothingFactor) +
                             rawShoulderY * this.smoothingFactor;
 
+            // Elbow depth/lockout and hip alignment
+            this.formMetrics = computeFormMetrics(results.poseLandmarks, this.LANDMARKS);
+
             // Update calibration if active
             if (this.isCalibrating) {
                 this.calibrationSamples.push(rawShoulderY);
             }
 
-            // Update min/max for dynamic calibration
-            if (this.minShoulderY === null) {
-                this.minShoulderY = rawShoulderY;
-                this.maxShoulderY = rawShoulderY;
-            } else {
-                // Slowly adapt to new ranges
-                if (rawShoulderY < this.minShoulderY) {
-                    this.minShoulderY = rawShoulderY;
-                }
-                if (rawShoulderY > this.maxShoulderY) {
-                    this.maxShoulderY = rawShoulderY;
-                }
+            // Adapt the range, unless a guided calibration is running
+            if (!this.isCalibrating) {
+                this.rangeStrategy.update({
+                    y: rawShoulderY,
+                    scale: Math.hypot(leftShoulder.x - rightShoulder.x, leftShoulder.y - rightShoulder.y),
+                    time: performance.now()
+                });
             }
+        } else {
+            this.formMetrics = null;
         }
 
         // Call external callback if set
@@ -121,19 +153,7 @@ export class PoseDetector {
      * Maps to push-up position: down = lower, up = higher
      */
     getNormalizedShoulderY() {
-        if (this.minShoulderY === null || this.maxShoulderY === null) {
-            return 0.5;
-        }
-
-        const range = this.maxShoulderY - this.minShoulderY;
-        if (range < 0.05) {
-            // Not enough range detected yet
-            return 0.5;
-        }
-
-        // Normalize to 0-1 range with some padding
-        const normalized = (this.shoulderY - this.minShoulderY) / range;
-        return Math.max(0, Math.min(1, normalized));
+        return this.rangeStrategy.normalize(this.shoulderY);
     }
 
     /**
@@ -143,39 +163,133 @@ export class PoseDetector {
         return this.shoulderY;
     }
 
+    /**
+     * Get elbow and hip angles from the latest frame
+     * @returns {{elbowAngle: number|null, bodyAngle: number|null}|null}
+     */
+    getFormMetrics() {
+        return this.formMetrics;
+    }
+
     /**
      * Start calibration period
      */
     startCalibration() {
         this.isCalibrating = true;
+        this.isCalibrated = false;
         this.calibrationSamples = [];
-        this.minShoulderY = null;
-        this.maxShoulderY = null;
+        this.rangeStrategy.reset();
     }
 
     /**
-     * End calibration and set min/max from samples
+     * End calibration
+     * @param {{minShoulderY: number, maxShoulderY: number}} [calibration] - Range
+     *   measured by a guided calibration; falls back to the sample min/max
      */
-    endCalibration() {
+    endCalibration(calibration = null) {
         this.isCalibrating = false;
-        if (this.calibrationSamples.length > 0) {
-            this.minShoulderY = Math.min(...this.calibrationSamples);
-            this.maxShoulderY = Math.max(...this.calibrationSamples);
+        if (calibration) {
+            this.applyCalibration(calibration);
+        } else if (this.calibrationSamples.length > 0) {
+            this.rangeStrategy.setRange({
+                minShoulderY: Math.min(...this.calibrationSamples),
+                maxShoulderY: Math.max(...this.calibrationSamples)
+            });
+        }
+    }
+
+    /**
+     * Seed the range estimator with a known range (e.g. a saved calibration)
+     */
+    applyCalibration(calibration) {
+        this.rangeStrategy.setRange(calibration);
+        this.isCalibrated = true;
+    }
+
+    /**
+     * Current shoulder range, or null if none yet
+     */
+    getCalibration() {
+        return this.rangeStrategy.getRange();
+    }
+
+    /**
+     * Swap the range estimator, carrying over the current range
+     * @param {RangeStrategy} strategy
+     */
+    setRangeStrategy(strategy) {
+        const range = this.rangeStrategy.getRange();
+        this.rangeStrategy = strategy;
+        if (range) {
+            strategy.setRange(range);
         }
     }
 
     /**
-     * Check if pose is currently detected
+     * Whether the latest camera frame contained visible shoulders
+     */
+    hasLandmarks() {
+        return this.landmarksVisible;
+    }
+
+    /**
+     * Whether the shoulders have been seen within the tracking timeout
+     */
+    isTracking() {
+        return this.lastSeenTime !== null &&
+            performance.now() - this.lastSeenTime < this.trackingTimeout;
+    }
+
+    /**
+     * Check if pose is currently detected (tracked, with a usable range)
      */
     isPoseDetected() {
-        return this.minShoulderY !== null;
+        return this.isTracking() && this.rangeStrategy.getRange() !== null;
     }
 
     /**
-     * Set callback for raw pose results (for rendering skeleton)
+     * Start recording raw landmark frames, for playback with LandmarkPlayback
      */
-    setResultsCallback(callback) {
-        this.onResultsCallback = callback;
+    startRecording() {
+        this.recording = {
+            version: LANDMARK_RECORDING_VERSION,
+            recordedAt: new Date().toISOString(),
+            startTime: performance.now(),
+            frames: []
+        };
+    }
+
+    /**
+     * Stop recording
+     * @returns {Object|null} Recording: {version, recordedAt, frames: [{t, landmarks}]}
+     */
+    stopRecording() {
+        const recording = this.recording;
+        this.recording = null;
+
+        if (recording) {
+            delete recording.startTime;
+        }
+        return recording;
+    }
+
+    isRecording() {
+        return this.recording !== null;
+    }
+
+    recordFrame(landmarks) {
+        // Round to keep files small; a frame without a pose is stored as null
+        const round = (v) => Math.round(v * 10000) / 10000;
+
+        this.recording.frames.push({
+            t: Math.round(performance.now() - this.recording.startTime),
+            landmarks: landmarks ? landmarks.map(l => ({
+                x: round(l.x),
+                y: round(l.y),
+                z: round(l.z),
+                visibility: round(l.visibility ?? 0)
+            })) : null
+        });
     }
 
     /**
@@ -0,0 +1,39 @@
+/**
+ * Seedable pseudo-random number generator
+ * Lets a game run be reproduced exactly from its seed
+ */
+
+/**
+ * Create a fresh random 32-bit seed
+ */
+export function generateSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Mulberry32 PRNG - small, fast and plenty random for gameplay
+ */
+export class SeededRandom {
+    constructor(seed = generateSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next float in [0, 1), same contract as Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+}
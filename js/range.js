@@ -0,0 +1,311 @@
+/**
+ * Shoulder range estimators
+ * Turn raw shoulder Y samples into the top/bottom range used to normalize
+ * the push-up position. Strategies are interchangeable so they can be compared
+ * (pick one with ?range=<name>).
+ */
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Base strategy: glitch rejection, re-centring when the player moves closer
+ * to or further from the camera, and normalization. Subclasses decide how
+ * samples shape the range in addSample().
+ */
+export class RangeStrategy {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.minRange] - Below this the range isn't trusted yet
+     * @param {number} [options.maxJump] - Sample-to-sample jump treated as a glitch
+     * @param {number} [options.recentreThreshold] - Relative shoulder-width change that triggers a re-centre
+     */
+    constructor(options = {}) {
+        this.minRange = options.minRange ?? 0.05;
+        this.maxJump = options.maxJump ?? 0.08;
+        this.recentreThreshold = options.recentreThreshold ?? 0.15;
+
+        this.reset();
+    }
+
+    reset() {
+        this.min = null;
+        this.max = null;
+        this.lastY = null;           // Last accepted sample
+        this.spikeY = null;          // Sample just rejected as a jump
+        this.meanY = null;           // Slow moving average, the middle of recent reps
+        this.scale = null;           // Smoothed shoulder width in frame
+        this.referenceScale = null;  // Shoulder width the current range was measured at
+    }
+
+    /**
+     * Seed the range, e.g. from a guided calibration
+     */
+    setRange({ minShoulderY, maxShoulderY }) {
+        this.min = minShoulderY;
+        this.max = maxShoulderY;
+        this.meanY = (minShoulderY + maxShoulderY) / 2;
+        this.referenceScale = this.scale;
+    }
+
+    /**
+     * @returns {{minShoulderY: number, maxShoulderY: number}|null}
+     */
+    getRange() {
+        if (this.min === null || this.max === null) {
+            return null;
+        }
+        return { minShoulderY: this.min, maxShoulderY: this.max };
+    }
+
+    /**
+     * Feed a raw shoulder sample
+     * @param {Object} sample
+     * @param {number} sample.y - Raw shoulder Y (0 = top of frame)
+     * @param {number} [sample.scale] - Shoulder width in frame, tracks distance to camera
+     * @param {number} sample.time - Timestamp in milliseconds
+     */
+    update({ y, scale, time }) {
+        // Single-sample spikes are tracking glitches or someone walking through;
+        // a second sample near the first means the player really moved
+        const jumped = this.lastY !== null && Math.abs(y - this.lastY) > this.maxJump;
+        if (jumped) {
+            const confirmed = this.spikeY !== null && Math.abs(y - this.spikeY) <= this.maxJump;
+            this.spikeY = y;
+            if (!confirmed) return;
+        }
+        this.spikeY = null;
+        this.lastY = y;
+
+        this.meanY = this.meanY === null ? y : this.meanY * 0.97 + y * 0.03;
+
+        if (scale) {
+            this.updateScale(scale);
+        }
+
+        this.addSample(y, time);
+    }
+
+    /**
+     * Re-centre the range when the player moves closer or further away
+     */
+    updateScale(scale) {
+        this.scale = this.scale === null ? scale : this.scale * 0.9 + scale * 0.1;
+
+        if (this.referenceScale === null) {
+            this.referenceScale = this.scale;
+            return;
+        }
+
+        const ratio = this.scale / this.referenceScale;
+        if (Math.abs(ratio - 1) < this.recentreThreshold) return;
+
+        this.referenceScale = this.scale;
+
+        if (this.min !== null) {
+            // Closer to the camera means bigger movements in frame
+            const span = (this.max - this.min) * ratio;
+            this.recentre(this.meanY - span / 2, this.meanY + span / 2);
+        }
+    }
+
+    /**
+     * Replace the range after the player moved; subclasses drop stale history
+     */
+    recentre(min, max) {
+        this.min = min;
+        this.max = max;
+    }
+
+    /**
+     * Subclass hook: fold a sample into the range
+     */
+    addSample(y, time) {
+        throw new Error('addSample() not implemented');
+    }
+
+    /**
+     * Map a shoulder Y into 0 (top) .. 1 (bottom)
+     */
+    normalize(y) {
+        if (this.min === null || this.max === null) {
+            return 0.5;
+        }
+
+        const range = this.max - this.min;
+        if (range < this.minRange) {
+            // Not enough range detected yet
+            return 0.5;
+        }
+
+        return Math.max(0, Math.min(1, (y - this.min) / range));
+    }
+}
+
+/**
+ * Original behaviour: min/max only ever grow
+ */
+export class ExpandingRange extends RangeStrategy {
+    addSample(y) {
+        if (this.min === null) {
+            this.min = y;
+            this.max = y;
+            return;
+        }
+        this.min = Math.min(this.min, y);
+        this.max = Math.max(this.max, y);
+    }
+}
+
+/**
+ * Range stays where calibration put it (expands until then)
+ */
+export class FixedRange extends ExpandingRange {
+    setRange(range) {
+        super.setRange(range);
+        this.locked = true;
+    }
+
+    reset() {
+        super.reset();
+        this.locked = false;
+    }
+
+    addSample(y) {
+        if (!this.locked) {
+            super.addSample(y);
+        }
+    }
+}
+
+/**
+ * Extremes expand instantly but decay back towards the middle of recent
+ * movement, so a stray extreme is forgotten within a few reps
+ */
+export class DecayingRange extends RangeStrategy {
+    constructor(options = {}) {
+        super(options);
+        this.halfLife = options.halfLife ?? 8000;
+    }
+
+    reset() {
+        super.reset();
+        this.lastTime = null;
+    }
+
+    addSample(y, time) {
+        if (this.min === null) {
+            this.min = y;
+            this.max = y;
+            this.lastTime = time;
+            return;
+        }
+
+        const dt = this.lastTime === null ? 0 : time - this.lastTime;
+        this.lastTime = time;
+
+        // Pull both ends toward the middle, but never narrower than minRange
+        const decay = 1 - Math.pow(0.5, dt / this.halfLife);
+        const floor = this.minRange / 2;
+        this.min += Math.max(0, (this.meanY - floor) - this.min) * decay;
+        this.max -= Math.max(0, this.max - (this.meanY + floor)) * decay;
+
+        this.min = Math.min(this.min, y);
+        this.max = Math.max(this.max, y);
+    }
+}
+
+/**
+ * Range from the medians of the last few rep tops and bottoms, found by
+ * turning-point detection. The median shrugs off a single wild extreme.
+ */
+export class RollingRange extends RangeStrategy {
+    constructor(options = {}) {
+        super(options);
+        this.windowSize = options.windowSize ?? 5;
+        this.minTurn = options.minTurn ?? 0.02;  // Smallest reversal that counts as a turning point
+    }
+
+    reset() {
+        super.reset();
+        this.tops = [];
+        this.bottoms = [];
+        this.direction = 1;    // 1 = moving down (Y increasing), -1 = moving up
+        this.candidate = null; // Most extreme Y of the current movement
+    }
+
+    setRange(range) {
+        super.setRange(range);
+        this.tops = [range.minShoulderY];
+        this.bottoms = [range.maxShoulderY];
+    }
+
+    recentre(min, max) {
+        super.recentre(min, max);
+        this.tops = [min];
+        this.bottoms = [max];
+        this.candidate = null;
+    }
+
+    addSample(y) {
+        if (this.candidate === null) {
+            this.candidate = y;
+        }
+
+        // Reversal must be a meaningful part of the current range
+        const span = this.min === null ? 0 : this.max - this.min;
+        const turn = Math.max(this.minTurn, span * 0.25);
+
+        if (this.direction > 0) {
+            if (y > this.candidate) {
+                this.candidate = y;
+            } else if (this.candidate - y > turn) {
+                this.pushExtreme(this.bottoms, this.candidate);
+                this.direction = -1;
+                this.candidate = y;
+            }
+        } else {
+            if (y < this.candidate) {
+                this.candidate = y;
+            } else if (y - this.candidate > turn) {
+                this.pushExtreme(this.tops, this.candidate);
+                this.direction = 1;
+                this.candidate = y;
+            }
+        }
+
+        if (this.tops.length > 0 && this.bottoms.length > 0) {
+            this.min = median(this.tops);
+            this.max = median(this.bottoms);
+        } else {
+            // No full rep yet - grow like the original estimator
+            this.min = this.min === null ? y : Math.min(this.min, y);
+            this.max = this.max === null ? y : Math.max(this.max, y);
+        }
+    }
+
+    pushExtreme(list, value) {
+        list.push(value);
+        if (list.length > this.windowSize) {
+            list.shift();
+        }
+    }
+}
+
+export const RANGE_STRATEGIES = {
+    expanding: ExpandingRange,
+    fixed: FixedRange,
+    decaying: DecayingRange,
+    rolling: RollingRange
+};
+
+/**
+ * Create a strategy by name, falling back to the rolling estimator
+ */
+export function createRangeStrategy(name = 'rolling', options = {}) {
+    const Strategy = RANGE_STRATEGIES[name] || RollingRange;
+    return new Strategy(options);
+}
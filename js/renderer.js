@@ -3,7 +3,37 @@
  * Draws video background, game elements, and pose skeleton
  */
 
-import { GameState } from './game.js';
+import { GameState, CONTINUE_REPS, WORLD_WIDTH, WORLD_HEIGHT } from './game.js';
+import { FormIssue } from './form.js';
+import { GAME_MODES, createGameMode } from './modes.js';
+import { DIFFICULTY_PRESETS } from './difficulty.js';
+import { DEFAULT_CONTROLS, createControlScheme } from './controls.js';
+import { BOTTLE_SHAPE, PIPE_CAP } from './collision.js';
+import { PickupType, POWER_UPS } from './pickups.js';
+import { getChallengeResult } from './challenge.js';
+
+// How long a rep's form feedback stays on screen (ms)
+const REP_FEEDBACK_DURATION = 1500;
+
+// On-screen wording for each form problem
+const FORM_ISSUE_LABELS = {
+    [FormIssue.HALF_REP]: 'HALF REP',
+    [FormIssue.SHALLOW]: 'GO DEEPER',
+    [FormIssue.NO_LOCKOUT]: 'LOCK OUT',
+    [FormIssue.HIPS_SAGGING]: 'HIPS SAGGING',
+    [FormIssue.HIPS_PIKED]: 'HIPS TOO HIGH'
+};
+
+// Pickup colours and the letter on each power-up orb
+const PICKUP_STYLES = {
+    [PickupType.VITAMIN]: { color: '#F5A623', letter: null },
+    [PickupType.SHIELD]: { color: '#1E90FF', letter: 'S' },
+    [PickupType.SLOWMO]: { color: '#9370DB', letter: 'T' },
+    [PickupType.DOUBLE_SCORE]: { color: '#FF1493', letter: '2' }
+};
+
+// Modes offered on the waiting screen, in picker order
+const MODE_CHOICES = Object.keys(GAME_MODES).map(id => createGameMode(id));
 
 export class Renderer {
     constructor(canvas, video) {
@@ -19,20 +49,58 @@ export class Renderer {
             pipeBottom: '#228B22',
             pipeHighlight: '#32CD32',  // Lime green
             pipeShadow: '#006400',     // Dark green
+            tunnel: '#8B5A2B',         // Plank brown
+            tunnelShadow: '#5C3A1A',
+            hazard: '#FFD700',         // Warning stripes and hints
+            narrowing: '#FF6347',      // Closing gap edges
             ground: '#8B4513',         // Saddle brown
             groundGrass: '#228B22',
             sky: 'rgba(135, 206, 235, 0.3)', // Semi-transparent sky blue
             text: '#FFFFFF',
             textShadow: '#000000',
             skeleton: 'rgba(0, 255, 0, 0.7)',
-            skeletonPoints: 'rgba(255, 0, 0, 0.8)'
+            skeletonPoints: 'rgba(255, 0, 0, 0.8)',
+            hitbox: 'rgba(255, 0, 255, 0.9)'
         };
 
         // Debug mode for skeleton
         this.showSkeleton = true;
 
+        // Debug overlay of collision shapes
+        this.showHitboxes = false;
+
         // Pose results for skeleton drawing
         this.poseResults = null;
+
+        // Which overlay to draw, kept in step with the game's state machine
+        this.screen = GameState.WAITING;
+        this.detachStateMachine = null;
+
+        // Mode picker buttons from the last waiting screen, for click hit-testing
+        this.modeButtons = [];
+    }
+
+    /**
+     * Mode picker button under a canvas position
+     * @returns {string|null} Mode id
+     */
+    getModeAt(x, y) {
+        const button = this.modeButtons.find(b =>
+            x >= b.x && x <= b.x + b.width && y >= b.y && y <= b.y + b.height);
+        return button ? button.id : null;
+    }
+
+    /**
+     * Follow a game's state machine to pick the screen overlay
+     */
+    attachStateMachine(machine) {
+        if (this.detachStateMachine) {
+            this.detachStateMachine();
+        }
+        this.screen = machine.state;
+        this.detachStateMachine = machine.on('change', ({ to }) => {
+            this.screen = to;
+        });
     }
 
     /**
@@ -49,6 +117,13 @@ export class Renderer {
         this.showSkeleton = !this.showSkeleton;
     }
 
+    /**
+     * Toggle the collision shape overlay
+     */
+    toggleHitboxes() {
+        this.showHitboxes = !this.showHitboxes;
+    }
+
     /**
      * Resize canvas to match container
      */
@@ -58,6 +133,46 @@ export class Renderer {
         this.canvas.height = rect.height;
     }
 
+    /**
+     * How the world maps onto the canvas: the whole world always fits,
+     * centred, so every orientation sees the same distance ahead. The
+     * canvas left over above and below (or beside) it is letterboxed.
+     * @returns {{scale: number, x: number, y: number}} canvas = world * scale + offset
+     */
+    getCamera() {
+        const scale = Math.min(this.canvas.width / WORLD_WIDTH, this.canvas.height / WORLD_HEIGHT);
+        return {
+            scale,
+            x: (this.canvas.width - WORLD_WIDTH * scale) / 2,
+            y: (this.canvas.height - WORLD_HEIGHT * scale) / 2
+        };
+    }
+
+    /**
+     * Darken the canvas outside the world
+     */
+    drawLetterbox(camera) {
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const right = camera.x + WORLD_WIDTH * camera.scale;
+        const bottom = camera.y + WORLD_HEIGHT * camera.scale;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, 0, width, camera.y);
+        ctx.fillRect(0, bottom, width, height - bottom);
+        ctx.fillRect(0, camera.y, camera.x, bottom - camera.y);
+        ctx.fillRect(right, camera.y, width - right, bottom - camera.y);
+    }
+
+    /**
+     * Canvas position of a world point
+     */
+    toCanvas(x, y) {
+        const camera = this.getCamera();
+        return { x: x * camera.scale + camera.x, y: y * camera.scale + camera.y };
+    }
+
     /**
      * Main render function
      */
@@ -84,22 +199,73 @@ export class Renderer {
             this.drawSkeleton(this.poseResults.poseLandmarks);
         }
 
-        // Draw game elements (not mirrored)
+        // Draw game elements (not mirrored) in world coordinates, clipped
+        // to the world so pipes slide in from its edge
+        const camera = this.getCamera();
+        ctx.save();
+        ctx.setTransform(camera.scale, 0, 0, camera.scale, camera.x, camera.y);
+        ctx.beginPath();
+        ctx.rect(0, 0, WORLD_WIDTH, WORLD_HEIGHT);
+        ctx.clip();
+
         this.drawGround(gameState);
         this.drawPipes(gameState);
-        this.drawBird(gameState);
+        this.drawPickups(gameState);
+        this.drawGhost(gameState);
+        this.drawDepthGauge(gameState);
+
+        // Blink while invulnerable after losing a life
+        if (!gameState.invulnerable || Math.floor(gameState.time / 120) % 2 === 0) {
+            this.drawBird(gameState);
+        }
+        this.drawShield(gameState);
+
+        if (this.showHitboxes) {
+            this.drawHitboxes(gameState);
+        }
+        ctx.restore();
+        this.drawLetterbox(camera);
 
-        // Draw UI based on game state (not mirrored)
-        switch (gameState.state) {
+        // Draw UI for the current screen (not mirrored)
+        switch (this.screen) {
+            case GameState.CALIBRATING:
+                this.drawCalibrationScreen(gameState);
+                break;
             case GameState.WAITING:
                 this.drawWaitingScreen(gameState);
                 break;
             case GameState.PLAYING:
                 this.drawScore(gameState);
+                this.drawRepCounter(gameState);
+                this.drawLives(gameState);
+                this.drawPowerUps(gameState);
+                this.drawGhostRace(gameState);
+                this.drawCoaching(gameState);
+                this.drawRepFeedback(gameState);
+                break;
+            case GameState.COUNTDOWN:
+                this.drawScore(gameState);
+                this.drawRepCounter(gameState);
+                this.drawCoaching(gameState);
+                this.drawCountdownScreen(gameState);
+                break;
+            case GameState.PAUSED:
+                this.drawScore(gameState);
+                this.drawRepCounter(gameState);
+                this.drawPowerUps(gameState);
+                this.drawPausedScreen(gameState);
                 break;
             case GameState.GAME_OVER:
+                this.drawScore(gameState);
+                this.drawCrashScreen(gameState);
+                break;
+            case GameState.RESULTS:
                 this.drawGameOverScreen(gameState);
                 break;
+            case GameState.CONTINUING:
+                this.drawContinueScreen(gameState);
+                this.drawRepFeedback(gameState);
+                break;
         }
     }
 
@@ -170,17 +336,17 @@ export class Renderer {
 
     /**
      * Draw the vitamin C bottle (replaces bird)
+     * @param {Object} [bird] - Position to draw it at, the live bird's by default
      */
-    drawBird(gameState) {
+    drawBird(gameState, bird = gameState.bird) {
         const ctx = this.ctx;
-        const bird = gameState.bird;
 
-        // Scale bottle based on bird radius
+        // Scale bottle based on bird radius (same shape as its hitbox)
         const scale = bird.radius / 25;
-        const bottleWidth = 50 * scale;
-        const bottleHeight = 70 * scale;
-        const capHeight = 10 * scale;
-        const cornerRadius = 8 * scale;
+        const bottleWidth = BOTTLE_SHAPE.width * scale;
+        const bottleHeight = BOTTLE_SHAPE.height * scale;
+        const capHeight = BOTTLE_SHAPE.capHeight * scale;
+        const cornerRadius = BOTTLE_SHAPE.cornerRadius * scale;
 
         // Center the bottle on bird position
         const x = bird.x - bottleWidth / 2;
@@ -196,8 +362,9 @@ export class Renderer {
         ctx.save();
 
         // Draw bottle cap
+        const capWidth = BOTTLE_SHAPE.capWidth * scale;
         ctx.fillStyle = capColor;
-        this.roundedRect(ctx, x + bottleWidth * 0.15, y - capHeight, bottleWidth * 0.7, capHeight + 2, cornerRadius / 2, cornerRadius / 2, 0, 0);
+        this.roundedRect(ctx, bird.x - capWidth / 2, y - capHeight, capWidth, capHeight + 2, cornerRadius / 2, cornerRadius / 2, 0, 0);
         ctx.fill();
 
         // Draw cap rim
@@ -265,6 +432,190 @@ export class Renderer {
         ctx.restore();
     }
 
+    /**
+     * Personal best's bottle, see-through, on the same course
+     */
+    drawGhost(gameState) {
+        const ghost = gameState.ghost;
+        if (!ghost || ghost.y === null) return;
+
+        const ctx = this.ctx;
+        const bird = { ...gameState.bird, y: ghost.y };
+
+        ctx.save();
+        ctx.globalAlpha = 0.35;
+        this.drawBird(gameState, bird);
+        ctx.font = 'bold 14px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = this.colors.text;
+        ctx.fillText(ghost.name ? ghost.name.toUpperCase() : 'BEST', bird.x, bird.y - bird.radius * 2);
+        ctx.restore();
+    }
+
+    /**
+     * How far ahead of or behind the ghost the run is, under the score
+     */
+    drawGhostRace(gameState) {
+        const ghost = gameState.ghost;
+        if (!ghost) return;
+
+        const rival = ghost.name ? ghost.name.toUpperCase() : 'YOUR BEST';
+        let label = `LEVEL WITH ${rival}`;
+        let color = '#FFFFFF';
+        if (ghost.ahead > 0) {
+            label = `▲ ${ghost.ahead} AHEAD OF ${rival}`;
+            color = '#00FF00';
+        } else if (ghost.ahead < 0) {
+            label = `▼ ${-ghost.ahead} BEHIND ${rival}`;
+            color = '#FF6347';
+        }
+
+        const ctx = this.ctx;
+        const x = this.canvas.width / 2;
+        const y = gameState.modeHud ? 118 : 92;
+
+        ctx.save();
+        ctx.font = 'bold 18px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = this.colors.textShadow;
+        ctx.fillText(label, x + 2, y + 2);
+        ctx.fillStyle = color;
+        ctx.fillText(label, x, y);
+        ctx.restore();
+    }
+
+    /**
+     * Tutorial gauge beside the bottle: the push-up's full depth, the band
+     * the shoulders should be in (green) and where they are now
+     */
+    drawDepthGauge(gameState) {
+        const coaching = gameState.coaching;
+        if (!coaching || (this.screen !== GameState.PLAYING && this.screen !== GameState.COUNTDOWN)) return;
+
+        const ctx = this.ctx;
+        const [top, bottom] = coaching.reach;
+        const toY = value => top + (bottom - top) * value;
+        const width = 14;
+        const x = gameState.bird.x - gameState.bird.radius * 2 - 40;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(x, top, width, bottom - top);
+
+        if (coaching.target) {
+            const [from, to] = coaching.target;
+            ctx.fillStyle = 'rgba(0, 255, 0, 0.6)';
+            ctx.fillRect(x, toY(from), width, Math.max(toY(to) - toY(from), 4));
+        }
+
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, top, width, bottom - top);
+
+        // Marker pointing at the gauge from the left
+        if (coaching.y !== null) {
+            const y = toY(Math.max(0, Math.min(1, coaching.y)));
+            ctx.fillStyle = '#FFD700';
+            ctx.beginPath();
+            ctx.moveTo(x - 2, y);
+            ctx.lineTo(x - 16, y - 9);
+            ctx.lineTo(x - 16, y + 9);
+            ctx.closePath();
+            ctx.fill();
+            ctx.fillRect(x, y - 2, width, 4);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Tutorial lesson under the score, and a cue beside the bottle saying
+     * which way to move
+     */
+    drawCoaching(gameState) {
+        const coaching = gameState.coaching;
+        if (!coaching) return;
+
+        const ctx = this.ctx;
+        const x = this.canvas.width / 2;
+        const shadowed = (text, textX, textY, color) => {
+            ctx.fillStyle = this.colors.textShadow;
+            ctx.fillText(text, textX + 2, textY + 2);
+            ctx.fillStyle = color;
+            ctx.fillText(text, textX, textY);
+        };
+
+        ctx.save();
+        ctx.textAlign = 'center';
+        if (coaching.praise) {
+            ctx.font = 'bold 30px Arial';
+            shadowed(`${coaching.praise}: done!`, x, 160, '#00FF00');
+        } else if (coaching.title) {
+            ctx.font = 'bold 30px Arial';
+            shadowed(coaching.title, x, 160, this.colors.text);
+            ctx.font = '20px Arial';
+            shadowed(coaching.instruction, x, 190, '#DDDDDD');
+        }
+
+        if (coaching.cue) {
+            const bird = gameState.bird;
+            const { x: cueX, y: cueY } = this.toCanvas(bird.x + bird.radius * 2 + 20, bird.y);
+            const steady = coaching.cue === 'Hold it there';
+            ctx.font = 'bold 24px Arial';
+            ctx.textAlign = 'left';
+            shadowed(coaching.cue.toUpperCase(), cueX, cueY + 8, steady ? '#00FF00' : '#FFD700');
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Bubble around the bottle while a shield is up
+     */
+    drawShield(gameState) {
+        if (!gameState.powerUps.some(p => p.type === PickupType.SHIELD)) return;
+
+        const ctx = this.ctx;
+        const bird = gameState.bird;
+
+        ctx.save();
+        ctx.globalAlpha = 0.25;
+        ctx.fillStyle = PICKUP_STYLES[PickupType.SHIELD].color;
+        ctx.beginPath();
+        ctx.arc(bird.x, bird.y, bird.radius * 2, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.globalAlpha = 0.8;
+        ctx.strokeStyle = PICKUP_STYLES[PickupType.SHIELD].color;
+        ctx.lineWidth = 3;
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Outline the bottle's and pipes' collision shapes (see collision.js)
+     */
+    drawHitboxes(gameState) {
+        const ctx = this.ctx;
+        const shapes = [...gameState.hitbox, ...gameState.pipes.flatMap(p => p.hitboxes)];
+
+        ctx.save();
+        ctx.strokeStyle = this.colors.hitbox;
+        ctx.lineWidth = 2;
+
+        for (const shape of shapes) {
+            // Pipes reach off the playfield; clip them to just past its edges
+            const r = shape.radius;
+            const left = Math.max(shape.left - r, -10);
+            const top = Math.max(shape.top - r, -10);
+            const right = Math.min(shape.right + r, WORLD_WIDTH + 10);
+            const bottom = Math.min(shape.bottom + r, WORLD_HEIGHT + 10);
+            if (right < left || bottom < top) continue;
+
+            this.roundedRect(ctx, left, top, right - left, bottom - top, r, r, r, r);
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
     /**
      * Helper to draw rounded rectangles with different corner radii
      */
@@ -287,15 +638,210 @@ export class Renderer {
      */
     drawPipes(gameState) {
         const ctx = this.ctx;
-        const height = this.canvas.height;
+        const height = WORLD_HEIGHT;
 
         for (const pipe of gameState.pipes) {
-            // Top pipe
-            this.drawPipe(pipe.x, 0, gameState.pipeWidth, pipe.gapTop, true);
+            ctx.save();
+
+            // Pipes already crashed into (modes that play on) fade out
+            if (pipe.hit) {
+                ctx.globalAlpha = 0.35;
+            }
+
+            if (pipe.type === 'tunnel') {
+                this.drawTunnel(pipe);
+            } else {
+                for (const column of pipe.columns) {
+                    // Top pipe
+                    this.drawPipe(column.x, 0, column.width, column.gapTop, true);
+
+                    // Bottom pipe
+                    this.drawPipe(column.x, column.gapBottom, column.width,
+                                 height - column.gapBottom - gameState.groundHeight, false);
+                }
+            }
+
+            if (pipe.type === 'oscillating') {
+                this.drawOscillationHint(pipe);
+            } else if (pipe.type === 'narrowing') {
+                this.drawNarrowingHint(pipe);
+            } else if (pipe.type === 'doubleGap') {
+                this.drawDoubleGapHint(pipe);
+            }
+
+            if (pipe.label) {
+                this.drawObstacleLabel(pipe);
+            }
 
-            // Bottom pipe
-            this.drawPipe(pipe.x, pipe.gapBottom, gameState.pipeWidth,
-                         height - pipe.gapBottom - gameState.groundHeight, false);
+            ctx.restore();
+        }
+    }
+
+    /**
+     * Draw a "hold the plank" tunnel: a long low roof with a hazard edge
+     */
+    drawTunnel(pipe) {
+        const ctx = this.ctx;
+        const roof = pipe.columns[0].gapTop;
+        const stripeHeight = 14;
+
+        const gradient = ctx.createLinearGradient(0, 0, 0, roof);
+        gradient.addColorStop(0, this.colors.tunnelShadow);
+        gradient.addColorStop(1, this.colors.tunnel);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(pipe.x, 0, pipe.width, roof);
+
+        // Hazard stripes along the underside
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(pipe.x, roof - stripeHeight, pipe.width, stripeHeight);
+        ctx.clip();
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(pipe.x, roof - stripeHeight, pipe.width, stripeHeight);
+        ctx.fillStyle = this.colors.hazard;
+        for (let x = pipe.x - stripeHeight; x < pipe.x + pipe.width; x += stripeHeight * 2) {
+            ctx.beginPath();
+            ctx.moveTo(x, roof);
+            ctx.lineTo(x + stripeHeight, roof - stripeHeight);
+            ctx.lineTo(x + stripeHeight * 2, roof - stripeHeight);
+            ctx.lineTo(x + stripeHeight, roof);
+            ctx.closePath();
+            ctx.fill();
+        }
+        ctx.restore();
+
+        ctx.strokeStyle = this.colors.tunnelShadow;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(pipe.x, 0, pipe.width, roof);
+
+        // Label, kept on screen while the tunnel is
+        const labelX = Math.max(pipe.x + 90, Math.min(pipe.x + pipe.width - 90, WORLD_WIDTH / 2));
+        if (roof > 60) {
+            ctx.font = 'bold 20px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillStyle = this.colors.hazard;
+            ctx.fillText(`HOLD THE PLANK ${Math.round(pipe.holdDuration / 1000)}s`, labelX, roof - stripeHeight - 12);
+        }
+    }
+
+    /**
+     * A scripted course's section name, along the top over its first obstacle
+     */
+    drawObstacleLabel(pipe) {
+        const ctx = this.ctx;
+
+        // Tunnels are long, so theirs starts at the entrance
+        const tunnel = pipe.type === 'tunnel';
+        const x = tunnel ? pipe.x + 10 : pipe.x + pipe.columns[0].width / 2;
+
+        ctx.font = 'bold 22px Arial';
+        ctx.textAlign = tunnel ? 'left' : 'center';
+        ctx.lineWidth = 4;
+        ctx.strokeStyle = '#000000';
+        ctx.strokeText(pipe.label, x, 32);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText(pipe.label, x, 32);
+    }
+
+    /**
+     * Dotted track showing how far an oscillating gap swings
+     */
+    drawOscillationHint(pipe) {
+        const ctx = this.ctx;
+        const x = pipe.x + pipe.width / 2;
+
+        ctx.strokeStyle = this.colors.hazard;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 6]);
+        ctx.beginPath();
+        ctx.moveTo(x, pipe.centre - pipe.amplitude);
+        ctx.lineTo(x, pipe.centre + pipe.amplitude);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    /**
+     * Inward arrows on the edges of a closing gap
+     */
+    drawNarrowingHint(pipe) {
+        const ctx = this.ctx;
+        const column = pipe.columns[0];
+        const x = column.x + column.width / 2;
+        const size = 10;
+
+        ctx.fillStyle = this.colors.narrowing;
+        for (const [y, direction] of [[column.gapTop, 1], [column.gapBottom, -1]]) {
+            ctx.beginPath();
+            ctx.moveTo(x - size, y);
+            ctx.lineTo(x + size, y);
+            ctx.lineTo(x, y + size * direction);
+            ctx.closePath();
+            ctx.fill();
+        }
+    }
+
+    /**
+     * Arrow between the two gaps of a double-gap sequence
+     */
+    drawDoubleGapHint(pipe) {
+        const ctx = this.ctx;
+        const [first, second] = pipe.columns;
+        const fromX = first.x + first.width + 10;
+        const toX = second.x - 10;
+        const fromY = (first.gapTop + first.gapBottom) / 2;
+        const toY = (second.gapTop + second.gapBottom) / 2;
+
+        ctx.strokeStyle = this.colors.hazard;
+        ctx.lineWidth = 3;
+        ctx.setLineDash([8, 6]);
+        ctx.beginPath();
+        ctx.moveTo(fromX, fromY);
+        ctx.lineTo(toX, toY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.font = 'bold 16px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = this.colors.hazard;
+        ctx.fillText('FULL REP', (fromX + toX) / 2, (fromY + toY) / 2 - 12);
+    }
+
+    /**
+     * Vitamins are little tablets; power-ups are lettered orbs
+     */
+    drawPickups(gameState) {
+        const ctx = this.ctx;
+
+        for (const pickup of gameState.pickups) {
+            const style = PICKUP_STYLES[pickup.type];
+            const r = pickup.radius;
+
+            ctx.save();
+            ctx.fillStyle = style.color;
+            ctx.strokeStyle = '#FFFFFF';
+            ctx.lineWidth = 2;
+
+            if (pickup.type === PickupType.VITAMIN) {
+                this.roundedRect(ctx, pickup.x - r, pickup.y - r / 2, r * 2, r, r / 2, r / 2, r / 2, r / 2);
+                ctx.fill();
+                ctx.stroke();
+                ctx.beginPath();
+                ctx.moveTo(pickup.x, pickup.y - r / 2);
+                ctx.lineTo(pickup.x, pickup.y + r / 2);
+                ctx.stroke();
+            } else {
+                ctx.beginPath();
+                ctx.arc(pickup.x, pickup.y, r, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
+                ctx.fillStyle = '#FFFFFF';
+                ctx.font = `bold ${r * 1.2}px Arial`;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(style.letter, pickup.x, pickup.y + 1);
+            }
+
+            ctx.restore();
         }
     }
 
@@ -304,8 +850,8 @@ export class Renderer {
      */
     drawPipe(x, y, width, height, isTop) {
         const ctx = this.ctx;
-        const capHeight = 30;
-        const capOverhang = 8;
+        const capHeight = PIPE_CAP.height;
+        const capOverhang = PIPE_CAP.overhang;
 
         // Main pipe body
         const gradient = ctx.createLinearGradient(x, 0, x + width, 0);
@@ -333,8 +879,8 @@ export class Renderer {
      */
     drawGround(gameState) {
         const ctx = this.ctx;
-        const width = this.canvas.width;
-        const height = this.canvas.height;
+        const width = WORLD_WIDTH;
+        const height = WORLD_HEIGHT;
         const groundY = height - gameState.groundHeight;
 
         // Ground
@@ -363,6 +909,265 @@ export class Renderer {
         // Main text
         ctx.fillStyle = this.colors.text;
         ctx.fillText(gameState.score.toString(), width / 2, 60);
+
+        // Time left / reps to go
+        if (gameState.modeHud) {
+            ctx.font = 'bold 22px Arial';
+            ctx.fillStyle = this.colors.textShadow;
+            ctx.fillText(gameState.modeHud, width / 2 + 2, 92);
+            ctx.fillStyle = '#FFD700';
+            ctx.fillText(gameState.modeHud, width / 2, 90);
+        }
+    }
+
+    /**
+     * Active power-ups in the top-right corner, each with a bar for the
+     * time it has left
+     */
+    drawPowerUps(gameState) {
+        const ctx = this.ctx;
+        const right = this.canvas.width - 20;
+        const barWidth = 110;
+        let y = 30;
+
+        ctx.save();
+        ctx.textAlign = 'right';
+        ctx.font = 'bold 16px Arial';
+
+        for (const powerUp of gameState.powerUps) {
+            const color = PICKUP_STYLES[powerUp.type].color;
+            const label = POWER_UPS[powerUp.type].label;
+
+            ctx.fillStyle = this.colors.textShadow;
+            ctx.fillText(label, right + 2, y + 2);
+            ctx.fillStyle = color;
+            ctx.fillText(label, right, y);
+
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+            ctx.fillRect(right - barWidth, y + 6, barWidth, 6);
+            ctx.fillStyle = color;
+            ctx.fillRect(right - barWidth, y + 6, barWidth * (powerUp.remaining / powerUp.duration), 6);
+
+            y += 36;
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw push-up rep count in the top-left corner
+     */
+    drawRepCounter(gameState) {
+        const ctx = this.ctx;
+
+        ctx.textAlign = 'left';
+
+        ctx.font = 'bold 36px Arial';
+        ctx.fillStyle = this.colors.textShadow;
+        ctx.fillText(gameState.reps.toString(), 22, 55);
+        ctx.fillStyle = this.colors.text;
+        ctx.fillText(gameState.reps.toString(), 20, 52);
+
+        ctx.font = '14px Arial';
+        ctx.fillStyle = '#DDDDDD';
+        ctx.fillText('PUSH-UPS', 20, 72);
+
+        ctx.textAlign = 'center';
+    }
+
+    /**
+     * Hearts under the rep counter, when playing with more than one life
+     */
+    drawLives(gameState) {
+        if (gameState.maxLives <= 1) return;
+
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.font = '22px Arial';
+        ctx.textAlign = 'left';
+        for (let i = 0; i < gameState.maxLives; i++) {
+            ctx.fillStyle = i < gameState.lives ? '#FF4D6D' : 'rgba(255, 255, 255, 0.3)';
+            ctx.fillText('♥', 20 + i * 24, 100);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Flag the last rep's form above the bottle for a moment
+     */
+    drawRepFeedback(gameState) {
+        const rep = gameState.lastRep;
+        if (!rep || gameState.time - rep.time > REP_FEEDBACK_DURATION) return;
+
+        const ctx = this.ctx;
+        const bird = gameState.bird;
+        const label = rep.clean ? 'GOOD REP' : FORM_ISSUE_LABELS[rep.issues[0]];
+        const { x, y } = this.toCanvas(bird.x, bird.y - bird.radius * 2);
+
+        // Fade out over the feedback duration
+        ctx.save();
+        ctx.globalAlpha = 1 - (gameState.time - rep.time) / REP_FEEDBACK_DURATION;
+        ctx.font = 'bold 22px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = this.colors.textShadow;
+        ctx.fillText(label, x + 2, y + 2);
+        ctx.fillStyle = rep.clean ? '#00FF00' : '#FF6347';
+        ctx.fillText(label, x, y);
+        ctx.restore();
+    }
+
+    /**
+     * Draw guided calibration prompt and hold progress
+     */
+    drawCalibrationScreen(gameState) {
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const calibration = gameState.calibration;
+
+        // Semi-transparent overlay
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 40px Arial';
+        ctx.fillStyle = this.colors.text;
+        ctx.fillText('CALIBRATION', width / 2, height / 4);
+
+        if (!calibration) return;
+
+        ctx.font = '18px Arial';
+        ctx.fillStyle = '#AAAAAA';
+        ctx.fillText(`Step ${calibration.step} of ${calibration.stepCount}`, width / 2, height / 4 + 40);
+
+        ctx.font = 'bold 28px Arial';
+        ctx.fillStyle = '#FFD700';
+        ctx.fillText(calibration.prompt, width / 2, height / 2 - 30);
+
+        // Progress meter
+        const barWidth = Math.min(400, width * 0.7);
+        const barHeight = 24;
+        const barX = width / 2 - barWidth / 2;
+        const barY = height / 2;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+        this.roundedRect(ctx, barX, barY, barWidth, barHeight, 12, 12, 12, 12);
+        ctx.fill();
+
+        if (calibration.progress > 0) {
+            ctx.fillStyle = '#00FF00';
+            const fillWidth = Math.max(barHeight, barWidth * calibration.progress);
+            this.roundedRect(ctx, barX, barY, fillWidth, barHeight, 12, 12, 12, 12);
+            ctx.fill();
+        }
+
+        ctx.font = '18px Arial';
+        ctx.fillStyle = this.colors.text;
+        const hint = this.poseResults?.poseLandmarks ?
+            (calibration.progress > 0 ? 'Hold still...' : 'Get into position and hold still') :
+            'Position yourself in frame...';
+        ctx.fillText(hint, width / 2, barY + barHeight + 36);
+
+        // Rejected range
+        if (calibration.message) {
+            ctx.font = 'bold 18px Arial';
+            ctx.fillStyle = '#FF6347';
+            ctx.fillText(calibration.message, width / 2, barY + barHeight + 76);
+        }
+    }
+
+    /**
+     * Draw the countdown into a run (also used when resuming from a pause)
+     */
+    drawCountdownScreen(gameState) {
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 96px Arial';
+        ctx.fillStyle = this.colors.text;
+        ctx.fillText(Math.max(1, Math.ceil(gameState.countdown / 1000)).toString(), width / 2, height / 2 + 30);
+
+        ctx.font = '22px Arial';
+        ctx.fillStyle = '#00FF00';
+        ctx.fillText('Get ready!', width / 2, height / 2 + 80);
+    }
+
+    /**
+     * Push-ups left to earn a continue, and the time left to do them
+     */
+    drawContinueScreen(gameState) {
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 40px Arial';
+        ctx.fillStyle = '#FFD700';
+        ctx.fillText('CONTINUE?', width / 2, height / 3);
+
+        ctx.font = '24px Arial';
+        ctx.fillStyle = this.colors.text;
+        ctx.fillText(`Do ${CONTINUE_REPS} clean push-ups to keep going`, width / 2, height / 3 + 40);
+
+        ctx.font = 'bold 72px Arial';
+        ctx.fillText(`${gameState.continueReps} / ${CONTINUE_REPS}`, width / 2, height / 2 + 40);
+
+        // Time left
+        const barWidth = 300;
+        const seconds = Math.ceil(gameState.continueTimeLeft / 1000);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.fillRect(width / 2 - barWidth / 2, height / 2 + 70, barWidth, 10);
+        ctx.fillStyle = seconds <= 5 ? '#FF6347' : '#FFD700';
+        ctx.fillRect(width / 2 - barWidth / 2, height / 2 + 70, barWidth * (gameState.continueTimeLeft / gameState.continueTime), 10);
+        ctx.font = '20px Arial';
+        ctx.fillText(`${seconds}s`, width / 2, height / 2 + 110);
+    }
+
+    /**
+     * Draw the paused overlay while tracking is lost
+     */
+    drawPausedScreen(gameState) {
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 40px Arial';
+        ctx.fillStyle = '#FFD700';
+        ctx.fillText('PAUSED', width / 2, height / 2 - 20);
+
+        ctx.font = '24px Arial';
+        ctx.fillStyle = this.colors.text;
+        ctx.fillText('Come back into frame to continue', width / 2, height / 2 + 25);
+    }
+
+    /**
+     * Draw the brief crash overlay shown before the results screen
+     */
+    drawCrashScreen(gameState) {
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+
+        // Reaching the mode's goal gets a green flash instead of the crash tint
+        ctx.fillStyle = gameState.completed ? 'rgba(0, 255, 0, 0.2)' : 'rgba(255, 0, 0, 0.25)';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.font = 'bold 56px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = gameState.completed ? '#00FF00' : '#FF6347';
+        ctx.fillText(gameState.completed ? 'FINISHED!' : 'GAME OVER', width / 2, height / 2);
     }
 
     /**
@@ -383,16 +1188,37 @@ export class Renderer {
         ctx.fillStyle = this.colors.text;
         ctx.fillText('FLAPPY PUSH-UP', width / 2, height / 3);
 
+        this.drawChallengeBanner(gameState);
+
         // Instructions
         ctx.font = '24px Arial';
         ctx.fillText('Do push-ups to control the vitamin bottle!', width / 2, height / 2);
         ctx.fillText('Move up and down to start', width / 2, height / 2 + 40);
 
-        // High score
+        this.drawModePicker(gameState, height / 2 + 75);
+
+        ctx.font = '16px Arial';
+        ctx.fillStyle = '#CCCCCC';
+        const controls = createControlScheme(gameState.controls);
+        ctx.fillText(`Difficulty: ${DIFFICULTY_PRESETS[gameState.difficulty].label} (D to change)` +
+            ` · Controls: ${controls.label} - ${controls.description} (F to switch)`,
+            width / 2, height / 2 + 155);
+
+        // High score (for the selected mode)
         if (gameState.highScore > 0) {
             ctx.font = '20px Arial';
             ctx.fillStyle = '#FFD700';
-            ctx.fillText(`High Score: ${gameState.highScore}`, width / 2, height / 2 + 100);
+            ctx.fillText(`High Score: ${gameState.highScore}`, width / 2, height / 2 + 185);
+        }
+
+        // Racing the best run's ghost (on its course)
+        if (gameState.ghostBest !== null) {
+            ctx.font = '16px Arial';
+            ctx.fillStyle = '#CCCCCC';
+            ctx.fillText(gameState.raceGhost ?
+                `Racing your best run (${gameState.ghostBest}) on its course (G to turn off)` :
+                `Ghost off, the course adapts to you (G to race your best run of ${gameState.ghostBest})`,
+                width / 2, height / 2 + 212);
         }
 
         // Pose status
@@ -401,6 +1227,106 @@ export class Renderer {
         const poseStatus = this.poseResults?.poseLandmarks ?
             'Pose detected - Start moving!' : 'Position yourself in frame...';
         ctx.fillText(poseStatus, width / 2, height - 100);
+
+        ctx.font = '14px Arial';
+        ctx.fillStyle = '#AAAAAA';
+        ctx.fillText('Press C to recalibrate · E to open the course editor', width / 2, height - 70);
+    }
+
+    /**
+     * Along the top: the scripted course or friend's challenge being played,
+     * or today's daily challenge and yesterday's winners
+     */
+    drawChallengeBanner(gameState) {
+        const ctx = this.ctx;
+        const x = this.canvas.width / 2;
+        const challenge = gameState.challenge;
+
+        if (gameState.course) {
+            ctx.save();
+            ctx.textAlign = 'center';
+            ctx.font = 'bold 32px Arial';
+            ctx.fillStyle = '#FFD700';
+            ctx.fillText(`Course: ${gameState.course.name}`, x, 48);
+            ctx.font = '16px Arial';
+            ctx.fillStyle = '#CCCCCC';
+            ctx.fillText(`${gameState.course.total} obstacles, done once the last one is behind you`, x, 74);
+            ctx.restore();
+            return;
+        }
+
+        if (challenge?.name) {
+            ctx.save();
+            ctx.textAlign = 'center';
+            ctx.font = 'bold 32px Arial';
+            ctx.fillStyle = '#FFD700';
+            ctx.fillText(`Beat ${challenge.name}'s ${challenge.score}!`, x, 48);
+            ctx.font = '16px Arial';
+            ctx.fillStyle = '#CCCCCC';
+            ctx.fillText(`Same course they played${challenge.ghost ? ', racing their ghost' : ''}` +
+                ' (change any setting to play your own)', x, 74);
+            ctx.restore();
+            return;
+        }
+
+        const daily = gameState.daily;
+        if (!daily) return;
+        const setup = `${createGameMode(daily.mode).label} · ${DIFFICULTY_PRESETS[daily.preset].label}`;
+
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 20px Arial';
+        ctx.fillStyle = '#FFD700';
+        ctx.fillText(challenge?.daily ?
+            `Playing the daily challenge: ${setup} (T to leave)` :
+            `Daily challenge: ${setup}, same course for everyone (T to play)`, x, 40);
+
+        const winners = daily.yesterday?.winners ?? [];
+        if (winners.length > 0) {
+            ctx.font = '16px Arial';
+            ctx.fillStyle = '#CCCCCC';
+            const names = winners.map((entry, i) => `${i + 1}. ${entry.name} ${entry.score}`);
+            ctx.fillText(`Yesterday's winners: ${names.join('  ')}`, x, 66);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Draw one button per game mode, highlighting the selected one
+     * @param {number} top - Y of the top of the buttons
+     */
+    drawModePicker(gameState, top) {
+        const ctx = this.ctx;
+        const buttonWidth = 180;
+        const buttonHeight = 58;
+        const spacing = 16;
+        const totalWidth = MODE_CHOICES.length * buttonWidth + (MODE_CHOICES.length - 1) * spacing;
+        let x = (this.canvas.width - totalWidth) / 2;
+
+        this.modeButtons = [];
+        ctx.textAlign = 'center';
+
+        MODE_CHOICES.forEach((mode, index) => {
+            const selected = mode.id === gameState.mode;
+            const locked = gameState.modesLocked && mode.id !== 'tutorial';
+
+            ctx.fillStyle = selected ? 'rgba(255, 215, 0, 0.3)' : 'rgba(255, 255, 255, 0.1)';
+            ctx.fillRect(x, top, buttonWidth, buttonHeight);
+            ctx.strokeStyle = selected ? '#FFD700' : '#888888';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(x, top, buttonWidth, buttonHeight);
+
+            ctx.font = 'bold 18px Arial';
+            ctx.fillStyle = selected ? '#FFD700' : locked ? '#888888' : this.colors.text;
+            ctx.fillText(`${index + 1}. ${mode.label}`, x + buttonWidth / 2, top + 24);
+
+            ctx.font = '13px Arial';
+            ctx.fillStyle = locked ? '#888888' : '#CCCCCC';
+            ctx.fillText(locked ? 'Finish the tutorial first' : mode.description, x + buttonWidth / 2, top + 45);
+
+            this.modeButtons.push({ id: mode.id, x, y: top, width: buttonWidth, height: buttonHeight });
+            x += buttonWidth + spacing;
+        });
     }
 
     /**
@@ -424,8 +1350,8 @@ export class Renderer {
         // Game Over text
         ctx.font = 'bold 42px Arial';
         ctx.textAlign = 'center';
-        ctx.fillStyle = '#FF6347';
-        ctx.fillText('GAME OVER', leftX, 80);
+        ctx.fillStyle = gameState.completed ? '#00FF00' : '#FF6347';
+        ctx.fillText(gameState.completed ? 'FINISHED!' : 'GAME OVER', leftX, 80);
 
         // Score
         ctx.font = 'bold 64px Arial';
@@ -436,6 +1362,11 @@ export class Renderer {
         ctx.fillStyle = '#888888';
         ctx.fillText('SCORE', leftX, 185);
 
+        // Push-ups done this game
+        ctx.font = 'bold 20px Arial';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText(`${gameState.reps} PUSH-UPS${gameState.continued ? ' · CONTINUED' : ''}`, leftX, 212);
+
         // Percentile (if available)
         if (gameState.percentile !== null && gameState.percentile !== undefined) {
             ctx.font = 'bold 28px Arial';
@@ -460,6 +1391,24 @@ export class Renderer {
             ctx.fillText(`Personal Best: ${gameState.highScore}`, leftX, 330);
         }
 
+        // Friend's challenge outcome, or the tutorial's
+        const challenge = gameState.challenge;
+        if (challenge?.name) {
+            const result = getChallengeResult(challenge, gameState.score);
+            ctx.font = 'bold 20px Arial';
+            ctx.fillStyle = { won: '#00FF00', lost: '#FF6347', tied: '#FFD700' }[result];
+            ctx.fillText({
+                won: `You beat ${challenge.name}'s ${challenge.score}!`,
+                lost: `${challenge.name} wins, ${challenge.score} to ${gameState.score}`,
+                tied: `Tied with ${challenge.name} on ${challenge.score}`
+            }[result], leftX, 356);
+        } else if (gameState.mode === 'tutorial' && gameState.completed) {
+            // Shares the challenge's row: tutorial runs never come from a link
+            ctx.font = 'bold 20px Arial';
+            ctx.fillStyle = '#00FF00';
+            ctx.fillText('Tutorial complete: every mode is unlocked', leftX, 356);
+        }
+
         // Submit status
         ctx.font = '18px Arial';
         if (gameState.scoreSubmitted) {
@@ -467,18 +1416,52 @@ export class Renderer {
             ctx.fillText('Score submitted!', leftX, 380);
         }
 
+        // Form summary (only clean reps count as push-ups)
+        const summary = gameState.repSummary;
+        if (summary.attempts > summary.clean) {
+            const problems = Object.entries(summary.issues)
+                .map(([issue, count]) => `${count} ${FORM_ISSUE_LABELS[issue].toLowerCase()}`);
+
+            ctx.font = '16px Arial';
+            ctx.fillStyle = '#FFA500';
+            ctx.fillText(`${summary.clean} of ${summary.attempts} reps counted`, leftX, 420);
+            ctx.fillStyle = '#AAAAAA';
+            ctx.fillText(problems.join(' · '), leftX, 442);
+        }
+
         // === RIGHT SIDE: Leaderboard ===
 
-        ctx.font = 'bold 28px Arial';
+        ctx.font = 'bold 24px Arial';
         ctx.fillStyle = '#FFD700';
-        ctx.fillText('LEADERBOARD', rightX, 80);
+        ctx.fillText(`${createGameMode(gameState.mode).label.toUpperCase()} LEADERBOARD`, rightX, 72);
+
+        ctx.font = '14px Arial';
+        ctx.fillStyle = '#AAAAAA';
+        const subtitle = [DIFFICULTY_PRESETS[gameState.difficulty].label];
+        if (gameState.controls !== DEFAULT_CONTROLS) {
+            subtitle.push(createControlScheme(gameState.controls).label);
+        }
+        if (gameState.challenge?.board) {
+            subtitle.unshift(gameState.challenge.label);
+        }
+        if (gameState.course) {
+            subtitle.unshift(gameState.course.name);
+        }
+        ctx.fillText(subtitle.join(' · ').toUpperCase(), rightX, 94);
 
         const leaderboard = gameState.leaderboard || [];
         const startY = 120;
         const lineHeight = 32;
         const maxDisplay = Math.min(leaderboard.length, 10);
 
-        if (leaderboard.length === 0) {
+        if (!gameState.ranked) {
+            // Courses and the tutorial are ranked on this device only
+            const kind = gameState.course ? 'Course' : createGameMode(gameState.mode).label;
+            ctx.font = '18px Arial';
+            ctx.fillStyle = '#888888';
+            ctx.fillText(`${kind} runs aren't ranked online`, rightX, startY + 20);
+            ctx.fillText(`Your best here: ${gameState.highScore}`, rightX, startY + 50);
+        } else if (leaderboard.length === 0) {
             ctx.font = '18px Arial';
             ctx.fillStyle = '#888888';
             ctx.fillText('No scores yet!', rightX, startY + 20);
@@ -508,12 +1491,25 @@ export class Renderer {
                 const displayName = entry.name.length > 12 ? entry.name.slice(0, 12) + '...' : entry.name;
                 ctx.fillText(displayName, rightX - 90, y);
 
+                // Runs that were continued after a game over
+                if (entry.continued) {
+                    ctx.fillStyle = '#888888';
+                    ctx.fillText('↻', rightX + 60, y);
+                }
+
                 // Score
                 ctx.textAlign = 'right';
                 ctx.fillStyle = isCurrentPlayer ? '#00FFAA' : '#AAAAAA';
                 ctx.fillText(entry.score.toString(), rightX + 130, y);
             }
 
+            if (leaderboard.some(entry => entry.continued)) {
+                ctx.font = '12px Arial';
+                ctx.textAlign = 'center';
+                ctx.fillStyle = '#888888';
+                ctx.fillText('↻ continued run', rightX, startY + maxDisplay * lineHeight + 28);
+            }
+
             // Show "and X more" if there are more entries
             if (leaderboard.length > maxDisplay) {
                 ctx.font = '14px Arial';
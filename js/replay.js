@@ -0,0 +1,229 @@
+/**
+ * Run replays
+ * Records the course seed plus every per-tick pose input so a run can be
+ * fed back through FlappyGame.update() and reproduced exactly
+ */
+
+import { FlappyGame, FIXED_TIMESTEP_MS } from './game.js';
+
+export const REPLAY_VERSION = 16;
+
+/**
+ * Captures a run while attached to a game via game.setRecorder()
+ *
+ * Inputs are stored run-length encoded as [y, elbowAngle, bodyAngle, tickCount]
+ * entries, since pose frames arrive slower than the simulation ticks.
+ * Pause/resume/continue calls are stored as [tick, name] events. A run that
+ * can still be continued keeps recording through the results screen.
+ */
+export class ReplayRecorder {
+    constructor() {
+        this.replay = null;
+        this.onFinish = null;
+    }
+
+    /**
+     * Called by the game when a run starts
+     */
+    begin(game) {
+        this.replay = {
+            version: REPLAY_VERSION,
+            seed: game.seed,
+            fixedCourse: game.director.fixedCourse,
+            mode: game.mode.id,
+            difficulty: { ...game.difficulty },
+            controls: game.controls.id,
+            // A friend's ghost is only drawn, so it's left out
+            challenge: game.challenge && { ...game.challenge, ghost: undefined },
+            course: game.course,
+            bird: {
+                y: game.bird.y,
+                targetY: game.bird.targetY
+            },
+            inputs: [],
+            events: [],
+            ticks: 0,
+            score: 0,
+            recordedAt: new Date(game.clock.now()).toISOString()
+        };
+    }
+
+    /**
+     * Called by the game once per simulated tick
+     * @param {number|null} input - Normalized pose Y the tick was simulated with
+     * @param {Object|null} form - Form metrics the tick was simulated with
+     */
+    recordTick(input, form) {
+        if (!this.replay) return;
+
+        const inputs = this.replay.inputs;
+        const last = inputs[inputs.length - 1];
+        const elbowAngle = form ? form.elbowAngle : null;
+        const bodyAngle = form ? form.bodyAngle : null;
+
+        if (last && last[0] === input && last[1] === elbowAngle && last[2] === bodyAngle) {
+            last[3]++;
+        } else {
+            inputs.push([input, elbowAngle, bodyAngle, 1]);
+        }
+
+        this.replay.ticks++;
+    }
+
+    /**
+     * Called by the game for run-affecting calls made between ticks
+     * @param {string} name - 'pause', 'resume' or 'continue'
+     */
+    recordEvent(name) {
+        if (!this.replay) return;
+        this.replay.events.push([this.replay.ticks, name]);
+    }
+
+    /**
+     * Called by the game when the run ends
+     */
+    finish(game) {
+        if (!this.replay) return;
+
+        this.replay.score = game.score;
+
+        if (this.onFinish) {
+            this.onFinish(this.replay);
+        }
+    }
+
+    /**
+     * Most recent (possibly still running) replay
+     */
+    getReplay() {
+        return this.replay;
+    }
+}
+
+/**
+ * Feeds a recorded replay back through a game tick by tick
+ */
+export class ReplayPlayer {
+    constructor(replay) {
+        if (!replay || replay.version !== REPLAY_VERSION) {
+            throw new Error('Unsupported replay format');
+        }
+
+        this.replay = replay;
+        this.game = null;
+
+        // Playback cursors into the run-length encoded inputs and the events
+        this.inputIndex = 0;
+        this.eventIndex = 0;
+        this.inputTicksUsed = 0;
+        this.tick = 0;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Create a game configured exactly like the recorded one and start it
+     * @param {Object} [options] - FlappyGame options (storage, clock)
+     */
+    createGame(options = {}) {
+        const game = new FlappyGame(options);
+        game.persistHighScore = false;
+        this.attach(game);
+        return game;
+    }
+
+    /**
+     * Reset an existing game to the recorded starting conditions
+     */
+    attach(game) {
+        game.bird.y = this.replay.bird.y;
+        game.bird.prevY = this.replay.bird.y;
+        game.bird.targetY = this.replay.bird.targetY;
+        game.setMode(this.replay.mode);
+        game.setDifficulty(this.replay.difficulty);
+        game.setControls(this.replay.controls);
+        game.setChallenge(this.replay.challenge);
+        game.loadCourse(this.replay.course);
+        game.start(this.replay.seed, this.replay.fixedCourse);
+
+        this.game = game;
+        this.inputIndex = 0;
+        this.eventIndex = 0;
+        this.inputTicksUsed = 0;
+        this.tick = 0;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Whether every recorded tick has been played (an ended run only goes
+     * on if it was continued later)
+     */
+    isFinished() {
+        if (this.tick >= this.replay.ticks) return true;
+        return !this.game?.isRunActive() && this.eventIndex >= this.replay.events.length;
+    }
+
+    /**
+     * Play a single recorded tick
+     */
+    stepTick() {
+        if (this.isFinished()) return;
+
+        // Re-apply pause/resume/continue calls made before this tick
+        const events = this.replay.events;
+        while (this.eventIndex < events.length && events[this.eventIndex][0] <= this.tick) {
+            const [, name] = events[this.eventIndex++];
+            if (name === 'pause') {
+                this.game.pause();
+            } else if (name === 'resume') {
+                this.game.resume();
+            } else if (name === 'continue') {
+                this.game.continueRun();
+            }
+        }
+
+        const [input, elbowAngle, bodyAngle, count] = this.replay.inputs[this.inputIndex];
+
+        if (input !== null) {
+            const form = elbowAngle === null && bodyAngle === null ?
+                null : { elbowAngle, bodyAngle };
+            this.game.setBirdTargetFromPose(input, form);
+        }
+        this.game.update(FIXED_TIMESTEP_MS);
+
+        this.tick++;
+        this.inputTicksUsed++;
+        if (this.inputTicksUsed >= count) {
+            this.inputIndex++;
+            this.inputTicksUsed = 0;
+        }
+    }
+
+    /**
+     * Advance playback in real time, for watching a replay
+     * @param {number} deltaTime - Time since last frame in milliseconds
+     */
+    advance(deltaTime) {
+        this.accumulator += deltaTime;
+
+        while (this.accumulator >= FIXED_TIMESTEP_MS && !this.isFinished()) {
+            this.stepTick();
+            this.accumulator -= FIXED_TIMESTEP_MS;
+        }
+    }
+
+    /**
+     * Play the whole replay as fast as possible
+     * @returns {FlappyGame} The game in its final state
+     */
+    runToEnd() {
+        if (!this.game) {
+            this.createGame();
+        }
+
+        while (!this.isFinished()) {
+            this.stepTick();
+        }
+
+        return this.game;
+    }
+}
@@ -0,0 +1,163 @@
+/**
+ * Push-up rep detection
+ * State machine over the normalized shoulder Y from PoseDetector
+ * (0 = top/arms locked out, 1 = bottom/chest down)
+ */
+
+export const RepPhase = {
+    UNKNOWN: 'unknown',       // Haven't seen the top position yet
+    TOP: 'top',
+    DESCENDING: 'descending',
+    BOTTOM: 'bottom',
+    ASCENDING: 'ascending'
+};
+
+export class RepCounter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.topThreshold] - Y at or above which the player is locked out
+     * @param {number} [options.bottomThreshold] - Y at or below which the player is at depth
+     * @param {number} [options.hysteresis] - Extra distance needed to leave a position
+     * @param {number} [options.minRepDuration] - Faster "reps" are treated as jitter (ms)
+     */
+    constructor(options = {}) {
+        this.topThreshold = options.topThreshold ?? 0.25;
+        this.bottomThreshold = options.bottomThreshold ?? 0.75;
+        this.hysteresis = options.hysteresis ?? 0.05;
+        this.minRepDuration = options.minRepDuration ?? 400;
+
+        this.onRepCallback = null;
+        this.onDiscardCallback = null;
+        this.reset();
+    }
+
+    /**
+     * Forget the current rep and the running count
+     */
+    reset() {
+        this.phase = RepPhase.UNKNOWN;
+        this.count = 0;
+        this.currentRep = null;
+        this.lockoutY = null;  // Highest position seen while at the top
+    }
+
+    /**
+     * Feed a new position sample
+     * @param {number|null} normalizedY - Shoulder position, null if unknown
+     * @param {number} time - Timestamp in milliseconds
+     * @returns {Object|null} Rep event if a rep (or partial rep) just ended
+     */
+    update(normalizedY, time) {
+        if (normalizedY === null || normalizedY === undefined) {
+            return null;
+        }
+
+        const y = normalizedY;
+        const top = this.topThreshold;
+        const bottom = this.bottomThreshold;
+        const h = this.hysteresis;
+
+        if (this.currentRep) {
+            this.currentRep.minY = Math.min(this.currentRep.minY, y);
+            this.currentRep.maxY = Math.max(this.currentRep.maxY, y);
+        }
+
+        switch (this.phase) {
+            case RepPhase.UNKNOWN:
+                if (y <= top) {
+                    this.phase = RepPhase.TOP;
+                    this.lockoutY = y;
+                }
+                break;
+
+            case RepPhase.TOP:
+                this.lockoutY = Math.min(this.lockoutY, y);
+                if (y > top + h) {
+                    this.phase = RepPhase.DESCENDING;
+                    this.currentRep = { startTime: time, bottomTime: null, minY: this.lockoutY, maxY: y };
+                }
+                break;
+
+            case RepPhase.DESCENDING:
+                if (y >= bottom) {
+                    this.phase = RepPhase.BOTTOM;
+                    this.currentRep.bottomTime = time;
+                } else if (y <= top) {
+                    // Came back up without reaching depth
+                    this.lockoutY = y;
+                    return this.finishRep(time, false);
+                }
+                break;
+
+            case RepPhase.BOTTOM:
+                if (y < bottom - h) {
+                    this.phase = RepPhase.ASCENDING;
+                }
+                break;
+
+            case RepPhase.ASCENDING:
+                if (y <= top) {
+                    this.lockoutY = y;
+                    return this.finishRep(time, true);
+                } else if (y >= bottom) {
+                    this.phase = RepPhase.BOTTOM;
+                }
+                break;
+        }
+
+        return null;
+    }
+
+    /**
+     * Close the current rep and notify listeners
+     */
+    finishRep(time, complete) {
+        const rep = this.currentRep;
+        this.phase = RepPhase.TOP;
+        this.currentRep = null;
+
+        const duration = time - rep.startTime;
+        if (complete && duration < this.minRepDuration) {
+            if (this.onDiscardCallback) {
+                this.onDiscardCallback({ startTime: rep.startTime, endTime: time });
+            }
+            return null;
+        }
+
+        if (complete) {
+            this.count++;
+        }
+
+        const event = {
+            complete,
+            count: this.count,
+            startTime: rep.startTime,
+            bottomTime: rep.bottomTime,
+            endTime: time,
+            duration,
+            minY: rep.minY,
+            maxY: rep.maxY,
+            amplitude: rep.maxY - rep.minY
+        };
+
+        if (this.onRepCallback) {
+            this.onRepCallback(event);
+        }
+
+        return event;
+    }
+
+    /**
+     * Set callback for completed and partial reps
+     */
+    setRepCallback(callback) {
+        this.onRepCallback = callback;
+    }
+
+    /**
+     * Set callback for reps thrown out as jitter (faster than minRepDuration)
+     */
+    setDiscardCallback(callback) {
+        this.onDiscardCallback = callback;
+    }
+}
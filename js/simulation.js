@@ -0,0 +1,200 @@
+/**
+ * Headless runs
+ * Drives FlappyGame with no camera and no screen, as fast as it will go,
+ * from scripted pose input or a recorded replay. The report says how the
+ * run went, for balancing difficulty and for checking replays server-side.
+ */
+
+import { FlappyGame, FIXED_TIMESTEP_MS } from './game.js';
+import { resolveDifficulty } from './difficulty.js';
+import { ReplayPlayer } from './replay.js';
+import { MemoryStorage, ManualClock } from './platform.js';
+import { parseCourse } from './course.js';
+
+// Scripted runs stop here if nothing ends them sooner
+const DEFAULT_MAX_TIME_MS = 10 * 60 * 1000;
+
+// Game events kept in the timeline, reduced to plain data
+const TIMELINE_EVENTS = {
+    stateChange: ({ from, to }) => ({ from, to }),
+    rep: ({ assessment, reps }) => ({ clean: assessment.clean, issues: assessment.issues, reps }),
+    pipePassed: ({ pipe, score }) => ({ type: pipe.type, score }),
+    collision: ({ cause, shielded }) => ({ cause, shielded }),
+    pickupCollected: ({ pickup }) => ({ type: pickup.type }),
+    powerUpStarted: ({ type }) => ({ type }),
+    powerUpEnded: ({ type }) => ({ type }),
+    lifeLost: ({ lives }) => ({ lives }),
+    continue: () => ({}),
+    continueRep: ({ reps }) => ({ reps }),
+    gameOver: ({ score, cause, completed }) => ({ score, cause, completed })
+};
+
+/**
+ * Game with throwaway storage and a clock that only moves with the ticks
+ * @param {Object} [options] - FlappyGame options, to share storage between runs say
+ */
+export function createHeadlessGame(options = {}) {
+    return new FlappyGame({ storage: new MemoryStorage(), clock: new ManualClock(), ...options });
+}
+
+/**
+ * Play a scripted run
+ *
+ * Script fields (all optional):
+ *   seed, mode, controls  as FlappyGame.start(), setMode() and setControls() take them
+ *   fixedCourse  as FlappyGame.start() takes it: true to turn the director's
+ *               shaping off, as ghost races and challenges do
+ *   difficulty  preset id, or custom settings with a preset field
+ *   course      scripted course (see course.js) instead of random obstacles;
+ *               its mode and difficulty apply unless the script sets its own
+ *   inputs      pose keyframes, each held until the next:
+ *               {at, y, elbowAngle, bodyAngle}, with at in ms from the start
+ *               and y the normalized shoulder height (null for no pose)
+ *   loop        repeat the inputs every this many ms (one rep, say)
+ *   input       instead of inputs, (game, time) => {y, form} or null each tick
+ *   actions     {at, action} calls into the run: 'pause', 'resume' or 'continue'
+ *   maxTime     ms after which the run is cut off
+ *
+ * The run plays until it is over (and every action has been made) or maxTime.
+ * @param {Object} script
+ * @param {Object} [options] - FlappyGame options
+ * @returns {Object} Report, see createReport()
+ */
+export function runScript(script, options = {}) {
+    const game = createHeadlessGame(options);
+    const timeline = recordTimeline(game);
+
+    const course = script.course ? parseCourse(script.course) : null;
+    game.setMode(script.mode ?? course?.mode);
+    game.setDifficulty(toDifficulty(script.difficulty ?? course?.difficulty));
+    game.setControls(script.controls);
+    game.loadCourse(course);
+    game.start(script.seed, script.fixedCourse);
+
+    const input = script.input ?? createKeyframeInput(script.inputs ?? [], script.loop);
+    const actions = [...(script.actions ?? [])].sort((a, b) => a.at - b.at);
+    const maxTime = script.maxTime ?? DEFAULT_MAX_TIME_MS;
+    let nextAction = 0;
+    let time = 0;
+
+    while (time < maxTime && (game.isRunActive() || nextAction < actions.length)) {
+        while (nextAction < actions.length && actions[nextAction].at <= time) {
+            applyAction(game, actions[nextAction++].action);
+        }
+
+        const pose = input(game, time);
+        if (pose && pose.y !== null && pose.y !== undefined) {
+            game.setBirdTargetFromPose(pose.y, pose.form ?? null);
+        }
+
+        game.update(FIXED_TIMESTEP_MS);
+        game.clock.advance?.(FIXED_TIMESTEP_MS);
+        time += FIXED_TIMESTEP_MS;
+    }
+
+    return createReport(game, timeline);
+}
+
+/**
+ * Re-simulate a recorded replay and check it scores what it claims
+ * @param {Object} replay - From ReplayRecorder
+ * @param {Object} [options] - FlappyGame options
+ * @returns {Object} Report, plus claimedScore and valid
+ * @throws {Error} If the replay format isn't supported
+ */
+export function runReplay(replay, options = {}) {
+    const player = new ReplayPlayer(replay);
+    const game = createHeadlessGame(options);
+    game.persistHighScore = false;
+    const timeline = recordTimeline(game);
+
+    player.attach(game);
+    player.runToEnd();
+
+    const report = createReport(game, timeline);
+    return {
+        ...report,
+        claimedScore: replay.score,
+        valid: report.ended && report.score === replay.score
+    };
+}
+
+/**
+ * Collect the run's events as {time, event, ...data}, time being game ms
+ */
+function recordTimeline(game) {
+    const timeline = [];
+    for (const [event, describe] of Object.entries(TIMELINE_EVENTS)) {
+        game.on(event, (data) => {
+            timeline.push({ time: Math.round(game.time), event, ...describe(data) });
+        });
+    }
+    return timeline;
+}
+
+/**
+ * Outcome of a run: score, what ended it and the timeline
+ */
+function createReport(game, timeline) {
+    const gameOver = timeline.filter(entry => entry.event === 'gameOver').pop();
+
+    return {
+        seed: game.seed,
+        mode: game.mode.id,
+        difficulty: game.difficulty.preset,
+        controls: game.controls.id,
+        ended: !game.isRunActive(),
+        state: game.state,
+        score: game.score,
+        pipesPassed: game.pipesPassed,
+        reps: game.reps,
+        bonus: game.bonus,
+        lives: game.lives,
+        completed: game.completed,
+        continued: game.continued,
+        cause: gameOver ? gameOver.cause : null,
+        playTime: Math.round(game.playTime),
+        repSummary: { ...game.repSummary },
+        timeline
+    };
+}
+
+function toDifficulty(difficulty) {
+    if (difficulty && typeof difficulty === 'object') {
+        return resolveDifficulty(difficulty.preset ?? 'custom', difficulty);
+    }
+    return resolveDifficulty(difficulty);
+}
+
+/**
+ * Input function that holds each keyframe until the next
+ */
+function createKeyframeInput(keyframes, loop = 0) {
+    const frames = [...keyframes].sort((a, b) => a.at - b.at);
+
+    return (game, time) => {
+        const t = loop > 0 ? time % loop : time;
+        let frame = null;
+        for (const candidate of frames) {
+            if (candidate.at > t) break;
+            frame = candidate;
+        }
+        if (!frame) return null;
+
+        const hasForm = frame.elbowAngle !== undefined || frame.bodyAngle !== undefined;
+        return {
+            y: frame.y,
+            form: hasForm ? { elbowAngle: frame.elbowAngle ?? null, bodyAngle: frame.bodyAngle ?? null } : null
+        };
+    };
+}
+
+function applyAction(game, action) {
+    if (action === 'pause') {
+        game.pause();
+    } else if (action === 'resume') {
+        game.resume();
+    } else if (action === 'continue') {
+        game.continueRun();
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * Finite state machine with time-based guards and enter/exit hooks
+ * Time is advanced explicitly with update(), so a machine driven by the
+ * game's fixed ticks stays deterministic for replays
+ */
+
+import { EventEmitter } from './events.js';
+
+/**
+ * Events:
+ *   'change'          {from, to}  every transition
+ *   'enter:<state>'   {from, to}  a state was entered
+ *   'exit:<state>'    {from, to}  a state was left
+ *   'ready:<state>'   {state}     a state's minDuration has passed
+ */
+export class StateMachine extends EventEmitter {
+    /**
+     * @param {Object} config
+     * @param {string} config.initial - Starting state
+     * @param {Object<string, Object>} config.states - Per-state config:
+     *   to          {string[]} states this one may transition to
+     *   minDuration {number}   ms before any transition out is allowed
+     *   duration    {number}   ms after which the machine moves to `next` by itself
+     *   next        {string}   state to enter when `duration` runs out
+     */
+    constructor({ initial, states }) {
+        super();
+        this.states = states;
+        this.state = initial;
+        this.previousState = null;
+        this.elapsed = 0;  // Time spent in the current state
+        this.readyFired = false;
+    }
+
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    /**
+     * Whether a transition is allowed right now
+     */
+    can(to) {
+        const config = this.states[this.state];
+        if (!config || !config.to.includes(to)) {
+            return false;
+        }
+        return this.elapsed >= (config.minDuration || 0);
+    }
+
+    /**
+     * Move to another state if allowed
+     * @returns {boolean} Whether the transition happened
+     */
+    transition(to) {
+        if (!this.can(to)) {
+            return false;
+        }
+
+        const from = this.state;
+        this.emit(`exit:${from}`, { from, to });
+
+        this.previousState = from;
+        this.state = to;
+        this.elapsed = 0;
+        this.readyFired = false;
+
+        this.emit(`enter:${to}`, { from, to });
+        this.emit('change', { from, to });
+        return true;
+    }
+
+    /**
+     * Advance time in the current state, firing ready events and timeouts
+     * @param {number} deltaTime - Milliseconds
+     */
+    update(deltaTime) {
+        this.elapsed += deltaTime;
+
+        const config = this.states[this.state];
+        if (!config) return;
+
+        if (!this.readyFired && this.elapsed >= (config.minDuration || 0)) {
+            this.readyFired = true;
+            this.emit(`ready:${this.state}`, { state: this.state });
+        }
+
+        if (config.duration !== undefined && this.elapsed >= config.duration) {
+            this.transition(config.next);
+        }
+    }
+
+    /**
+     * Time left before a timed state moves on by itself (0 if untimed)
+     */
+    timeRemaining() {
+        const config = this.states[this.state];
+        if (!config || config.duration === undefined) {
+            return 0;
+        }
+        return Math.max(0, config.duration - this.elapsed);
+    }
+}
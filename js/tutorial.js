@@ -0,0 +1,286 @@
+/**
+ * Tutorial lessons
+ * New players work through these in the tutorial mode (TutorialMode in
+ * modes.js): the two ends of a push-up with nothing in the way, then full
+ * reps, then gaps at each height. Crashes don't end anything; a lesson
+ * carries on until its goal is met. Finishing them unlocks the other modes.
+ */
+
+import { RepPhase } from './reps.js';
+
+const STORAGE_KEY = 'flappyPushupTutorial';
+
+// How long the "done" message stays up after a lesson (ms of play)
+const PRAISE_MS = 1500;
+
+// Time between a lesson's obstacles (ms)
+const LESSON_INTERVAL = 2500;
+
+/**
+ * Lesson goals:
+ *   hold  keep the shoulders at the top or bottom of the push-up (zone) for
+ *         duration ms, as the rep counter judges those
+ *   reps  do count clean reps
+ *   gaps  get through count obstacles of a course section (see course.js)
+ */
+export const TUTORIAL_LESSONS = [
+    {
+        title: 'Lock out',
+        instruction: 'Straighten your arms and the bottle rises',
+        goal: 'hold',
+        zone: 'top',
+        duration: 1500
+    },
+    {
+        title: 'Go low',
+        instruction: 'Lower your chest to the floor and the bottle drops',
+        goal: 'hold',
+        zone: 'bottom',
+        duration: 1500
+    },
+    {
+        title: 'Full push-ups',
+        instruction: 'Do 3 push-ups, all the way down and back up',
+        goal: 'reps',
+        count: 3
+    },
+    {
+        title: 'High gaps',
+        instruction: 'Stay locked out to fly through',
+        goal: 'gaps',
+        count: 2,
+        section: { type: 'pipe', gap: 260, position: 0.1 }
+    },
+    {
+        title: 'Low gaps',
+        instruction: 'Stay down low to fly through',
+        goal: 'gaps',
+        count: 2,
+        section: { type: 'pipe', gap: 260, position: 0.9 }
+    },
+    {
+        title: 'Follow the gaps',
+        instruction: 'One push-up for each pair of gaps',
+        goal: 'gaps',
+        count: 4,
+        section: { type: 'pipe', gap: 240, position: 'alternate' }
+    },
+    {
+        title: 'Hold the plank',
+        instruction: 'Stay at the bottom until you are out from under the roof',
+        goal: 'gaps',
+        count: 1,
+        section: { type: 'tunnel', hold: 3000, position: 0.5 }
+    }
+];
+
+/**
+ * Progress through the lessons during one run
+ */
+export class Tutorial {
+    /**
+     * @param {Object[]} [lessons] - Defaults to TUTORIAL_LESSONS
+     */
+    constructor(lessons = TUTORIAL_LESSONS) {
+        this.lessons = lessons;
+        this.reset();
+    }
+
+    reset() {
+        this.index = 0;
+        this.start = null;      // Game counts when the current lesson began
+        this.holdStart = null;  // Play time the player got into a hold lesson's zone
+        this.spawned = 0;       // Obstacles put out for the current lesson
+        this.praise = null;     // Last lesson finished, shown until praiseUntil
+        this.praiseUntil = 0;
+    }
+
+    get lesson() {
+        return this.lessons[this.index] ?? null;
+    }
+
+    get finished() {
+        return this.index >= this.lessons.length;
+    }
+
+    /**
+     * Called every playing tick: move on once the lesson's goal is met
+     */
+    update(game) {
+        const lesson = this.lesson;
+        if (!lesson) return;
+
+        if (!this.start) {
+            this.start = { reps: game.reps, pipesPassed: game.pipesPassed };
+            this.holdStart = null;
+            this.spawned = 0;
+        }
+
+        if (this.isLessonDone(lesson, game)) {
+            this.praise = lesson.title;
+            this.praiseUntil = game.playTime + PRAISE_MS;
+            this.index++;
+            this.start = null;
+        }
+    }
+
+    isLessonDone(lesson, game) {
+        switch (lesson.goal) {
+            case 'hold': {
+                const [top, bottom] = this.getZone(lesson.zone, game);
+                const y = game.poseInput;
+                if (y === null || y < top || y > bottom) {
+                    this.holdStart = null;
+                    return false;
+                }
+                this.holdStart ??= game.playTime;
+                return game.playTime - this.holdStart >= lesson.duration;
+            }
+            case 'reps':
+                return game.reps - this.start.reps >= lesson.count;
+            case 'gaps':
+                return game.pipesPassed - this.start.pipesPassed >= lesson.count;
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Normalized [top, bottom] of the top or bottom of a push-up
+     */
+    getZone(zone, game) {
+        return zone === 'top' ? [0, game.repCounter.topThreshold] : [game.repCounter.bottomThreshold, 1];
+    }
+
+    /**
+     * Next obstacle for a gaps lesson, as a course entry (see expandCourse()),
+     * or null if none is due. Only as many are out as are still needed, and
+     * one that was crashed into is replaced.
+     */
+    nextObstacle(game) {
+        const lesson = this.lesson;
+        if (!lesson || lesson.goal !== 'gaps' || !this.start) {
+            return null;
+        }
+
+        const passed = game.pipesPassed - this.start.pipesPassed;
+        const inPlay = game.pipes.filter(pipe => !pipe.passed && !pipe.hit).length;
+        if (passed + inPlay >= lesson.count) {
+            return null;
+        }
+
+        const section = lesson.section;
+        const position = section.position === 'alternate' ? this.spawned % 2 : section.position;
+        this.spawned++;
+
+        return {
+            type: section.type,
+            interval: LESSON_INTERVAL,
+            gap: section.gap ?? null,
+            position,
+            hold: section.hold ?? null,
+            label: this.spawned === 1 ? lesson.title : null
+        };
+    }
+
+    /**
+     * What to show the player: the lesson, a cue from their live shoulder
+     * height ("Go lower", "Lock out") and the normalized [top, bottom] band
+     * they should be in, for the depth gauge, which spans the world Ys
+     * (reach) that the top and bottom of a push-up steer the bottle to
+     * @returns {Object} {lesson, lessons, title, instruction, cue, y, target, reach, praise}
+     */
+    getCoaching(game) {
+        const lesson = this.lesson;
+        const target = lesson ? this.getTarget(lesson, game) : null;
+
+        return {
+            lesson: Math.min(this.index + 1, this.lessons.length),
+            lessons: this.lessons.length,
+            title: lesson?.title ?? null,
+            instruction: lesson?.instruction ?? null,
+            cue: target ? getCue(game.poseInput, target) : null,
+            y: game.poseInput,
+            target,
+            reach: [game.poseToWorldY(0), game.poseToWorldY(1)],
+            praise: game.playTime < this.praiseUntil ? this.praise : null
+        };
+    }
+
+    /**
+     * Band the shoulders should be in right now, null if anywhere will do
+     */
+    getTarget(lesson, game) {
+        if (lesson.goal === 'hold') {
+            return this.getZone(lesson.zone, game);
+        }
+        if (lesson.goal === 'reps') {
+            // Lock out to start, down to the bottom, then back up and stay
+            // there until the form check has seen the arms straighten
+            const phase = game.repCounter.phase;
+            const goingUp = phase === RepPhase.UNKNOWN || phase === RepPhase.BOTTOM ||
+                phase === RepPhase.ASCENDING || game.formAnalyzer.pendingRep !== null;
+            return this.getZone(goingUp ? 'top' : 'bottom', game);
+        }
+        return this.getGapTarget(game);
+    }
+
+    /**
+     * Band that takes the bottle through the next gap ahead of it
+     */
+    getGapTarget(game) {
+        const bird = game.bird;
+        const columns = game.pipes
+            .filter(pipe => !pipe.hit)
+            .flatMap(pipe => pipe.getColumns().map(column => ({ ...column, x: pipe.x + column.offset })))
+            .filter(column => column.x + column.width > bird.x - bird.radius)
+            .sort((a, b) => a.x - b.x);
+        const column = columns[0];
+        if (!column) {
+            return null;
+        }
+
+        // Keep the whole bottle inside the gap
+        const top = game.worldToPoseY(column.gapTop + bird.radius * 2);
+        const bottom = game.worldToPoseY(column.gapBottom - bird.radius * 2);
+        const clamp = y => Math.max(0, Math.min(1, y));
+        return top <= bottom ? [clamp(top), clamp(bottom)] : [clamp((top + bottom) / 2), clamp((top + bottom) / 2)];
+    }
+}
+
+/**
+ * Cue that moves normalized shoulder height y into the target band
+ */
+function getCue(y, [top, bottom]) {
+    if (y === null || y === undefined) {
+        return 'Get back in frame';
+    }
+    if (y < top) {
+        return 'Go lower';
+    }
+    if (y > bottom) {
+        return 'Lock out';
+    }
+    return 'Hold it there';
+}
+
+/**
+ * Whether the player has finished the tutorial (players from before it
+ * existed, with a saved high score, count as having done it)
+ */
+export function loadTutorialDone() {
+    try {
+        return localStorage.getItem(STORAGE_KEY) === 'done' ||
+            localStorage.getItem('flappyPushupHighScore') !== null;
+    } catch {
+        return true;
+    }
+}
+
+export function saveTutorialDone() {
+    try {
+        localStorage.setItem(STORAGE_KEY, 'done');
+    } catch {
+        // Ignore storage errors
+    }
+}
@@ -0,0 +1,67 @@
+/**
+ * Guided calibration (js/calibration.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CalibrationSession, CalibrationStatus } from '../js/calibration.js';
+
+const FRAME_MS = 100;
+
+/**
+ * Hold a shoulder Y (or a function of the frame index) for duration ms
+ */
+function hold(session, y, duration, visible = true) {
+    for (let i = 0; i < duration / FRAME_MS; i++) {
+        session.update(typeof y === 'function' ? y(i) : y, FRAME_MS, visible);
+    }
+    return session.status;
+}
+
+test('holding the top then the bottom gives the range between them', () => {
+    const session = new CalibrationSession();
+    hold(session, (i) => 0.3 + (i % 3) * 0.005, 3000);
+    assert.equal(session.getStatus().step, 2);
+
+    assert.equal(hold(session, 0.6, 3000), CalibrationStatus.DONE);
+    assert.deepEqual(session.getResult(), { minShoulderY: 0.305, maxShoulderY: 0.6 });
+});
+
+test('moving restarts the hold', () => {
+    const session = new CalibrationSession();
+    hold(session, 0.3, 2000);
+    hold(session, 0.4, FRAME_MS);
+    assert.equal(session.getStatus().progress, 0);
+
+    hold(session, 0.4, 2000);
+    assert.equal(session.getStatus().step, 1);
+});
+
+test('leaving the frame restarts the hold', () => {
+    const session = new CalibrationSession();
+    hold(session, 0.3, 2500);
+    hold(session, 0.3, FRAME_MS, false);
+    hold(session, 0.3, 500);
+
+    assert.equal(session.getStatus().step, 1);
+    assert.ok(session.getStatus().progress < 0.5);
+});
+
+test('too small a range starts over with a message', () => {
+    const session = new CalibrationSession();
+    hold(session, 0.3, 3000);
+    assert.equal(hold(session, 0.35, 3000), CalibrationStatus.IN_PROGRESS);
+
+    assert.equal(session.getResult(), null);
+    assert.equal(session.getStatus().step, 1);
+    assert.match(session.getStatus().message, /too small/);
+});
+
+test('nothing changes once done', () => {
+    const session = new CalibrationSession();
+    hold(session, 0.3, 3000);
+    hold(session, 0.6, 3000);
+    hold(session, 0.9, 3000);
+
+    assert.deepEqual(session.getResult(), { minShoulderY: 0.3, maxShoulderY: 0.6 });
+});
@@ -0,0 +1,145 @@
+/**
+ * Friend challenge links (js/challenge.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createChallengeUrl, parseChallenge, getChallengeResult } from '../js/challenge.js';
+import { resolveDifficulty } from '../js/difficulty.js';
+import { Ghost } from '../js/ghost.js';
+import { createHeadlessGame } from '../js/simulation.js';
+import { FIXED_TIMESTEP_MS } from '../js/game.js';
+
+const BASE_URL = 'https://example.com/flappy/index.html?replay=old.json';
+
+const paramsOf = (url) => new URL(url).searchParams;
+
+/**
+ * Play a run with full push-ups every period ms and list the obstacles it spawned
+ * @param {number} [seed] - Course seed, if not the game's own choice
+ */
+function playReps(game, period, seed) {
+    const obstacles = [];
+    game.on('pipeSpawned', ({ pipe }) => {
+        obstacles.push({ type: pipe.type, width: pipe.width, gapTop: pipe.gapTop, gapBottom: pipe.gapBottom });
+    });
+
+    game.start(seed);
+    for (let time = 0; time < 60000 && game.isRunActive(); time += FIXED_TIMESTEP_MS) {
+        const y = 0.5 - 0.45 * Math.cos(2 * Math.PI * time / period);
+        game.setBirdTargetFromPose(y, { elbowAngle: 180 - 120 * y, bodyAngle: 180 });
+        game.update(FIXED_TIMESTEP_MS);
+    }
+    return obstacles;
+}
+
+function createRun(overrides = {}) {
+    return {
+        seed: 123456,
+        mode: 'timed',
+        difficulty: resolveDifficulty('hard'),
+        controls: 'flap',
+        name: 'Alex',
+        score: 23,
+        ...overrides
+    };
+}
+
+test('a link round-trips the course, name and score', () => {
+    const url = createChallengeUrl(BASE_URL, createRun());
+    const challenge = parseChallenge(paramsOf(url));
+
+    assert.equal(paramsOf(url).has('replay'), false);
+    assert.deepEqual(challenge, {
+        seed: 123456, mode: 'timed', preset: 'hard', custom: {}, controls: 'flap', name: 'Alex', score: 23, ghost: null
+    });
+});
+
+test('custom difficulty values ride along', () => {
+    const difficulty = resolveDifficulty('custom', { pipeSpeed: 7.5, lives: 3 });
+    const challenge = parseChallenge(paramsOf(createChallengeUrl(BASE_URL, createRun({ difficulty }))));
+
+    assert.equal(challenge.preset, 'custom');
+    assert.equal(resolveDifficulty(challenge.preset, challenge.custom).pipeSpeed, 7.5);
+    assert.equal(resolveDifficulty(challenge.preset, challenge.custom).lives, 3);
+});
+
+test('the ghost survives the trip', () => {
+    const samples = Array.from({ length: 50 }, (_, i) => [300 + i * 3, Math.floor(i / 10)]);
+    const ghost = new Ghost({ seed: 123456, score: 4, samples });
+    const challenge = parseChallenge(paramsOf(createChallengeUrl(BASE_URL, createRun({ ghost }))));
+
+    assert.equal(challenge.ghost.name, 'Alex');
+    assert.equal(challenge.ghost.samples.length, samples.length);
+    assert.deepEqual(challenge.ghost.samples[49], [447, 4]);
+});
+
+test('links without a usable seed or score are not challenges', () => {
+    assert.equal(parseChallenge(new URLSearchParams('')), null);
+    assert.equal(parseChallenge(new URLSearchParams('seed=abc&score=3')), null);
+    assert.equal(parseChallenge(new URLSearchParams('seed=1&score=-2')), null);
+    assert.equal(parseChallenge(new URLSearchParams('seed=1.5&score=2')), null);
+});
+
+test('unknown settings fall back to the defaults', () => {
+    const challenge = parseChallenge(new URLSearchParams('seed=1&score=2&mode=nope&preset=nope&controls=nope&custom={'));
+
+    assert.equal(challenge.mode, 'endless');
+    assert.equal(challenge.preset, 'normal');
+    assert.equal(challenge.controls, 'direct');
+    assert.deepEqual(challenge.custom, {});
+    assert.equal(challenge.name, 'Your friend');
+});
+
+test('links can\'t open the tutorial', () => {
+    assert.equal(parseChallenge(new URLSearchParams('seed=1&score=2&mode=tutorial')).mode, 'endless');
+});
+
+test('long names are cut short', () => {
+    const url = createChallengeUrl(BASE_URL, createRun({ name: 'A'.repeat(50) }));
+
+    assert.equal(parseChallenge(paramsOf(url)).name, 'A'.repeat(20));
+});
+
+test('getChallengeResult() compares against the challenger', () => {
+    const challenge = { score: 10 };
+
+    assert.equal(getChallengeResult(challenge, 11), 'won');
+    assert.equal(getChallengeResult(challenge, 9), 'lost');
+    assert.equal(getChallengeResult(challenge, 10), 'tied');
+});
+
+test('the friend plays the challenger\'s course', () => {
+    const challenger = createHeadlessGame();
+    challenger.setDifficulty(resolveDifficulty('easy'));
+    const challengerObstacles = playReps(challenger, 1500, 42);
+    challenger.score = 1;  // The scripted reps don't get through any gaps
+    assert.equal(challenger.canChallenge(), true);
+
+    const url = createChallengeUrl(BASE_URL, createRun({
+        seed: challenger.seed,
+        mode: challenger.mode.id,
+        difficulty: challenger.difficulty,
+        controls: challenger.controls.id
+    }));
+    const challenge = parseChallenge(paramsOf(url));
+    const friend = createHeadlessGame();
+    friend.setMode(challenge.mode);
+    friend.setDifficulty(resolveDifficulty(challenge.preset, challenge.custom));
+    friend.setControls(challenge.controls);
+    friend.setChallenge({ seed: challenge.seed, name: challenge.name, score: challenge.score });
+    const friendObstacles = playReps(friend, 3000);
+
+    const shared = Math.min(challengerObstacles.length, friendObstacles.length);
+    assert.ok(shared >= 3);
+    assert.deepEqual(friendObstacles.slice(0, shared), challengerObstacles.slice(0, shared));
+});
+
+test('runs the director shaped can\'t be sent as challenges', () => {
+    const game = createHeadlessGame();
+    game.raceGhost = false;
+    playReps(game, 1500, 42);
+    game.score = 1;
+
+    assert.equal(game.canChallenge(), false);
+});
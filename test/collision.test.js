@@ -0,0 +1,78 @@
+/**
+ * Collision geometry (js/collision.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    PIPE_CAP, shape, roundedRect, circle, shapesOverlap, hitboxesOverlap,
+    getBottleHitbox, getColumnHitboxes
+} from '../js/collision.js';
+
+test('rectangles overlap only when they share area', () => {
+    const a = shape(0, 0, 10, 10);
+
+    assert.equal(shapesOverlap(a, shape(5, 5, 15, 15)), true);
+    assert.equal(shapesOverlap(a, shape(10, 0, 20, 10)), false);
+    assert.equal(shapesOverlap(a, shape(11, 0, 20, 10)), false);
+});
+
+test('circles touch by distance between centres', () => {
+    assert.equal(shapesOverlap(circle(0, 0, 5), circle(9, 0, 5)), true);
+    assert.equal(shapesOverlap(circle(0, 0, 5), circle(10, 0, 5)), false);
+});
+
+test('rounded corners miss what square corners would hit', () => {
+    const box = roundedRect(0, 0, 20, 20, 10);
+    const nearCorner = circle(-0.5, -0.5, 1);
+
+    assert.equal(shapesOverlap(roundedRect(0, 0, 20, 20), nearCorner), true);
+    assert.equal(shapesOverlap(box, nearCorner), false);
+    assert.equal(shapesOverlap(box, circle(10, -0.5, 1)), true);
+});
+
+test('roundedRect() keeps the radius within the outline', () => {
+    assert.deepEqual(roundedRect(0, 0, 10, 4, 10), shape(2, 2, 8, 2, 2));
+});
+
+test('hitboxesOverlap() checks every pair', () => {
+    const bottle = [circle(0, 0, 1), circle(100, 0, 1)];
+
+    assert.equal(hitboxesOverlap(bottle, [circle(100, 1.5, 1)]), true);
+    assert.equal(hitboxesOverlap(bottle, [circle(50, 0, 1)]), false);
+});
+
+test('forgiveness shrinks the bottle on every side', () => {
+    const bird = { x: 100, y: 100, radius: 25 };
+    const [body] = getBottleHitbox(bird);
+    const [forgiven] = getBottleHitbox(bird, 5);
+
+    assert.equal(forgiven.left - body.left, 5);
+    assert.equal(body.right - forgiven.right, 5);
+    assert.equal(forgiven.top - body.top, 5);
+    assert.equal(body.bottom - forgiven.bottom, 5);
+});
+
+test('the bottle scales with the bird radius', () => {
+    const [small] = getBottleHitbox({ x: 0, y: 0, radius: 25 });
+    const [large] = getBottleHitbox({ x: 0, y: 0, radius: 50 });
+
+    assert.equal(large.right - large.left + large.radius * 2, (small.right - small.left + small.radius * 2) * 2);
+});
+
+test('a bottle in the middle of a gap clears its column', () => {
+    const column = { width: 80, gapTop: 200, gapBottom: 400 };
+    const pipes = getColumnHitboxes(100, column).map(hitbox => hitbox.shape);
+
+    assert.equal(hitboxesOverlap(getBottleHitbox({ x: 140, y: 300, radius: 25 }), pipes), false);
+    assert.equal(hitboxesOverlap(getBottleHitbox({ x: 140, y: 220, radius: 25 }), pipes), true);
+});
+
+test('pipe caps stick out past the pipe', () => {
+    const column = { width: 80, gapTop: 200, gapBottom: 400 };
+    const bottle = getBottleHitbox({ x: 100 - 25 - PIPE_CAP.overhang / 2, y: 200, radius: 25 });
+
+    assert.equal(getColumnHitboxes(100, column).length, 4);
+    assert.equal(hitboxesOverlap(bottle, getColumnHitboxes(100, column, false).map(h => h.shape)), false);
+    assert.equal(hitboxesOverlap(bottle, getColumnHitboxes(100, column).map(h => h.shape)), true);
+});
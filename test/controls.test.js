@@ -0,0 +1,92 @@
+/**
+ * Control schemes (js/controls.js): steering vs flapping
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createControlScheme, FlapControl } from '../js/controls.js';
+import { resolveDifficulty } from '../js/difficulty.js';
+import { GameState, FIXED_TIMESTEP_MS } from '../js/game.js';
+import { createHeadlessGame } from '../js/simulation.js';
+
+/**
+ * Game on the given controls, just past its countdown
+ */
+function createPlayingGame(controls) {
+    const game = createHeadlessGame();
+    game.setControls(controls);
+    game.start(1);
+    while (game.state !== GameState.PLAYING) {
+        pose(game, 0.1, FIXED_TIMESTEP_MS);
+    }
+    return game;
+}
+
+/**
+ * Hold a shoulder height (with matching elbow bend) for duration ms
+ */
+function pose(game, y, duration) {
+    for (let time = 0; time < duration; time += FIXED_TIMESTEP_MS) {
+        game.setBirdTargetFromPose(y, { elbowAngle: 180 - 120 * y, bodyAngle: 90 });
+        game.update(FIXED_TIMESTEP_MS);
+    }
+}
+
+test('direct steering follows the shoulders', () => {
+    const game = createPlayingGame('direct');
+    pose(game, 0.8, 1000);
+
+    assert.ok(Math.abs(game.bird.y - game.poseToWorldY(0.8)) < 1);
+});
+
+test('flapping hovers mid-screen until the first rep', () => {
+    const game = createPlayingGame('flap');
+    pose(game, 0.5, 1000);
+
+    assert.ok(Math.abs(game.bird.y - game.height / 2) < 1);
+    assert.equal(game.bird.velocity, 0);
+});
+
+test('a full rep flaps the bottle up, then it falls', () => {
+    const game = createPlayingGame('flap');
+    const start = game.bird.y;
+    pose(game, 0.9, 600);
+    pose(game, 0.5, FIXED_TIMESTEP_MS);
+    pose(game, 0.1, FIXED_TIMESTEP_MS);
+    assert.ok(game.bird.velocity < 0);
+
+    pose(game, 0.1, 500);
+    assert.ok(game.bird.y < start - 50);
+
+    pose(game, 0.1, 2000);
+    assert.ok(game.bird.y > start);
+});
+
+test('half reps don\'t flap', () => {
+    const game = createPlayingGame('flap');
+    pose(game, 0.5, 600);
+    pose(game, 0.1, 500);
+
+    assert.ok(Math.abs(game.bird.y - game.height / 2) < 1);
+});
+
+test('flapping comes with a roomier, slower course', () => {
+    const normal = resolveDifficulty('normal');
+    const tuned = new FlapControl().tuneDifficulty(normal);
+
+    assert.ok(tuned.pipeGap > normal.pipeGap);
+    assert.ok(tuned.pipeSpeed < normal.pipeSpeed);
+    assert.deepEqual(createControlScheme('direct').tuneDifficulty(normal), normal);
+});
+
+test('each scheme has its own board', () => {
+    const game = createHeadlessGame();
+    assert.equal(game.getBoard(), 'endless:normal');
+
+    game.setControls('flap');
+    assert.equal(game.getBoard(), 'endless:normal:flap');
+});
+
+test('unknown schemes fall back to direct steering', () => {
+    assert.equal(createControlScheme('nope').id, 'direct');
+});
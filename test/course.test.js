@@ -0,0 +1,71 @@
+/**
+ * Scripted courses (js/course.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { COURSE_VERSION, createExampleCourse, parseCourse, expandCourse, serializeCourse } from '../js/course.js';
+import { runScript } from '../js/simulation.js';
+
+const withSection = (section) => ({ sections: [section] });
+
+test('defaults are filled in', () => {
+    const course = parseCourse({ sections: [{}] });
+
+    assert.deepEqual(course, {
+        version: COURSE_VERSION,
+        name: 'Untitled course',
+        mode: null,
+        difficulty: null,
+        sections: [{ label: '', type: 'pipe', count: 1, interval: null, gap: null, position: 0.5, hold: null }]
+    });
+    assert.equal(parseCourse(withSection({ type: 'tunnel' })).sections[0].hold, 2000);
+});
+
+test('bad courses are refused with the reason', () => {
+    assert.throws(() => parseCourse(null), /list of sections/);
+    assert.throws(() => parseCourse({ sections: [] }), /at least one section/);
+    assert.throws(() => parseCourse({ version: COURSE_VERSION + 1, sections: [{}] }), /newer version/);
+    assert.throws(() => parseCourse({ mode: 'nope', sections: [{}] }), /Unknown mode "nope"/);
+    assert.throws(() => parseCourse({ mode: 'tutorial', sections: [{}] }), /Unknown mode "tutorial"/);
+    assert.throws(() => parseCourse({ difficulty: 'custom', sections: [{}] }), /Unknown difficulty "custom"/);
+    assert.throws(() => parseCourse({ sections: [{}, 'pipe'] }), /Section 2 isn't an object/);
+    assert.throws(() => parseCourse(withSection({ type: 'wall' })), /Section 1: unknown obstacle type "wall"/);
+    assert.throws(() => parseCourse(withSection({ position: 2 })), /Section 1: position/);
+    assert.throws(() => parseCourse(withSection({ interval: 100 })), /Section 1: interval must be from 800 to 20000 ms/);
+    assert.throws(() => parseCourse(withSection({ gap: '200' })), /Section 1: gap must be from 120 to 500 units/);
+    assert.throws(() => parseCourse({ sections: Array(6).fill({ count: 100 }) }), /at most 500 obstacles/);
+});
+
+test('names and labels are trimmed and cut short', () => {
+    const course = parseCourse({ name: `  ${'x'.repeat(60)}`, sections: [{ label: ' Warm up ' }] });
+
+    assert.equal(course.name, 'x'.repeat(40));
+    assert.equal(course.sections[0].label, 'Warm up');
+});
+
+test('expandCourse() gives one entry per obstacle', () => {
+    const entries = expandCourse(parseCourse(createExampleCourse()));
+
+    assert.equal(entries.length, 21);
+    assert.deepEqual(entries.slice(0, 3).map(entry => entry.position), [0, 1, 0]);
+    assert.deepEqual(entries.filter(entry => entry.label).map(entry => entry.label),
+        ['10 slow reps', '20 second plank', '10 fast reps']);
+    assert.deepEqual(entries[10], {
+        type: 'tunnel', interval: null, gap: null, position: 0.5, hold: 20000, label: '20 second plank'
+    });
+});
+
+test('a serialized course parses back the same', () => {
+    const course = parseCourse({ ...createExampleCourse(), mode: 'timed', difficulty: 'easy' });
+
+    assert.deepEqual(parseCourse(JSON.parse(serializeCourse(course))), course);
+});
+
+test('a course run is complete once its last obstacle is passed', () => {
+    const course = { name: 'Short', sections: [{ count: 3, interval: 1500, position: 0.5 }] };
+    const report = runScript({ seed: 1, course, inputs: [{ at: 0, y: 0.5 }], maxTime: 60000 });
+
+    assert.equal(report.completed, true);
+    assert.equal(report.pipesPassed, 3);
+});
@@ -0,0 +1,100 @@
+/**
+ * Adaptive difficulty director (js/director.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Director } from '../js/director.js';
+
+/**
+ * Feed count complete reps of the given shape, one every duration ms from start
+ * @returns {number} Time the last one ended
+ */
+function addReps(director, count, { start = 0, duration = 1000, minY = 0.1, maxY = 0.9 } = {}) {
+    let time = start;
+    for (let i = 0; i < count; i++) {
+        time += duration;
+        director.addRep({ complete: true, endTime: time, duration, minY, maxY, amplitude: maxY - minY });
+    }
+    return time;
+}
+
+const NEUTRAL = { gapScale: 1, spawnScale: 1, spread: 1, reach: { top: 0, bottom: 1 } };
+
+test('nothing changes before the baseline reps are in', () => {
+    const director = new Director({ adaptivity: 1 });
+    const time = addReps(director, 2);
+
+    assert.equal(director.baseline, null);
+    assert.equal(director.getIntensity(time), 0);
+});
+
+test('half reps are ignored', () => {
+    const director = new Director();
+    director.addRep({ complete: false, endTime: 100, duration: 100, minY: 0.1, maxY: 0.5, amplitude: 0.4 });
+
+    assert.deepEqual(director.reps, []);
+});
+
+test('fresh reps push harder, scaled by adaptivity', () => {
+    const full = new Director({ adaptivity: 1 });
+    const half = new Director({ adaptivity: 0.5 });
+    const time = addReps(full, 3);
+    addReps(half, 3);
+
+    assert.equal(full.getIntensity(time), 1);
+    assert.equal(half.getIntensity(time), 0.5);
+    assert.ok(full.getAdjustments(time).gapScale < 1);
+    assert.ok(full.getAdjustments(time).spawnScale < 1);
+});
+
+test('slowing down eases off', () => {
+    const director = new Director({ adaptivity: 1 });
+    const time = addReps(director, 3, { duration: 1000 });
+    const slow = addReps(director, 5, { start: time, duration: 1500 });
+
+    assert.equal(director.getFatigue(slow), 1);
+    assert.equal(director.getIntensity(slow), -1);
+    assert.ok(director.getAdjustments(slow).gapScale > 1);
+});
+
+test('stopping altogether counts as fatigue', () => {
+    const director = new Director({ adaptivity: 1 });
+    const time = addReps(director, 3);
+
+    assert.equal(director.getFatigue(time + 10000), 1);
+});
+
+test('shallower reps count as fatigue', () => {
+    const director = new Director({ adaptivity: 1 });
+    const time = addReps(director, 3, { minY: 0, maxY: 1 });
+    const shallow = addReps(director, 5, { start: time, minY: 0.2, maxY: 0.6 });
+
+    assert.equal(director.getFatigue(shallow), 1);
+});
+
+test('the reach follows the positions reached lately', () => {
+    const director = new Director();
+    addReps(director, 3, { minY: 0.2, maxY: 0.7 });
+
+    assert.deepEqual(director.getReach(), { top: 0.2, bottom: 0.7 });
+
+    director.adaptivity = 0;
+    assert.deepEqual(director.getReach(), { top: 0, bottom: 1 });
+});
+
+test('a fixed course leaves every pipe as the seed has it', () => {
+    const director = new Director({ adaptivity: 1, fixedCourse: true });
+    const time = addReps(director, 3, { minY: 0.3, maxY: 0.6 });
+
+    assert.deepEqual(director.getAdjustments(time), NEUTRAL);
+    assert.notEqual(director.getIntensity(time), 0);
+});
+
+test('reset() forgets the reps and baseline', () => {
+    const director = new Director({ adaptivity: 1 });
+    const time = addReps(director, 3);
+    director.reset();
+
+    assert.deepEqual(director.getAdjustments(time), { ...NEUTRAL, spread: 0.75 });
+});
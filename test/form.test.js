@@ -0,0 +1,121 @@
+/**
+ * Push-up form analysis (js/form.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FormAnalyzer, FormIssue, computeFormMetrics } from '../js/form.js';
+
+const INDICES = {
+    LEFT_SHOULDER: 0, RIGHT_SHOULDER: 1,
+    LEFT_ELBOW: 2, RIGHT_ELBOW: 3,
+    LEFT_WRIST: 4, RIGHT_WRIST: 5,
+    LEFT_HIP: 6, RIGHT_HIP: 7
+};
+
+const sample = (elbowAngle, bodyAngle = 90) => ({ elbowAngle, bodyAngle });
+const rep = (complete = true) => ({ complete });
+
+/**
+ * One rep: down to bottomElbow, up to the top at time end, then held at
+ * lockoutElbow through the lockout window. Returns the assessment.
+ */
+function playRep(form, { start = 0, bottomElbow = 80, lockoutElbow = 170, bodyAngle = 90 } = {}) {
+    assert.equal(form.update(sample(bottomElbow, bodyAngle), start), null);
+    assert.equal(form.update(sample(lockoutElbow, bodyAngle), start + 500, rep()), null);
+    return form.update(sample(lockoutElbow, bodyAngle), start + 500 + form.lockoutWindow);
+}
+
+test('elbow angle is measured at the elbow', () => {
+    const landmarks = [];
+    landmarks[INDICES.LEFT_SHOULDER] = { x: 0, y: 0, visibility: 1 };
+    landmarks[INDICES.LEFT_ELBOW] = { x: 1, y: 0, visibility: 1 };
+    landmarks[INDICES.LEFT_WRIST] = { x: 1, y: 1, visibility: 1 };
+    landmarks[INDICES.LEFT_HIP] = { x: -2, y: 0, visibility: 0 };
+    for (const key of ['RIGHT_SHOULDER', 'RIGHT_ELBOW', 'RIGHT_WRIST', 'RIGHT_HIP']) {
+        landmarks[INDICES[key]] = { x: 0, y: 0, visibility: 0 };
+    }
+
+    const { elbowAngle, bodyAngle } = computeFormMetrics(landmarks, INDICES);
+    assert.ok(Math.abs(elbowAngle - 90) < 1e-9);
+    assert.equal(bodyAngle, null);
+});
+
+test('a deep, locked-out rep with a straight body is clean', () => {
+    const assessment = playRep(new FormAnalyzer());
+
+    assert.equal(assessment.clean, true);
+    assert.deepEqual(assessment.issues, []);
+    assert.equal(assessment.minElbowAngle, 80);
+});
+
+test('shallow reps and missed lockouts are flagged', () => {
+    assert.deepEqual(playRep(new FormAnalyzer(), { bottomElbow: 120 }).issues, [FormIssue.SHALLOW]);
+    assert.deepEqual(playRep(new FormAnalyzer(), { lockoutElbow: 140 }).issues, [FormIssue.NO_LOCKOUT]);
+});
+
+test('sagging and piked hips are flagged', () => {
+    assert.deepEqual(playRep(new FormAnalyzer(), { bodyAngle: 50 }).issues, [FormIssue.HIPS_SAGGING]);
+    assert.deepEqual(playRep(new FormAnalyzer(), { bodyAngle: 140 }).issues, [FormIssue.HIPS_PIKED]);
+});
+
+test('arms straightened within the lockout window count', () => {
+    const form = new FormAnalyzer();
+    form.update(sample(80), 0);
+    form.update(sample(140), 500, rep());
+    form.update(sample(170), 700);
+    const assessment = form.update(sample(170), 500 + form.lockoutWindow);
+
+    assert.equal(assessment.clean, true);
+    assert.equal(assessment.lockoutElbowAngle, 170);
+});
+
+test('half reps are judged straight away', () => {
+    const form = new FormAnalyzer();
+    form.update(sample(130), 0);
+    const assessment = form.update(sample(170), 300, rep(false));
+
+    assert.deepEqual(assessment.issues, [FormIssue.HALF_REP]);
+});
+
+test('samples taken while a rep waits for its lockout carry over to the next rep', () => {
+    const form = new FormAnalyzer();
+    form.update(sample(80), 0);
+    form.update(sample(170), 500, rep());
+
+    // Straight back down before the lockout window is up
+    form.update(sample(85), 700);
+    const first = form.update(sample(170), 900, rep());
+    assert.equal(first.clean, true);
+
+    const second = form.update(sample(170), 900 + form.lockoutWindow);
+    assert.equal(second.minElbowAngle, 85);
+    assert.equal(second.clean, true);
+});
+
+test('a half rep ending as a pending rep is judged comes out on the next sample', () => {
+    const form = new FormAnalyzer();
+    form.update(sample(80), 0);
+    form.update(sample(170), 500, rep());
+
+    // Only part way down and back before the lockout window is up
+    form.update(sample(130), 700);
+    const first = form.update(sample(170), 900, rep(false));
+    assert.equal(first.rep.complete, true);
+    assert.equal(first.clean, true);
+
+    const second = form.update(sample(170), 950);
+    assert.equal(second.rep.complete, false);
+    assert.deepEqual(second.issues, [FormIssue.HALF_REP]);
+    assert.equal(second.minElbowAngle, 130);
+    assert.equal(form.update(sample(170), 1000), null);
+});
+
+test('reset() forgets a pending rep', () => {
+    const form = new FormAnalyzer();
+    form.update(sample(80), 0);
+    form.update(sample(170), 500, rep());
+    form.reset();
+
+    assert.equal(form.update(sample(170), 5000), null);
+});
@@ -0,0 +1,122 @@
+/**
+ * Personal-best ghosts (js/ghost.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Ghost, encodeGhost, decodeGhost, loadGhost, saveGhost } from '../js/ghost.js';
+import { MemoryStorage } from '../js/platform.js';
+import { createHeadlessGame } from '../js/simulation.js';
+import { FIXED_TIMESTEP_MS } from '../js/game.js';
+
+/**
+ * Bottle steered through the middle of the next gap
+ */
+function followGaps(game) {
+    const pipe = game.pipes.find(p => !p.hit && p.x + p.width > game.bird.x - game.bird.radius);
+    if (!pipe || pipe.gapTop === undefined) {
+        return 0.5;
+    }
+    const top = game.poseToWorldY(0);
+    const bottom = game.poseToWorldY(1);
+    return Math.max(0, Math.min(1, ((pipe.gapTop + pipe.gapBottom) / 2 - top) / (bottom - top)));
+}
+
+/**
+ * Full push-ups, one every period ms, whatever the pipes do
+ */
+const repEvery = (period) => (game, time) => 0.5 - 0.45 * Math.cos(2 * Math.PI * time / period);
+
+/**
+ * Play a run started by start() and list the obstacles it spawned
+ */
+function playRun(game, position, start) {
+    const obstacles = [];
+    game.on('pipeSpawned', ({ pipe }) => {
+        obstacles.push({ type: pipe.type, width: pipe.width, gapTop: pipe.gapTop, gapBottom: pipe.gapBottom });
+    });
+
+    start();
+    for (let time = 0; time < 60000 && game.isRunActive(); time += FIXED_TIMESTEP_MS) {
+        const y = position(game, time);
+        game.setBirdTargetFromPose(y, { elbowAngle: 180 - 120 * y, bodyAngle: 180 });
+        game.update(FIXED_TIMESTEP_MS);
+    }
+    return obstacles;
+}
+
+const createGhost = (length) => new Ghost({
+    seed: 9,
+    score: Math.floor((length - 1) / 10),
+    samples: Array.from({ length }, (_, i) => [300 + (i % 50) * 3, Math.floor(i / 10)])
+});
+
+test('frames are interpolated between samples', () => {
+    const ghost = new Ghost({ seed: 1, score: 1, sampleMs: 100, samples: [[100, 0], [200, 1]] });
+
+    assert.deepEqual(ghost.getFrame(50), { y: 150, score: 0 });
+    assert.deepEqual(ghost.getFrame(100), { y: 200, score: 1 });
+    assert.equal(ghost.getFrame(101), null);
+});
+
+test('encoding keeps heights to a few units and scores exactly', () => {
+    const ghost = createGhost(200);
+    const decoded = decodeGhost(encodeGhost(ghost), { seed: 9, score: ghost.score, name: 'Sam' });
+
+    assert.equal(decoded.name, 'Sam');
+    assert.equal(decoded.sampleMs, ghost.sampleMs);
+    assert.equal(decoded.samples.length, ghost.samples.length);
+    decoded.samples.forEach(([y, score], i) => {
+        assert.ok(Math.abs(y - ghost.samples[i][0]) <= 3);
+        assert.equal(score, ghost.samples[i][1]);
+    });
+});
+
+test('long runs are thinned to fit a link', () => {
+    const ghost = createGhost(4000);
+    const decoded = decodeGhost(encodeGhost(ghost), { seed: 9, score: ghost.score });
+
+    assert.ok(decoded.samples.length <= 1500);
+    assert.equal(decoded.sampleMs, ghost.sampleMs * 3);
+});
+
+test('text that doesn\'t decode gives no ghost', () => {
+    assert.equal(decodeGhost('nonsense', { seed: 1, score: 0 }), null);
+    assert.equal(decodeGhost('0.AAAA', { seed: 1, score: 0 }), null);
+});
+
+test('ghosts are saved per board', () => {
+    const storage = new MemoryStorage();
+    saveGhost(storage, 'endless:normal', createGhost(20));
+
+    assert.equal(loadGhost(storage, 'endless:normal').score, 1);
+    assert.equal(loadGhost(storage, 'timed:normal'), null);
+});
+
+test('a raced run spawns the obstacles of the ghost\'s run', () => {
+    const storage = new MemoryStorage();
+    const best = createHeadlessGame({ storage });
+    const bestObstacles = playRun(best, followGaps, () => best.start(42));
+    assert.ok(best.ghost, 'the first run should be kept as the ghost');
+
+    // Brisk reps that the director would otherwise shape the course to
+    const raced = createHeadlessGame({ storage });
+    const racedObstacles = playRun(raced, repEvery(1500), () => raced.start());
+    assert.equal(raced.seed, best.ghost.seed);
+    assert.notEqual(raced.director.baseline, null);
+    assert.ok(racedObstacles.length >= 3);
+    assert.deepEqual(racedObstacles, bestObstacles.slice(0, racedObstacles.length));
+
+    const adapted = createHeadlessGame({ storage });
+    const adaptedObstacles = playRun(adapted, repEvery(1500), () => adapted.start(best.ghost.seed, false));
+    assert.notDeepEqual(adaptedObstacles, bestObstacles.slice(0, adaptedObstacles.length));
+});
+
+test('runs on an adapted course aren\'t kept as ghosts', () => {
+    const game = createHeadlessGame();
+    game.raceGhost = false;
+    playRun(game, followGaps, () => game.start(42));
+
+    assert.ok(game.score > 0);
+    assert.equal(game.ghost, null);
+});
@@ -0,0 +1,146 @@
+/**
+ * Lives and continues (js/game.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveDifficulty } from '../js/difficulty.js';
+import { CollisionCause, createObstacle } from '../js/obstacles.js';
+import { GameState, FIXED_TIMESTEP_MS, CONTINUE_REPS } from '../js/game.js';
+import { createHeadlessGame } from '../js/simulation.js';
+
+/**
+ * Game with the given lives, just past its countdown
+ */
+function createPlayingGame(lives = 1, mode = 'endless') {
+    const game = createHeadlessGame();
+    game.setMode(mode);
+    game.setDifficulty(resolveDifficulty('custom', { lives }));
+    game.start(1);
+    playUntil(game, GameState.PLAYING);
+    return game;
+}
+
+/**
+ * Hold a shoulder height (with matching elbow bend) for duration ms
+ */
+function pose(game, y, duration) {
+    for (let time = 0; time < duration; time += FIXED_TIMESTEP_MS) {
+        game.setBirdTargetFromPose(y, { elbowAngle: 180 - 120 * y, bodyAngle: 90 });
+        game.update(FIXED_TIMESTEP_MS);
+    }
+}
+
+function playUntil(game, state) {
+    for (let time = 0; time < 120000 && game.state !== state; time += FIXED_TIMESTEP_MS) {
+        pose(game, 0.1, FIXED_TIMESTEP_MS);
+    }
+    assert.equal(game.state, state);
+}
+
+/**
+ * One clean push-up: down, held at the bottom, back up and locked out
+ */
+function pushUp(game) {
+    pose(game, 0.5, 300);
+    pose(game, 0.9, 300);
+    pose(game, 0.5, 300);
+    pose(game, 0.1, 700);
+}
+
+/**
+ * Continue with CONTINUE_REPS clean push-ups, from the top
+ */
+function earnContinue(game) {
+    const started = game.continueRun();
+    pose(game, 0.1, 300);
+    for (let i = 0; i < CONTINUE_REPS; i++) {
+        pushUp(game);
+    }
+    return started;
+}
+
+const hitPipe = (game) => game.handleCollision({ cause: CollisionCause.TOP_PIPE, pipe: { hit: false } });
+
+test('each crash costs a life until the last one ends the run', () => {
+    const game = createPlayingGame(3);
+    const lost = [];
+    game.on('lifeLost', ({ lives }) => lost.push(lives));
+
+    hitPipe(game);
+    hitPipe(game);
+    assert.deepEqual(lost, [2, 1]);
+    assert.equal(game.state, GameState.PLAYING);
+
+    hitPipe(game);
+    assert.equal(game.state, GameState.GAME_OVER);
+});
+
+test('losing a life writes the pipe off and gives a moment to recover', () => {
+    const game = createPlayingGame(2);
+    const pipe = { hit: false };
+    game.handleCollision({ cause: CollisionCause.BOTTOM_PIPE, pipe });
+
+    assert.equal(pipe.hit, true);
+    assert.equal(game.getState().invulnerable, true);
+
+    // A long pipe right across the bottle's path, ignored while recovering
+    game.pipes.push(createObstacle('pipe', { x: game.bird.x - 500, width: 5000, centre: 100, gap: 80 }));
+    pose(game, 0.9, 1000);
+    assert.equal(game.lives, 1);
+    pose(game, 0.9, 2000);
+    assert.equal(game.state, GameState.GAME_OVER);
+});
+
+test('ten clean push-ups after a crash continue the run', () => {
+    const game = createPlayingGame(2);
+    game.pipesPassed = 4;
+    game.updateScore();
+    hitPipe(game);
+    hitPipe(game);
+    playUntil(game, GameState.RESULTS);
+    pose(game, 0.1, 1000);
+
+    assert.equal(game.canContinue(), true);
+    assert.equal(earnContinue(game), true);
+
+    assert.equal(game.state, GameState.COUNTDOWN);
+    assert.equal(game.score, 4);
+    assert.equal(game.lives, 2);
+    assert.deepEqual(game.pipes, []);
+    playUntil(game, GameState.PLAYING);
+});
+
+test('a run is only continued once', () => {
+    const game = createPlayingGame();
+    hitPipe(game);
+    playUntil(game, GameState.RESULTS);
+    pose(game, 0.1, 1000);
+    earnContinue(game);
+    playUntil(game, GameState.PLAYING);
+
+    hitPipe(game);
+    playUntil(game, GameState.RESULTS);
+    pose(game, 0.1, 1000);
+    assert.equal(game.canContinue(), false);
+    assert.equal(game.continueRun(), false);
+});
+
+test('running out of time for the push-ups goes back to the results', () => {
+    const game = createPlayingGame();
+    hitPipe(game);
+    playUntil(game, GameState.RESULTS);
+    pose(game, 0.1, 1000);
+    game.continueRun();
+
+    playUntil(game, GameState.RESULTS);
+    assert.equal(game.canContinue(), false);
+});
+
+test('runs that reached their goal can\'t be continued', () => {
+    const game = createPlayingGame(1, 'timed');
+    playUntil(game, GameState.RESULTS);
+
+    assert.equal(game.completed, true);
+    assert.equal(game.canContinue(), false);
+});
@@ -0,0 +1,90 @@
+/**
+ * Game modes (js/modes.js): when runs end and how they score
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { runScript, createHeadlessGame } from '../js/simulation.js';
+import { FIXED_TIMESTEP_MS } from '../js/game.js';
+import { createGameMode, RepTargetMode, TimedMode } from '../js/modes.js';
+
+const steadyReps = JSON.parse(await readFile(new URL('../tools/examples/steady-reps.json', import.meta.url), 'utf8'));
+
+// Locked out at the top the whole time: no reps, and pipes get hit
+const lockedOut = [{ at: 0, y: 0, elbowAngle: 170, bodyAngle: 90 }];
+
+test('endless runs end on the first crash', () => {
+    const report = runScript({ seed: 3, mode: 'endless', inputs: lockedOut });
+
+    assert.equal(report.ended, true);
+    assert.equal(report.completed, false);
+    assert.notEqual(report.cause, null);
+});
+
+test('timed runs go on through crashes until the time is up', () => {
+    const report = runScript({ seed: 3, mode: 'timed', inputs: lockedOut });
+    const collisions = report.timeline.filter(entry => entry.event === 'collision');
+    const gameOver = report.timeline.find(entry => entry.event === 'gameOver');
+
+    assert.ok(collisions.length > 1);
+    assert.equal(report.completed, true);
+    assert.equal(report.cause, null);
+    assert.ok(gameOver.time >= new TimedMode().duration);
+});
+
+test('timed runs score clean reps as well as pipes', () => {
+    const report = runScript(steadyReps);
+
+    assert.equal(report.completed, true);
+    assert.ok(report.reps > 0);
+    assert.equal(report.score, report.pipesPassed + report.reps + report.bonus);
+});
+
+test('rep target runs end once the target is reached', () => {
+    const game = createHeadlessGame();
+    game.setMode('reps');
+    game.mode = new RepTargetMode({ target: 3 });  // Before the unsteered bottle crashes
+    game.start(1);
+
+    // The example script's reps: top, halfway, bottom, halfway
+    const poses = steadyReps.inputs;
+    for (let time = 0; time < 60000 && game.isRunActive(); time += FIXED_TIMESTEP_MS) {
+        const { y, elbowAngle, bodyAngle } = poses[Math.floor(time / 400) % poses.length];
+        game.setBirdTargetFromPose(y, { elbowAngle, bodyAngle });
+        game.update(FIXED_TIMESTEP_MS);
+    }
+
+    assert.equal(game.completed, true);
+    assert.equal(game.reps, 3);
+    assert.ok(game.score > 3);
+});
+
+test('rep target runs that crash first end without the target', () => {
+    const report = runScript({ seed: 3, mode: 'reps', inputs: lockedOut });
+
+    assert.equal(report.completed, false);
+    assert.notEqual(report.cause, null);
+    assert.equal(report.score, 0);
+});
+
+test('reaching the rep target early earns a second per point', () => {
+    const mode = new RepTargetMode({ target: 10, parTime: 60000 });
+    const game = { reps: 10, bonus: 2, playTime: 45500, completed: true };
+
+    assert.equal(mode.getScore(game), 10 + 2 + 15);
+    assert.equal(mode.getScore({ ...game, playTime: 90000 }), 12);
+    assert.equal(mode.getScore({ ...game, completed: false }), 12);
+});
+
+test('the timed HUD counts down minutes and seconds', () => {
+    const mode = new TimedMode({ duration: 90000 });
+
+    assert.equal(mode.getHud({ playTime: 0 }), '1:30');
+    assert.equal(mode.getHud({ playTime: 80500 }), '0:10');
+    assert.equal(mode.getHud({ playTime: 95000 }), '0:00');
+});
+
+test('unknown mode ids fall back to endless', () => {
+    assert.equal(createGameMode('nope').id, 'endless');
+});
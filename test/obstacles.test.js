@@ -0,0 +1,89 @@
+/**
+ * Obstacle types (js/obstacles.js): where each one can be hit
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { circle, PIPE_CAP } from '../js/collision.js';
+import {
+    CollisionCause, createObstacle, chooseObstacleType, TunnelObstacle, DoubleGapObstacle
+} from '../js/obstacles.js';
+
+function createLayout(overrides = {}) {
+    return {
+        x: 600, width: 80, gap: 180, centre: 360,
+        minCentre: 150, maxCentre: 570, reachTop: 200, reachBottom: 520,
+        floor: 660, speed: 3, tickMs: 1000 / 60, birdX: 256,
+        ...overrides
+    };
+}
+
+// A small bird hitbox at (x, y)
+const bird = (x, y) => [circle(x, y, 10)];
+
+test('a pipe is hit above and below its gap, including the caps', () => {
+    const pipe = createObstacle('pipe', createLayout());
+
+    assert.equal(pipe.collide(bird(640, 360)), null);
+    assert.equal(pipe.collide(bird(640, 260)), CollisionCause.TOP_PIPE);
+    assert.equal(pipe.collide(bird(640, 460)), CollisionCause.BOTTOM_PIPE);
+    assert.equal(pipe.collide(bird(600 - PIPE_CAP.overhang - 5, 270 - PIPE_CAP.height / 2)), CollisionCause.TOP_PIPE);
+    assert.equal(pipe.collide(bird(560, 260)), null);
+});
+
+test('a tunnel only has a roof, reaching down to the bottom of the reach', () => {
+    const layout = createLayout();
+    const tunnel = new TunnelObstacle(layout, 2000);
+
+    assert.ok(tunnel.width > layout.width + layout.speed * 100);
+    assert.equal(tunnel.gapTop, layout.reachBottom - layout.gap * 0.6);
+    assert.equal(tunnel.collide(bird(600 + tunnel.width - 20, 600)), null);
+    assert.equal(tunnel.collide(bird(600 + tunnel.width - 20, 400)), CollisionCause.TOP_PIPE);
+
+    // No caps sticking out in front
+    assert.equal(tunnel.collide(bird(600 - 11, tunnel.gapTop - 5)), null);
+});
+
+test('a double gap needs the bird high in one column and low in the other', () => {
+    const layout = createLayout({ centre: 200 });
+    const obstacle = new DoubleGapObstacle(layout);
+    const [first, second] = obstacle.getColumns();
+    const firstX = 600 + first.offset + first.width / 2;
+    const secondX = 600 + second.offset + second.width / 2;
+
+    assert.equal(first.gapTop + 90, layout.reachTop);
+    assert.equal(second.gapTop + 90, layout.reachBottom);
+    assert.equal(obstacle.collide(bird(firstX, layout.reachTop)), null);
+    assert.equal(obstacle.collide(bird(secondX, layout.reachTop)), CollisionCause.TOP_PIPE);
+    assert.equal(obstacle.collide(bird(secondX, layout.reachBottom)), null);
+    assert.equal(obstacle.collide(bird(firstX, layout.reachBottom)), CollisionCause.BOTTOM_PIPE);
+});
+
+test('a narrowing gap closes by the time it reaches the bird', () => {
+    const layout = createLayout();
+    const obstacle = createObstacle('narrowing', layout);
+    const edge = 360 - layout.gap / 2 - 5;
+    assert.equal(obstacle.collide(bird(640, edge)), null);
+
+    obstacle.x = layout.birdX;
+    obstacle.update({ time: 0 });
+    assert.equal(obstacle.gapBottom - obstacle.gapTop, layout.gap * 0.85);
+    assert.equal(obstacle.collide(bird(layout.birdX + 40, edge)), CollisionCause.TOP_PIPE);
+});
+
+test('an oscillating gap carries its hitboxes with it', () => {
+    const obstacle = createObstacle('oscillating', createLayout());
+    obstacle.update({ time: 0 });
+    assert.equal(obstacle.collide(bird(640, 360)), null);
+
+    // A quarter swing later the gap is a full amplitude lower
+    obstacle.update({ time: obstacle.period / 4 });
+    assert.equal(obstacle.gapTop, 360 + obstacle.amplitude - 90);
+    assert.equal(obstacle.collide(bird(640, 360)), CollisionCause.TOP_PIPE);
+});
+
+test('runs open with plain pipes', () => {
+    assert.equal(chooseObstacleType(0.99, 0), 'pipe');
+    assert.equal(chooseObstacleType(0.99, 2), 'pipe');
+    assert.equal(chooseObstacleType(0.99, 3), 'tunnel');
+});
@@ -0,0 +1,107 @@
+/**
+ * Collectibles and power-ups (js/pickups.js and their effects in game.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PickupType, POWER_UPS, VITAMIN_POINTS, PICKUP_RADIUS, choosePickup } from '../js/pickups.js';
+import { CollisionCause } from '../js/obstacles.js';
+import { GameState, FIXED_TIMESTEP_MS } from '../js/game.js';
+import { createHeadlessGame } from '../js/simulation.js';
+
+/**
+ * Game just past its countdown, with the bottle held mid-screen
+ */
+function createPlayingGame() {
+    const game = createHeadlessGame();
+    game.start(1);
+    while (game.state !== GameState.PLAYING) {
+        game.setBirdTargetFromPose(0.5);
+        game.update(FIXED_TIMESTEP_MS);
+    }
+    return game;
+}
+
+/**
+ * Run the clock for duration ms (the course is cleared so nothing gets hit)
+ */
+function play(game, duration) {
+    for (let time = 0; time < duration; time += FIXED_TIMESTEP_MS) {
+        game.pipes = [];
+        game.setBirdTargetFromPose(0.5);
+        game.update(FIXED_TIMESTEP_MS);
+    }
+}
+
+test('a pipe carries a vitamin, a power-up or nothing', () => {
+    assert.equal(choosePickup(0.4), null);
+    assert.equal(choosePickup(0.99), null);
+    assert.equal(choosePickup(0.2), PickupType.VITAMIN);
+    assert.deepEqual([0, 0.04, 0.08].map(choosePickup), Object.keys(POWER_UPS));
+});
+
+test('flying through a pickup collects it', () => {
+    const game = createPlayingGame();
+    const { x, y } = game.bird;
+    const pipe = {
+        x: x - 40,
+        getColumns: () => [{ offset: 0, width: 80, gapTop: y - PICKUP_RADIUS - 4, gapBottom: y + 200 }]
+    };
+    game.pickups.push({ type: PickupType.VITAMIN, pipe, edge: 'top', radius: PICKUP_RADIUS });
+    game.updatePickups();
+
+    assert.deepEqual(game.pickups, []);
+    assert.equal(game.bonus, VITAMIN_POINTS);
+});
+
+test('double score doubles vitamins while it runs', () => {
+    const game = createPlayingGame();
+    game.collectPickup({ type: PickupType.DOUBLE_SCORE });
+    game.collectPickup({ type: PickupType.VITAMIN });
+    assert.equal(game.bonus, VITAMIN_POINTS * 2);
+
+    play(game, POWER_UPS[PickupType.DOUBLE_SCORE].duration);
+    game.collectPickup({ type: PickupType.VITAMIN });
+    assert.equal(game.bonus, VITAMIN_POINTS * 3);
+});
+
+test('power-ups run for their duration, restarting when collected again', () => {
+    const game = createPlayingGame();
+    const ended = [];
+    game.on('powerUpEnded', ({ type }) => ended.push(type));
+    const { duration, speedFactor } = POWER_UPS[PickupType.SLOWMO];
+
+    game.collectPickup({ type: PickupType.SLOWMO });
+    assert.equal(game.getSpeedFactor(), speedFactor);
+
+    play(game, duration - 1000);
+    game.collectPickup({ type: PickupType.SLOWMO });
+    play(game, duration - 1000);
+    assert.equal(game.getSpeedFactor(), speedFactor);
+
+    play(game, 1000);
+    assert.equal(game.getSpeedFactor(), 1);
+    assert.deepEqual(ended, [PickupType.SLOWMO]);
+});
+
+test('a shield takes one pipe hit', () => {
+    const game = createPlayingGame();
+    game.collectPickup({ type: PickupType.SHIELD });
+
+    const pipe = { hit: false };
+    game.handleCollision({ cause: CollisionCause.TOP_PIPE, pipe });
+    assert.equal(pipe.hit, true);
+    assert.equal(game.isPowerUpActive(PickupType.SHIELD), false);
+    assert.equal(game.state, GameState.PLAYING);
+
+    game.handleCollision({ cause: CollisionCause.TOP_PIPE, pipe: { hit: false } });
+    assert.equal(game.state, GameState.GAME_OVER);
+});
+
+test('a shield doesn\'t help against the ground', () => {
+    const game = createPlayingGame();
+    game.collectPickup({ type: PickupType.SHIELD });
+    game.handleCollision({ cause: CollisionCause.GROUND, pipe: null });
+
+    assert.equal(game.state, GameState.GAME_OVER);
+});
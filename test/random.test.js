@@ -0,0 +1,33 @@
+/**
+ * Seeded random numbers (js/random.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SeededRandom } from '../js/random.js';
+
+const take = (random, count) => Array.from({ length: count }, () => random.next());
+
+test('the same seed gives the same sequence', () => {
+    assert.deepEqual(take(new SeededRandom(1234), 20), take(new SeededRandom(1234), 20));
+});
+
+test('different seeds give different sequences', () => {
+    assert.notDeepEqual(take(new SeededRandom(1), 20), take(new SeededRandom(2), 20));
+});
+
+test('seeds are kept as unsigned 32-bit integers', () => {
+    assert.equal(new SeededRandom(-1).seed, 0xFFFFFFFF);
+    assert.deepEqual(take(new SeededRandom(-1), 5), take(new SeededRandom(0xFFFFFFFF), 5));
+});
+
+test('next() stays in [0, 1) and range() in [min, max)', () => {
+    const random = new SeededRandom(99);
+    for (let i = 0; i < 1000; i++) {
+        const value = random.next();
+        assert.ok(value >= 0 && value < 1);
+
+        const ranged = random.range(-5, 5);
+        assert.ok(ranged >= -5 && ranged < 5);
+    }
+});
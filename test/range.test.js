@@ -0,0 +1,105 @@
+/**
+ * Shoulder range estimators (js/range.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ExpandingRange, FixedRange, DecayingRange, RollingRange, createRangeStrategy
+} from '../js/range.js';
+
+/**
+ * Feed raw shoulder Ys, one every 100 ms from start
+ * @returns {number} Time after the last sample
+ */
+function feed(strategy, ys, start = 0) {
+    let time = start;
+    for (const y of ys) {
+        strategy.update({ y, time });
+        time += 100;
+    }
+    return time;
+}
+
+/**
+ * Steady reps between top and bottom, in small enough steps not to count as jumps
+ */
+function reps(count, top, bottom) {
+    const ys = [];
+    for (let i = 0; i < count; i++) {
+        for (let y = top; y < bottom; y += 0.05) ys.push(y);
+        for (let y = bottom; y > top; y -= 0.05) ys.push(y);
+    }
+    return ys;
+}
+
+test('nothing is normalized until the range is wide enough', () => {
+    const range = new ExpandingRange();
+    feed(range, [0.5, 0.52]);
+
+    assert.equal(range.normalize(0.52), 0.5);
+
+    feed(range, [0.56, 0.6]);
+    assert.equal(range.normalize(0.6), 1);
+    assert.ok(Math.abs(range.normalize(0.55) - 0.5) < 1e-9);
+    assert.equal(range.normalize(0.9), 1);
+});
+
+test('a single-sample spike is ignored without losing the sample after it', () => {
+    const range = new ExpandingRange();
+    feed(range, [0.5, 0.55, 0.95, 0.58]);
+
+    assert.deepEqual(range.getRange(), { minShoulderY: 0.5, maxShoulderY: 0.58 });
+});
+
+test('a jump that holds is taken as the player moving', () => {
+    const range = new ExpandingRange();
+    feed(range, [0.3, 0.32, 0.6, 0.61]);
+
+    assert.deepEqual(range.getRange(), { minShoulderY: 0.3, maxShoulderY: 0.61 });
+});
+
+test('the fixed range stays where calibration put it', () => {
+    const range = new FixedRange();
+    range.setRange({ minShoulderY: 0.4, maxShoulderY: 0.6 });
+    feed(range, reps(2, 0.2, 0.8));
+
+    assert.deepEqual(range.getRange(), { minShoulderY: 0.4, maxShoulderY: 0.6 });
+});
+
+test('the decaying range forgets a stray extreme', () => {
+    const range = new DecayingRange({ halfLife: 1000 });
+    const time = feed(range, reps(1, 0.1, 0.9));
+    feed(range, reps(6, 0.3, 0.7), time);
+
+    // Both ends sit a little inside the reps, pulled in between turns
+    const { minShoulderY, maxShoulderY } = range.getRange();
+    assert.ok(minShoulderY > 0.25 && minShoulderY < 0.4);
+    assert.ok(maxShoulderY > 0.6 && maxShoulderY < 0.75);
+});
+
+test('the rolling range follows the median rep', () => {
+    const range = new RollingRange();
+    feed(range, [...reps(2, 0.3, 0.7), ...reps(1, 0.1, 0.9), ...reps(3, 0.3, 0.7)]);
+
+    const { minShoulderY, maxShoulderY } = range.getRange();
+    assert.ok(Math.abs(minShoulderY - 0.3) < 0.03);
+    assert.ok(Math.abs(maxShoulderY - 0.7) < 0.03);
+});
+
+test('moving closer to the camera re-centres the range', () => {
+    const range = new ExpandingRange();
+    range.update({ y: 0.5, scale: 0.2, time: 0 });
+    range.setRange({ minShoulderY: 0.4, maxShoulderY: 0.6 });
+    for (let time = 100; time < 3000; time += 100) {
+        range.update({ y: 0.5, scale: 0.3, time });
+    }
+
+    const { minShoulderY, maxShoulderY } = range.getRange();
+    assert.ok(maxShoulderY - minShoulderY > 0.25);
+});
+
+test('unknown strategy names fall back to the rolling range', () => {
+    assert.ok(createRangeStrategy('nope') instanceof RollingRange);
+    assert.ok(createRangeStrategy('decaying') instanceof DecayingRange);
+});
@@ -0,0 +1,56 @@
+/**
+ * Replays (js/replay.js): recording and playing back a run
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReplayRecorder, ReplayPlayer, REPLAY_VERSION } from '../js/replay.js';
+import { createHeadlessGame } from '../js/simulation.js';
+import { FIXED_TIMESTEP_MS } from '../js/game.js';
+import { MemoryStorage, ManualClock } from '../js/platform.js';
+
+/**
+ * Record a run of alternating half-second holds at the top and bottom
+ */
+function recordRun(seed, maxTicks = 3000) {
+    const recorder = new ReplayRecorder();
+    const game = createHeadlessGame();
+    game.setRecorder(recorder);
+    game.start(seed);
+
+    for (let tick = 0; tick < maxTicks && game.isRunActive(); tick++) {
+        const top = Math.floor(tick / 30) % 2 === 0;
+        game.setBirdTargetFromPose(top ? 0.1 : 0.9, { elbowAngle: top ? 170 : 80, bodyAngle: 90 });
+        game.update(FIXED_TIMESTEP_MS);
+    }
+
+    return { game, replay: recorder.getReplay() };
+}
+
+test('inputs are run-length encoded', () => {
+    const { replay } = recordRun(5, 300);
+
+    assert.equal(replay.version, REPLAY_VERSION);
+    assert.equal(replay.seed, 5);
+    assert.equal(replay.inputs.reduce((sum, input) => sum + input[3], 0), replay.ticks);
+    assert.ok(replay.inputs.length < replay.ticks / 10);
+});
+
+test('playing a replay back reproduces the run', () => {
+    const { game, replay } = recordRun(77);
+    const player = new ReplayPlayer(JSON.parse(JSON.stringify(replay)));
+    const copy = player.createGame({ storage: new MemoryStorage(), clock: new ManualClock() });
+    player.runToEnd();
+
+    assert.equal(copy.score, game.score);
+    assert.equal(copy.reps, game.reps);
+    assert.equal(copy.pipesPassed, game.pipesPassed);
+    assert.equal(copy.bird.y, game.bird.y);
+});
+
+test('replays from another format version are refused', () => {
+    const { replay } = recordRun(1, 10);
+
+    assert.throws(() => new ReplayPlayer({ ...replay, version: REPLAY_VERSION - 1 }), /Unsupported replay format/);
+    assert.throws(() => new ReplayPlayer(null), /Unsupported replay format/);
+});
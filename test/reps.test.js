@@ -0,0 +1,85 @@
+/**
+ * Rep counting (js/reps.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RepCounter, RepPhase } from '../js/reps.js';
+import { FormIssue } from '../js/form.js';
+import { GameState, FIXED_TIMESTEP_MS } from '../js/game.js';
+import { createHeadlessGame } from '../js/simulation.js';
+
+/**
+ * Feed [y, time] samples, returning the rep events
+ */
+function feed(counter, samples) {
+    return samples.map(([y, time]) => counter.update(y, time)).filter(Boolean);
+}
+
+test('top, bottom and back up is one rep', () => {
+    const counter = new RepCounter();
+    const reps = feed(counter, [[0.1, 0], [0.5, 200], [0.9, 400], [0.5, 600], [0.1, 800]]);
+
+    assert.equal(reps.length, 1);
+    assert.equal(reps[0].complete, true);
+    assert.equal(reps[0].count, 1);
+    assert.equal(reps[0].duration, 600);
+    assert.equal(counter.phase, RepPhase.TOP);
+});
+
+test('coming back up without reaching depth is a half rep', () => {
+    const counter = new RepCounter();
+    const reps = feed(counter, [[0.1, 0], [0.5, 300], [0.1, 600]]);
+
+    assert.equal(reps.length, 1);
+    assert.equal(reps[0].complete, false);
+    assert.equal(counter.count, 0);
+});
+
+test('reps faster than minRepDuration are ignored', () => {
+    const counter = new RepCounter();
+    const reps = feed(counter, [[0.1, 0], [0.5, 50], [0.9, 100], [0.5, 150], [0.1, 200]]);
+
+    assert.deepEqual(reps, []);
+    assert.equal(counter.count, 0);
+});
+
+test('nothing counts until the top has been seen', () => {
+    const counter = new RepCounter();
+    feed(counter, [[0.9, 0], [0.5, 300]]);
+
+    assert.equal(counter.phase, RepPhase.UNKNOWN);
+});
+
+test('missing samples are skipped', () => {
+    const counter = new RepCounter();
+    const reps = feed(counter, [[0.1, 0], [null, 100], [0.5, 200], [0.9, 400], [undefined, 500], [0.5, 600], [0.1, 800]]);
+
+    assert.equal(reps.length, 1);
+    assert.equal(reps[0].complete, true);
+});
+
+test('a rep too fast to count leaves its form out of the next one', () => {
+    const game = createHeadlessGame();
+    game.start(1);
+    while (game.state !== GameState.PLAYING) {
+        game.update(FIXED_TIMESTEP_MS);
+    }
+
+    // [y, elbowAngle, ms held]: a deep bounce, then a slow shallow rep
+    const poses = [
+        [0.1, 170, 300],
+        [0.9, 70, 100], [0.1, 170, 500],
+        [0.5, 140, 400], [0.9, 120, 300], [0.5, 140, 400], [0.1, 170, 700]
+    ];
+    for (const [y, elbowAngle, held] of poses) {
+        for (let time = 0; time < held; time += FIXED_TIMESTEP_MS) {
+            game.setBirdTargetFromPose(y, { elbowAngle, bodyAngle: 90 });
+            game.update(FIXED_TIMESTEP_MS);
+        }
+    }
+
+    assert.equal(game.repSummary.attempts, 1);
+    assert.equal(game.lastRep.minElbowAngle, 120);
+    assert.deepEqual(game.lastRep.issues, [FormIssue.SHALLOW]);
+});
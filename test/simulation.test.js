@@ -0,0 +1,79 @@
+/**
+ * Headless runs (js/simulation.js): scripted runs play out the same every
+ * time and recorded runs re-simulate to the score they claim
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { runScript, runReplay, createHeadlessGame } from '../js/simulation.js';
+import { ReplayRecorder } from '../js/replay.js';
+import { FIXED_TIMESTEP_MS } from '../js/game.js';
+
+const steadyReps = JSON.parse(await readFile(new URL('../tools/examples/steady-reps.json', import.meta.url), 'utf8'));
+
+/**
+ * Bottle steered through the middle of the next gap
+ */
+function followGaps(game) {
+    const pipe = game.pipes.find(p => !p.hit && p.x + p.width > game.bird.x - game.bird.radius);
+    if (!pipe || pipe.gapTop === undefined) {
+        return { y: 0.5 };
+    }
+    const top = game.poseToWorldY(0);
+    const bottom = game.poseToWorldY(1);
+    const y = ((pipe.gapTop + pipe.gapBottom) / 2 - top) / (bottom - top);
+    return { y: Math.max(0, Math.min(1, y)) };
+}
+
+test('the example script finishes a timed run with clean reps', () => {
+    const report = runScript(steadyReps);
+
+    assert.equal(report.ended, true);
+    assert.equal(report.completed, true);
+    assert.equal(report.mode, 'timed');
+    assert.ok(report.reps > 0);
+    assert.equal(report.repSummary.clean, report.repSummary.attempts);
+});
+
+test('a script plays out the same on the same seed', () => {
+    const { timeline: first, ...firstReport } = runScript(steadyReps);
+    const { timeline: second, ...secondReport } = runScript(steadyReps);
+
+    assert.deepEqual(secondReport, firstReport);
+    assert.deepEqual(second, first);
+});
+
+test('staying locked out crashes an endless run', () => {
+    const report = runScript({ seed: 3, mode: 'endless', inputs: [{ at: 0, y: 0 }] });
+
+    assert.equal(report.ended, true);
+    assert.equal(report.completed, false);
+    assert.notEqual(report.cause, null);
+});
+
+test('a recorded run re-simulates to its score', () => {
+    const recorder = new ReplayRecorder();
+    let replay = null;
+    recorder.onFinish = (finished) => {
+        replay = finished;
+    };
+
+    const game = createHeadlessGame();
+    game.setRecorder(recorder);
+    game.start(42);
+    for (let time = 0; time < 120000 && game.isRunActive(); time += FIXED_TIMESTEP_MS) {
+        game.setBirdTargetFromPose(followGaps(game).y);
+        game.update(FIXED_TIMESTEP_MS);
+    }
+
+    assert.ok(replay, 'the run should have ended');
+    assert.ok(replay.score > 0);
+
+    const saved = JSON.parse(JSON.stringify(replay));
+    const report = runReplay(saved);
+    assert.equal(report.valid, true);
+    assert.equal(report.score, replay.score);
+
+    assert.equal(runReplay({ ...saved, score: saved.score + 1 }).valid, false);
+});
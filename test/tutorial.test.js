@@ -0,0 +1,140 @@
+/**
+ * Tutorial lessons (js/tutorial.js) and the tutorial mode
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Tutorial, TUTORIAL_LESSONS } from '../js/tutorial.js';
+import { createHeadlessGame, runScript } from '../js/simulation.js';
+import { FIXED_TIMESTEP_MS } from '../js/game.js';
+
+/**
+ * Player who follows the coaching, moving at push-up speed, with elbows
+ * that only straighten fully at the very top
+ */
+function createCoachedPlayer() {
+    let y = 0.5;
+    return (game) => {
+        const target = game.mode.getCoaching(game)?.target;
+        const goal = target ? (target[0] + target[1]) / 2 : 0.5;
+        y += Math.max(-0.03, Math.min(0.03, goal - y));
+        return { y, form: { elbowAngle: 180 - 120 * y, bodyAngle: 90 } };
+    };
+}
+
+/**
+ * Tutorial run that has got through its countdown
+ */
+function startTutorial() {
+    const game = createHeadlessGame();
+    game.setMode('tutorial');
+    game.start(1);
+    for (let i = 0; i < 600 && game.playTime === 0; i++) {
+        game.setBirdTargetFromPose(0.5);
+        game.update(FIXED_TIMESTEP_MS);
+    }
+    return game;
+}
+
+function hold(game, y, ms) {
+    for (let time = 0; time < ms; time += FIXED_TIMESTEP_MS) {
+        game.setBirdTargetFromPose(y);
+        game.update(FIXED_TIMESTEP_MS);
+    }
+}
+
+test('a player who follows the coaching finishes every lesson', () => {
+    const report = runScript({ seed: 1, mode: 'tutorial', input: createCoachedPlayer(), maxTime: 180000 });
+
+    assert.equal(report.completed, true);
+    assert.equal(report.score, TUTORIAL_LESSONS.length);
+    assert.ok(report.reps >= 3);
+});
+
+test('the tutorial is played with direct controls', () => {
+    const report = runScript({ seed: 1, mode: 'tutorial', controls: 'flap', maxTime: 1000 });
+
+    assert.equal(report.controls, 'direct');
+});
+
+test('crashes don\'t end the tutorial', () => {
+    const game = startTutorial();
+    const tutorial = game.mode.tutorial;
+    tutorial.index = TUTORIAL_LESSONS.findIndex(lesson => lesson.title === 'High gaps');
+    tutorial.start = null;
+
+    let collisions = 0;
+    game.on('collision', () => collisions++);
+    hold(game, 1, 20000);
+
+    assert.ok(collisions > 0);
+    assert.equal(game.isRunActive(), true);
+    assert.equal(tutorial.lesson.title, 'High gaps');
+});
+
+test('a hold lesson needs the position held for its duration', () => {
+    const game = startTutorial();
+    const tutorial = game.mode.tutorial;
+
+    hold(game, 0.05, 1000);
+    hold(game, 0.5, 100);
+    hold(game, 0.05, 1000);
+    assert.equal(tutorial.index, 0);
+
+    hold(game, 0.05, 600);
+    assert.equal(tutorial.index, 1);
+    assert.equal(game.mode.getCoaching(game).praise, TUTORIAL_LESSONS[0].title);
+});
+
+test('the cue says which way to move', () => {
+    const game = startTutorial();
+
+    hold(game, 0.5, 100);
+    assert.equal(game.mode.getCoaching(game).cue, 'Lock out');
+
+    const tutorial = game.mode.tutorial;
+    tutorial.index = 1;
+    tutorial.start = null;
+    hold(game, 0.5, 100);
+    assert.equal(game.mode.getCoaching(game).cue, 'Go lower');
+
+    hold(game, 0.9, 100);
+    assert.equal(game.mode.getCoaching(game).cue, 'Hold it there');
+});
+
+test('push-up coaching waits for the lockout check before sending the player down', () => {
+    const game = startTutorial();
+    const tutorial = game.mode.tutorial;
+    tutorial.index = TUTORIAL_LESSONS.findIndex(lesson => lesson.goal === 'reps');
+    tutorial.start = null;
+
+    hold(game, 0.05, 200);
+    hold(game, 0.9, 600);
+    hold(game, 0.05, 100);
+    assert.notEqual(game.formAnalyzer.pendingRep, null);
+    assert.deepEqual(game.mode.getCoaching(game).target, tutorial.getZone('top', game));
+
+    hold(game, 0.05, game.formAnalyzer.lockoutWindow);
+    assert.equal(game.formAnalyzer.pendingRep, null);
+    assert.deepEqual(game.mode.getCoaching(game).target, tutorial.getZone('bottom', game));
+});
+
+test('gap lessons only put out the obstacles still needed', () => {
+    const lessons = [{ title: 'Gaps', goal: 'gaps', count: 2, section: { type: 'pipe', position: 'alternate' } }];
+    const tutorial = new Tutorial(lessons);
+    const game = { reps: 0, pipesPassed: 0, pipes: [] };
+    tutorial.update(game);
+
+    const first = tutorial.nextObstacle(game);
+    assert.equal(first.label, 'Gaps');
+    assert.equal(first.position, 0);
+    game.pipes.push({ passed: false, hit: false });
+
+    assert.equal(tutorial.nextObstacle(game).position, 1);
+    game.pipes.push({ passed: false, hit: false });
+    assert.equal(tutorial.nextObstacle(game), null);
+
+    // One crashed into is replaced
+    game.pipes[0].hit = true;
+    assert.notEqual(tutorial.nextObstacle(game), null);
+});
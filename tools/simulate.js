@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * Run the game headless from the command line
+ *
+ *   node tools/simulate.js <file.json> [--runs <n>] [--timeline]
+ *
+ * The file is a script (see runScript() in js/simulation.js) or a replay
+ * downloaded from the game. Replays are re-simulated and checked against
+ * their recorded score; the exit code is 1 if they don't match.
+ *
+ * --runs plays a script on n consecutive seeds from its own and prints one
+ * line per run plus the average, for comparing difficulty settings.
+ * --timeline includes every event in the JSON report.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { runScript, runReplay } from '../js/simulation.js';
+
+function parseArgs(argv) {
+    const args = { file: null, runs: 1, timeline: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--runs') {
+            args.runs = Math.max(1, parseInt(argv[++i], 10) || 1);
+        } else if (argv[i] === '--timeline') {
+            args.timeline = true;
+        } else {
+            args.file = argv[i];
+        }
+    }
+
+    return args;
+}
+
+function printReport(report, withTimeline) {
+    const { timeline, ...summary } = report;
+    console.log(JSON.stringify(withTimeline ? report : summary, null, 2));
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.file) {
+        console.error('Usage: node tools/simulate.js <script-or-replay.json> [--runs <n>] [--timeline]');
+        process.exit(2);
+    }
+
+    const input = JSON.parse(await readFile(args.file, 'utf8'));
+
+    // Replays carry a format version, scripts don't
+    if (input.version !== undefined) {
+        const report = runReplay(input);
+        printReport(report, args.timeline);
+        process.exit(report.valid ? 0 : 1);
+    }
+
+    if (args.runs === 1) {
+        printReport(runScript(input), args.timeline);
+        return;
+    }
+
+    const firstSeed = input.seed ?? 1;
+    let total = 0;
+    for (let i = 0; i < args.runs; i++) {
+        const report = runScript({ ...input, seed: firstSeed + i });
+        total += report.score;
+        console.log(`seed ${report.seed}: score ${report.score}, ${report.pipesPassed} pipes, ` +
+            `${report.reps} reps, ${report.cause ?? (report.completed ? 'completed' : 'no crash')} ` +
+            `after ${(report.playTime / 1000).toFixed(1)}s`);
+    }
+    console.log(`average score ${(total / args.runs).toFixed(2)} over ${args.runs} runs`);
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -13,6 +13,22 @@ const CORS_HEADERS = {
 const MAX_LEADERBOARD = 100;
 // Max score we track individually (scores above this go in one bucket)
 const MAX_TRACKED_SCORE = 200;
+// Every mode and difficulty preset pair has its own leaderboard, named
+// 'mode:preset' (see js/modes.js and js/difficulty.js), with ':controls'
+// added for control schemes other than the default (js/controls.js)
+const GAME_MODES = ['endless', 'timed', 'reps'];
+const DIFFICULTY_PRESETS = ['easy', 'normal', 'hard', 'custom'];
+const CONTROL_SCHEMES = ['direct', 'flap'];
+const DEFAULT_CONTROLS = 'direct';
+const DEFAULT_BOARD = 'endless:normal';
+
+// The daily challenge: one seed, mode and preset for everyone, on a board
+// of its own ('daily:YYYY-MM-DD') that starts fresh at midnight UTC
+const DAILY_PRESETS = ['easy', 'normal', 'hard'];
+const DAILY_WINNERS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Runs started before midnight can still be submitted this long after it
+const DAILY_GRACE_MS = 10 * 60 * 1000;
 
 export default {
 	async fetch(request, env) {
@@ -40,7 +56,15 @@ export default {
 
 			// Route requests
 			if (path === '/api/leaderboard' && request.method === 'GET') {
-				return await getLeaderboard(env);
+				const board = url.searchParams.get('board') || DEFAULT_BOARD;
+				if (!isValidBoard(board)) {
+					return jsonResponse({ error: 'Unknown board' }, 400);
+				}
+				return await getLeaderboard(env, board);
+			}
+
+			if (path === '/api/daily' && request.method === 'GET') {
+				return await getDaily(env);
 			}
 
 			if (path === '/api/score' && request.method === 'POST') {
@@ -61,25 +85,100 @@ export default {
 };
 
 /**
- * Get top 100 leaderboard entries
+ * Get top 100 leaderboard entries for a board
  */
-async function getLeaderboard(env) {
+async function getLeaderboard(env, board) {
 	try {
-		const results = await env.DB.prepare(`
-			SELECT name, score, created_at
-			FROM leaderboard
-			ORDER BY score DESC, created_at ASC
-			LIMIT ?
-		`).bind(MAX_LEADERBOARD).all();
+		const results = await queryLeaderboard(env, board);
 
 		return jsonResponse({
+			board,
 			leaderboard: results.results || []
 		});
 	} catch (error) {
 		console.error('getLeaderboard error:', error);
 		// Return empty leaderboard on error (table might not exist yet)
-		return jsonResponse({ leaderboard: [] });
+		return jsonResponse({ board, leaderboard: [] });
+	}
+}
+
+async function queryLeaderboard(env, board) {
+	return env.DB.prepare(`
+		SELECT name, score, reps, continued, created_at
+		FROM leaderboard
+		WHERE board = ?
+		ORDER BY score DESC, created_at ASC
+		LIMIT ?
+	`).bind(board, MAX_LEADERBOARD).all();
+}
+
+/**
+ * Today's challenge, when it resets and yesterday's winners
+ */
+async function getDaily(env) {
+	const now = Date.now();
+	const today = utcDate(now);
+	const yesterday = utcDate(now - DAY_MS);
+
+	let winners = [];
+	try {
+		const results = await env.DB.prepare(`
+			SELECT name, score, reps, continued
+			FROM leaderboard
+			WHERE board = ?
+			ORDER BY score DESC, created_at ASC
+			LIMIT ?
+		`).bind(getDailyChallenge(yesterday).board, DAILY_WINNERS).all();
+		winners = results.results || [];
+	} catch (error) {
+		console.error('getDaily error:', error);
 	}
+
+	return jsonResponse({
+		...getDailyChallenge(today),
+		resetsAt: new Date(Date.parse(today) + DAY_MS).toISOString(),
+		yesterday: { date: yesterday, winners }
+	});
+}
+
+/**
+ * The challenge for a 'YYYY-MM-DD' date, all derived from the date so
+ * every request that day agrees
+ */
+function getDailyChallenge(date) {
+	const seed = hashString(`daily:${date}`);
+	return {
+		date,
+		board: `daily:${date}`,
+		seed,
+		mode: GAME_MODES[seed % GAME_MODES.length],
+		preset: DAILY_PRESETS[(seed >>> 8) % DAILY_PRESETS.length],
+		controls: DEFAULT_CONTROLS
+	};
+}
+
+/**
+ * Whether scores for a daily challenge are still taken
+ */
+function isDailyOpen(date) {
+	const now = Date.now();
+	return date === utcDate(now) || date === utcDate(now - DAILY_GRACE_MS);
+}
+
+function utcDate(time) {
+	return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function hashString(text) {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < text.length; i++) {
+		hash ^= text.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return hash >>> 0;
 }
 
 /**
@@ -88,7 +187,10 @@ async function getLeaderboard(env) {
  */
 async function submitScore(request, env) {
 	const body = await request.json();
-	const { name, score } = body;
+	const {
+		name, score, reps = 0, mode = 'endless', preset = 'normal', controls = DEFAULT_CONTROLS, continued = false,
+		daily = null
+	} = body;
 
 	// Validate input
 	if (!name || typeof name !== 'string' || name.trim().length === 0) {
@@ -97,30 +199,60 @@ async function submitScore(request, env) {
 	if (typeof score !== 'number' || score < 0 || !Number.isInteger(score)) {
 		return jsonResponse({ error: 'Valid score is required' }, 400);
 	}
+	if (typeof reps !== 'number' || reps < 0 || !Number.isInteger(reps)) {
+		return jsonResponse({ error: 'Valid rep count is required' }, 400);
+	}
+	if (!GAME_MODES.includes(mode)) {
+		return jsonResponse({ error: 'Unknown game mode' }, 400);
+	}
+	if (!DIFFICULTY_PRESETS.includes(preset)) {
+		return jsonResponse({ error: 'Unknown difficulty preset' }, 400);
+	}
+	if (!CONTROL_SCHEMES.includes(controls)) {
+		return jsonResponse({ error: 'Unknown control scheme' }, 400);
+	}
+	if (typeof continued !== 'boolean') {
+		return jsonResponse({ error: 'continued must be a boolean' }, 400);
+	}
+
+	let board = controls === DEFAULT_CONTROLS ? `${mode}:${preset}` : `${mode}:${preset}:${controls}`;
+
+	// Daily runs go on the day's board, if they were played as set that day
+	if (daily !== null) {
+		if (typeof daily !== 'string' || !isDailyOpen(daily)) {
+			return jsonResponse({ error: 'That daily challenge is closed' }, 400);
+		}
+		const challenge = getDailyChallenge(daily);
+		if (mode !== challenge.mode || preset !== challenge.preset || controls !== challenge.controls) {
+			return jsonResponse({ error: 'Run does not match the daily challenge' }, 400);
+		}
+		board = challenge.board;
+	}
 
 	const cleanName = name.trim().slice(0, 20); // Limit name length
 	const clampedScore = Math.min(score, MAX_TRACKED_SCORE);
 
 	// Update histogram (for percentile calculation)
 	await env.DB.prepare(`
-		INSERT INTO score_histogram (score, count)
-		VALUES (?, 1)
-		ON CONFLICT(score) DO UPDATE SET count = count + 1
-	`).bind(clampedScore).run();
+		INSERT INTO board_histogram (board, score, count)
+		VALUES (?, ?, 1)
+		ON CONFLICT(board, score) DO UPDATE SET count = count + 1
+	`).bind(board, clampedScore).run();
 
 	// Calculate percentile
-	const percentile = await calculatePercentile(env, score);
+	const percentile = await calculatePercentile(env, board, score);
 
 	// Check if score makes the leaderboard
 	const lowestEntry = await env.DB.prepare(`
 		SELECT score FROM leaderboard
+		WHERE board = ?
 		ORDER BY score ASC
 		LIMIT 1
-	`).first();
+	`).bind(board).first();
 
 	const currentCount = await env.DB.prepare(`
-		SELECT COUNT(*) as count FROM leaderboard
-	`).first();
+		SELECT COUNT(*) as count FROM leaderboard WHERE board = ?
+	`).bind(board).first();
 
 	let madeLeaderboard = false;
 
@@ -128,42 +260,39 @@ async function submitScore(request, env) {
 	if (currentCount.count < MAX_LEADERBOARD || (lowestEntry && score > lowestEntry.score)) {
 		// Insert the new score
 		await env.DB.prepare(`
-			INSERT INTO leaderboard (name, score, created_at)
-			VALUES (?, ?, datetime('now'))
-		`).bind(cleanName, score).run();
+			INSERT INTO leaderboard (name, score, reps, board, continued, created_at)
+			VALUES (?, ?, ?, ?, ?, datetime('now'))
+		`).bind(cleanName, score, reps, board, continued ? 1 : 0).run();
 
 		// If over limit, remove the lowest
 		if (currentCount.count >= MAX_LEADERBOARD) {
 			await env.DB.prepare(`
 				DELETE FROM leaderboard WHERE id = (
 					SELECT id FROM leaderboard
+					WHERE board = ?
 					ORDER BY score ASC, created_at DESC
 					LIMIT 1
 				)
-			`).run();
+			`).bind(board).run();
 		}
 
 		madeLeaderboard = true;
 	}
 
 	// Get updated leaderboard
-	const leaderboard = await env.DB.prepare(`
-		SELECT name, score, created_at
-		FROM leaderboard
-		ORDER BY score DESC, created_at ASC
-		LIMIT ?
-	`).bind(MAX_LEADERBOARD).all();
+	const leaderboard = await queryLeaderboard(env, board);
 
 	// Find player's rank if they made it
 	let rank = null;
 	if (madeLeaderboard) {
 		const rankResult = await env.DB.prepare(`
-			SELECT COUNT(*) + 1 as rank FROM leaderboard WHERE score > ?
-		`).bind(score).first();
+			SELECT COUNT(*) + 1 as rank FROM leaderboard WHERE board = ? AND score > ?
+		`).bind(board, score).first();
 		rank = rankResult?.rank || null;
 	}
 
 	return jsonResponse({
+		board,
 		madeLeaderboard,
 		percentile,
 		rank,
@@ -172,17 +301,33 @@ async function submitScore(request, env) {
 }
 
 /**
- * Calculate what percentile a score is in
+ * Whether a board name is a known 'mode:preset' pair, optionally with a
+ * non-default ':controls', or a daily challenge's 'daily:YYYY-MM-DD'
+ */
+function isValidBoard(board) {
+	if (/^daily:\d{4}-\d{2}-\d{2}$/.test(board)) {
+		return true;
+	}
+
+	const [mode, preset, controls, ...rest] = board.split(':');
+	const validControls = controls === undefined ||
+		(controls !== DEFAULT_CONTROLS && CONTROL_SCHEMES.includes(controls));
+	return GAME_MODES.includes(mode) && DIFFICULTY_PRESETS.includes(preset) && validControls && rest.length === 0;
+}
+
+/**
+ * Calculate what percentile a score is in on its board
  * Returns 0-100 (percentage of players this score beats)
  */
-async function calculatePercentile(env, score) {
+async function calculatePercentile(env, board, score) {
 	// Get total plays and plays with lower scores
 	const stats = await env.DB.prepare(`
 		SELECT
 			SUM(count) as total,
 			SUM(CASE WHEN score < ? THEN count ELSE 0 END) as below
-		FROM score_histogram
-	`).bind(score).first();
+		FROM board_histogram
+		WHERE board = ?
+	`).bind(score, board).first();
 
 	if (!stats || !stats.total || stats.total === 0) {
 		return 50; // First player, you're average!
@@ -197,12 +342,13 @@ async function calculatePercentile(env, score) {
  */
 async function getStats(env) {
 	const stats = await env.DB.prepare(`
-		SELECT SUM(count) as totalGames FROM score_histogram
+		SELECT SUM(count) as totalGames FROM board_histogram
 	`).first();
 
+	// Scores from different modes aren't comparable; report the classic board
 	const topScore = await env.DB.prepare(`
-		SELECT MAX(score) as topScore FROM leaderboard
-	`).first();
+		SELECT MAX(score) as topScore FROM leaderboard WHERE board = ?
+	`).bind(DEFAULT_BOARD).first();
 
 	return jsonResponse({
 		totalGames: stats?.totalGames || 0,
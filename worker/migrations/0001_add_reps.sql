@@ -0,0 +1,2 @@
+-- Push-ups completed during the game
+ALTER TABLE leaderboard ADD COLUMN reps INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,15 @@
+-- Separate leaderboards per game mode; existing scores were all endless runs
+ALTER TABLE leaderboard ADD COLUMN board TEXT NOT NULL DEFAULT 'endless';
+
+CREATE INDEX IF NOT EXISTS idx_leaderboard_board_score ON leaderboard(board, score DESC, created_at ASC);
+
+-- Per-board score histogram for percentiles (replaces score_histogram)
+CREATE TABLE IF NOT EXISTS board_histogram (
+    board TEXT NOT NULL,
+    score INTEGER NOT NULL,
+    count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (board, score)
+);
+
+INSERT INTO board_histogram (board, score, count)
+SELECT 'endless', score, count FROM score_histogram;
@@ -0,0 +1,3 @@
+-- Boards are now 'mode:preset'; everything before presets was played on normal
+UPDATE leaderboard SET board = board || ':normal' WHERE board NOT LIKE '%:%';
+UPDATE board_histogram SET board = board || ':normal' WHERE board NOT LIKE '%:%';
@@ -0,0 +1,2 @@
+-- Runs that were continued by doing push-ups after a game over
+ALTER TABLE leaderboard ADD COLUMN continued INTEGER NOT NULL DEFAULT 0;
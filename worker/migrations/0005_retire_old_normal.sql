@@ -0,0 +1,4 @@
+-- Normal was retuned (faster speed-up, pipes fitted to the player's reps,
+-- a forgiving hitbox); scores from the old rules move to ':classic' boards
+UPDATE leaderboard SET board = board || ':classic' WHERE board LIKE '%:normal';
+UPDATE board_histogram SET board = board || ':classic' WHERE board LIKE '%:normal';